@@ -6,10 +6,20 @@
  */
 
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createBreaker } = require('./breaker');
+const { createQueue, singleFlight, PRIORITIES } = require('./request-queue');
 
-const BASE   = 'http://192.168.0.216';
-const USER   = 'aiseg';
-const PASS   = '0123456789';
+// Override with AISEG2_URL (e.g. the simulator at http://localhost:8216)
+const BASE   = process.env.AISEG2_URL  || 'http://192.168.0.216';
+const USER   = process.env.AISEG2_USER || 'aiseg';
+const PASS   = process.env.AISEG2_PASS || '0123456789';
+
+// A request the AiSEG2 has not answered by then counts as failed
+const REQUEST_TIMEOUT_MS = 15_000;
+
+// Requests in flight at once; the AiSEG2 starts dropping them beyond a few
+const CONCURRENCY = Number(process.env.AISEG2_CONCURRENCY) || 4;
 
 // ── Digest auth ─────────────────────────────────────────────────────────────
 
@@ -17,45 +27,193 @@ function md5(s) {
   return crypto.createHash('md5').update(s).digest('hex');
 }
 
+/**
+ * Parse a WWW-Authenticate Digest challenge. Values may be quoted strings
+ * (with backslash escapes) or bare tokens such as stale=true / algorithm=MD5-sess.
+ */
 function parseWWWAuth(header) {
   const r = {};
-  header.replace(/(\w+)="([^"]+)"/g, (_, k, v) => { r[k] = v; });
+  header.replace(/^\s*Digest\s+/i, '').replace(/([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g, (_, k, q, t) => {
+    r[k.toLowerCase()] = q !== undefined ? q.replace(/\\(.)/g, '$1') : t;
+  });
   return r;
 }
 
-async function digestFetch(path, method = 'GET', body = null) {
-  const url = BASE + path;
-  const baseHeaders = {};
-  let baseBody = undefined;
-  if (body !== null) {
-    baseHeaders['Content-Type'] = 'application/x-www-form-urlencoded';
-    baseBody = body;
-  }
+// Quoted-string for an Authorization header field
+function quote(s) {
+  return `"${String(s).replace(/["\\]/g, '\\$&')}"`;
+}
 
-  // First pass — get the 401 challenge
-  const r1 = await fetch(url, { method, headers: baseHeaders, body: baseBody });
-  if (r1.status !== 401) return r1;
+// One auth session shared by all AiSEG2 traffic: the last challenge is reused
+// (so requests are signed up front instead of provoking a 401 each time) and
+// nc counts up until the server hands out a new nonce.
+const session = { challenge: null, nc: 0, cnonce: null, handshake: null };
+
+function setChallenge(header) {
+  const c = parseWWWAuth(header);
+  const qops = (c.qop || '').split(',').map(q => q.trim());
+  session.challenge = {
+    realm:     c.realm ?? 'AiSEG',
+    nonce:     c.nonce ?? '',
+    opaque:    c.opaque,
+    qop:       qops.includes('auth') ? 'auth' : null,
+    algorithm: c.algorithm,
+  };
+  session.nc     = 0;
+  session.cnonce = crypto.randomBytes(8).toString('hex');
+}
 
-  const wwwAuth = r1.headers.get('www-authenticate') || '';
-  const { realm = 'AiSEG', nonce = '', opaque, qop } = parseWWWAuth(wwwAuth);
+function authorization(method, uri) {
+  const { realm, nonce, opaque, qop, algorithm } = session.challenge;
+  const nc     = (++session.nc).toString(16).padStart(8, '0');
+  const cnonce = session.cnonce;
 
-  const nc     = '00000001';
-  const cnonce = crypto.randomBytes(8).toString('hex');
-  const ha1    = md5(`${USER}:${realm}:${PASS}`);
-  const ha2    = md5(`${method}:${path}`);   // uri must match the Authorization header's uri field
+  let ha1 = md5(`${USER}:${realm}:${PASS}`);
+  if (/^md5-sess$/i.test(algorithm || '')) ha1 = md5(`${ha1}:${nonce}:${cnonce}`);
+  const ha2 = md5(`${method}:${uri}`);   // uri must match the Authorization header's uri field
 
-  const response = qop === 'auth'
-    ? md5(`${ha1}:${nonce}:${nc}:${cnonce}:auth:${ha2}`)
+  const response = qop
+    ? md5(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
     : md5(`${ha1}:${nonce}:${ha2}`);
 
-  let auth = `Digest username="${USER}", realm="${realm}", nonce="${nonce}", uri="${path}", response="${response}"`;
-  if (qop)    auth += `, qop=auth, nc=${nc}, cnonce="${cnonce}"`;
-  if (opaque) auth += `, opaque="${opaque}"`;
+  let auth = `Digest username=${quote(USER)}, realm=${quote(realm)}, nonce=${quote(nonce)}, uri=${quote(uri)}, response="${response}"`;
+  if (algorithm)      auth += `, algorithm=${algorithm}`;
+  if (qop)            auth += `, qop=${qop}, nc=${nc}, cnonce=${quote(cnonce)}`;
+  if (opaque != null) auth += `, opaque=${quote(opaque)}`;
+  return auth;
+}
+
+// ── Upstream stats ───────────────────────────────────────────────────────────
+
+// Per-endpoint (path without query) request counters for /metrics and the
+// last outcome of each for /api/health
+const stats = new Map();
+
+function recordRequest(path, seconds, error) {
+  const endpoint = path.split('?')[0];
+  const s = stats.get(endpoint) ||
+    { requests: 0, errors: 0, seconds: 0, latencyMs: null, lastSuccessAt: null, lastErrorAt: null, lastError: null };
+  s.requests++;
+  s.seconds  += seconds;
+  s.latencyMs = Math.round(seconds * 1000);
+  if (error) {
+    s.errors++;
+    s.lastErrorAt = Date.now();
+    s.lastError   = error;
+  } else {
+    s.lastSuccessAt = Date.now();
+  }
+  stats.set(endpoint, s);
+}
+
+/**
+ * { <endpoint>: { requests, errors, seconds, latencyMs, lastSuccessAt,
+ * lastErrorAt, lastError } } since startup; latencyMs is the last request's.
+ */
+function upstreamStats() {
+  return structuredClone(Object.fromEntries(stats));
+}
+
+// Network errors, timeouts and 5xx answers trip the breaker; a 4xx is the
+// AiSEG2 answering, so it does not
+const breaker = createBreaker();
+
+/**
+ * Circuit breaker state: { state, failures, failingSince, openedAt, retryAt, backoffMs }.
+ */
+function breakerStatus() {
+  return breaker.status();
+}
+
+// ── Request queue ────────────────────────────────────────────────────────────
+
+// Every request waits here for a slot. Its priority is that of the public
+// call it was made for (see the exports), kept across awaits in `priority`.
+const queue    = createQueue({ concurrency: CONCURRENCY });
+const priority = new AsyncLocalStorage();
+
+/**
+ * Queue length and requests in flight: { concurrency, active, waiting: { <priority>: n } }.
+ */
+function queueStats() {
+  return queue.stats();
+}
+
+// Run fn with its requests at `level`, or at the caller's if that is more urgent
+function withPriority(level, fn) {
+  const outer = priority.getStore();
+  const p = outer && PRIORITIES.indexOf(outer) < PRIORITIES.indexOf(level) ? outer : level;
+  return priority.run(p, fn);
+}
+
+// A read: calls with the same key(...args) while one is in flight share it
+const read = (level, fn, key) => singleFlight((...args) => withPriority(level, () => fn(...args)), key);
+
+// A command: never shared, always first in line
+const command = fn => (...args) => withPriority('control', () => fn(...args));
 
-  return fetch(url, {
+/**
+ * Every AiSEG2 request goes through here; each one is queued and timed per
+ * endpoint. While the breaker is open it throws at once with e.code 'BREAKER_OPEN'.
+ */
+async function aisegFetch(path, { method = 'GET', headers = {}, body } = {}) {
+  return queue.run(() => breaker.run(async () => {
+    const started = process.hrtime.bigint();
+    const seconds = () => Number(process.hrtime.bigint() - started) / 1e9;
+    try {
+      const res = await signedFetch(path, { method, headers, body });
+      // Read the body while holding the slot, so the slot covers the whole exchange
+      const r = new Response([204, 304].includes(res.status) ? null : await res.arrayBuffer(), res);
+      recordRequest(path, seconds(), r.ok ? null : `HTTP ${r.status}`);
+      return r;
+    } catch (e) {
+      recordRequest(path, seconds(), e.message);
+      throw e;
+    }
+  }, r => r.status >= 500), priority.getStore() || 'bulk');
+}
+
+/**
+ * Signs with the cached challenge; on a 401 (first contact, stale nonce,
+ * reboot) takes the new challenge and retries once.
+ */
+async function signedFetch(path, { method, headers, body }) {
+  const url  = BASE + path;
+  const send = () => fetch(url, {
     method,
-    headers: { ...baseHeaders, Authorization: auth },
-    body: baseBody,
+    headers: session.challenge ? { ...headers, Authorization: authorization(method, path) } : headers,
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  // Until there is a challenge, let one request fetch it and hold the rest
+  // back so a burst of calls at startup doesn't earn a 401 each
+  let release = null;
+  if (!session.challenge) {
+    if (session.handshake) await session.handshake;
+    else session.handshake = new Promise(r => { release = r; });
+  }
+
+  let r1;
+  try {
+    r1 = await send();
+  } finally {
+    if (release) { session.handshake = null; release(); }
+  }
+  if (r1.status !== 401) return r1;
+
+  const wwwAuth = r1.headers.get('www-authenticate');
+  if (!wwwAuth) return r1;
+  setChallenge(wwwAuth);
+  return send();
+}
+
+async function digestFetch(path, method = 'GET', body = null) {
+  if (body === null) return aisegFetch(path, { method });
+  return aisegFetch(path, {
+    method,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body,
   });
 }
 
@@ -66,6 +224,23 @@ function parseKwh(html) {
   return m ? parseFloat(m[1].replace(',', '')) : null;
 }
 
+/**
+ * Graph pages take their selection as base64 JSON in ?data=, the same way the
+ * page's own date picker submits it. date: Date or "YYYY-MM-DD"; omitted = today.
+ */
+function graphPath(id, params = {}, date = null) {
+  const q = { ...params };
+  if (date) {
+    const [y, m, d] = typeof date === 'string'
+      ? date.split('-').map(Number)
+      : [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+    const p = n => String(n).padStart(2, '0');
+    Object.assign(q, { day: [y, m, d], term: `${y}/${p(m)}/${p(d)}`, termStr: 'day' });
+  }
+  if (Object.keys(q).length === 0) return `/page/graph/${id}`;
+  return `/page/graph/${id}?data=${Buffer.from(JSON.stringify(q)).toString('base64')}`;
+}
+
 // ── Public API ───────────────────────────────────────────────────────────────
 
 /**
@@ -98,18 +273,24 @@ async function getRealtime() {
 
 /**
  * Daily kWh totals (4 scrape requests, run in parallel).
+ * Pass { date } for a past day instead of today.
+ * One bad page reads as null; an open breaker, or every page failing, fails
+ * the whole read so callers keep their cached totals. With { strict: true }
+ * any failed page does, so a null always means the AiSEG2 had no data.
  */
-async function getTotals() {
+async function getTotals({ date, strict = false } = {}) {
   const pages = { solar: 51111, consumption: 52111, purchase: 53111, sold: 54111 };
   const entries = Object.entries(pages);
+  const errors  = [];
   const results = await Promise.all(
     entries.map(([, id]) =>
-      digestFetch(`/page/graph/${id}`)
-        .then(r => r.text())
+      digestFetch(graphPath(id, {}, date))
+        .then(r => { if (!r.ok) throw new Error(`AiSEG2 HTTP ${r.status}`); return r.text(); })
         .then(parseKwh)
-        .catch(() => null)
+        .catch(e => { if (e.code === 'BREAKER_OPEN') throw e; errors.push(e); return null; })
     )
   );
+  if (errors.length && (strict || errors.length === entries.length)) throw errors[0];
   return Object.fromEntries(entries.map(([key], i) => [key, results[i]]));
 }
 
@@ -137,28 +318,22 @@ async function getCircuits() {
 }
 
 /**
- * Today's kWh for one circuit.
+ * Today's kWh for one circuit, or a past day's with { date }.
  */
-async function getCircuitKwh(id) {
-  const data = Buffer.from(JSON.stringify({ circuitid: String(id) })).toString('base64');
-  const r = await digestFetch(`/page/graph/584?data=${data}`);
+async function getCircuitKwh(id, { date } = {}) {
+  const r = await digestFetch(graphPath(584, { circuitid: String(id) }, date));
   return parseKwh(await r.text());
 }
 
 /**
- * Fetch kWh for all circuits concurrently (rate-limited to 10 at a time).
+ * Fetch kWh for all circuits; the request queue limits how many run at once
+ * and lets more urgent requests go ahead of the rest.
  */
-async function getAllCircuitKwh(circuits) {
-  const CONCURRENCY = 10;
-  const results = new Array(circuits.length).fill(null);
-  for (let i = 0; i < circuits.length; i += CONCURRENCY) {
-    const batch = circuits.slice(i, i + CONCURRENCY);
-    const batchResults = await Promise.all(
-      batch.map(c => getCircuitKwh(c.id).catch(() => null))
-    );
-    batchResults.forEach((v, j) => { results[i + j] = v; });
-  }
-  return results;
+async function getAllCircuitKwh(circuits, opts = {}) {
+  return Promise.all(
+    // One bad page reads as null; an open breaker fails the whole read
+    circuits.map(c => getCircuitKwh(c.id, opts).catch(e => { if (e.code === 'BREAKER_OPEN') throw e; return null; }))
+  );
 }
 
 // ── Device control helpers ────────────────────────────────────────────────────
@@ -168,31 +343,14 @@ async function getAllCircuitKwh(circuits) {
  * Used for all AiSEG2 device data/action endpoints.
  */
 async function devicePost(path, params) {
-  const url  = BASE + path;
-  const body = 'data=' + encodeURIComponent(JSON.stringify(params));
-  const hdrs = {
-    'Content-Type':     'application/x-www-form-urlencoded',
-    'X-Requested-With': 'XMLHttpRequest',
-  };
-
-  const r1 = await fetch(url, { method: 'POST', headers: hdrs, body });
-  if (r1.status !== 401) return r1;
-
-  const wwwAuth = r1.headers.get('www-authenticate') || '';
-  const { realm = 'AiSEG', nonce = '', opaque, qop } = parseWWWAuth(wwwAuth);
-  const nc     = '00000001';
-  const cnonce = crypto.randomBytes(8).toString('hex');
-  const ha1    = md5(`${USER}:${realm}:${PASS}`);
-  const ha2    = md5(`POST:${path}`);
-  const response = qop === 'auth'
-    ? md5(`${ha1}:${nonce}:${nc}:${cnonce}:auth:${ha2}`)
-    : md5(`${ha1}:${nonce}:${ha2}`);
-
-  let auth = `Digest username="${USER}", realm="${realm}", nonce="${nonce}", uri="${path}", response="${response}"`;
-  if (qop)    auth += `, qop=auth, nc=${nc}, cnonce="${cnonce}"`;
-  if (opaque) auth += `, opaque="${opaque}"`;
-
-  return fetch(url, { method: 'POST', headers: { ...hdrs, Authorization: auth }, body });
+  return aisegFetch(path, {
+    method:  'POST',
+    headers: {
+      'Content-Type':     'application/x-www-form-urlencoded',
+      'X-Requested-With': 'XMLHttpRequest',
+    },
+    body: 'data=' + encodeURIComponent(JSON.stringify(params)),
+  });
 }
 
 // Cached token (changes only on AiSEG2 reboot, refresh every hour)
@@ -209,64 +367,142 @@ async function getToken() {
   return _token;
 }
 
-// Static device lists (from the group page init() call)
-const AC_DEVICES = [
-  { nodeId: '1073741827', eoj: '0x013001', type: '0x33', name: 'エアコンA' },
-  { nodeId: '1073741828', eoj: '0x013001', type: '0x33', name: 'エアコンB' },
-  { nodeId: '1073741829', eoj: '0x013001', type: '0x33', name: 'エアコンC' },
-];
+// ── Device discovery ─────────────────────────────────────────────────────────
 
-const FH_DEVICES = [
-  { nodeId: '1073741826', eoj: '0x0f7001', type: '0x34', name: '床暖房A' },
-  { nodeId: '1073741826', eoj: '0x0f7002', type: '0x34', name: '床暖房B' },
-];
+// ECHONET device type codes used by the AiSEG2 device pages
+const DEVICE_TYPES = { '0x33': 'ac', '0x34': 'fh', '0x32': 'enefarm', '0x37': 'bath' };
 
-const ENEFARM = {
-  nodeid: '1073741826', eoj: '0x027c01', devtype: '0x32',
-  bath_nodeid: '1073741826', bath_eoj: '0x027201', bath_devtype: '0x37',
-  bathcmd: '0x41', generatecmd: '0x42',
-};
+// Enefarm commands are toggles with fixed codes
+const ENEFARM_CMD = { bathcmd: '0x41', generatecmd: '0x42' };
 
-// Full device list for group auto_update (must match group page init() order)
-const ALL_DEVICES = [
-  ...AC_DEVICES,
-  { nodeId: ENEFARM.nodeid,       eoj: ENEFARM.eoj,       type: ENEFARM.devtype },
-  ...FH_DEVICES,
-  { nodeId: ENEFARM.bath_nodeid,  eoj: ENEFARM.bath_eoj,  type: ENEFARM.bath_devtype },
-];
+// Group page first (its init() order is what group auto_update expects),
+// then the per-type pages for anything the group page leaves out
+const DISCOVERY_PAGES = ['/page/devices/device/32', '/page/devices/device/321', '/page/devices/device/32b'];
+
+/**
+ * Text of the arguments of the page's init(...) call, or null.
+ */
+function initArgs(html) {
+  const start = html.search(/\binit\s*\(/);
+  if (start < 0) return null;
+  let depth = 0, quote = null;
+  for (let i = html.indexOf('(', start); i < html.length; i++) {
+    const ch = html[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(') depth++;
+    else if (ch === ')' && --depth === 0) return html.slice(html.indexOf('(', start) + 1, i);
+  }
+  return null;
+}
+
+/**
+ * Parse one {...} device literal from init() — JSON or a plain JS object
+ * literal with unquoted keys / single quotes, depending on firmware.
+ */
+function parseDeviceLiteral(text) {
+  let o;
+  try {
+    o = JSON.parse(text);
+  } catch {
+    try {
+      o = JSON.parse(text
+        .replace(/'([^'\\]*)'/g, (_, v) => JSON.stringify(v))
+        .replace(/([{,]\s*)([A-Za-z_]\w*)\s*:/g, '$1"$2":'));
+    } catch { return null; }
+  }
+  const nodeId = o.nodeId ?? o.nodeid;
+  const type   = o.type ?? o.devtype ?? o.deviceType;
+  if (nodeId == null || !o.eoj || !type) return null;
+  return { nodeId: String(nodeId), eoj: String(o.eoj), type: String(type), name: o.name ?? o.devName ?? null };
+}
+
+/**
+ * Devices listed in a device page's init() call, in page order.
+ */
+function parseDeviceList(html) {
+  const args = initArgs(html);
+  if (!args) return [];
+  return [...args.matchAll(/\{[^{}]*\}/g)]
+    .map(m => parseDeviceLiteral(m[0]))
+    .filter(Boolean);
+}
+
+// Discovered devices (cached until rediscovered)
+let _devices = null;
+
+/**
+ * Enumerate controllable devices from the device pages.
+ * Returns { all, acs, fhs, enefarm, bath }; `all` is the group page's list in
+ * its own order, which is what group auto_update expects.
+ */
+async function discoverDevices({ force = false } = {}) {
+  if (_devices && !force) return _devices;
+
+  const pages = await Promise.all(DISCOVERY_PAGES.map(p =>
+    digestFetch(p).then(r => r.ok ? r.text() : '').catch(() => '')
+  ));
+
+  const union = [];
+  const seen  = new Set();
+  for (const html of pages) {
+    for (const d of parseDeviceList(html)) {
+      const key = `${d.nodeId}_${d.eoj}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      union.push(d);
+    }
+  }
+  if (union.length === 0) throw new Error('AiSEG2 device discovery found no devices');
+
+  const group  = parseDeviceList(pages[0]);
+  const ofKind = kind => union.filter(d => DEVICE_TYPES[d.type] === kind);
+  _devices = {
+    all:     group.length ? group : union,
+    acs:     ofKind('ac'),
+    fhs:     ofKind('fh'),
+    enefarm: ofKind('enefarm')[0] || null,
+    bath:    ofKind('bath')[0] || null,
+  };
+  return _devices;
+}
 
 /**
  * Get current status of all controllable devices.
  */
 async function getDevices() {
-  const token = await getToken();
+  const [token, found] = await Promise.all([getToken(), discoverDevices()]);
+  const list = devs => devs.map(({ nodeId, eoj, type }) => ({ nodeId, eoj, type }));
 
   const [acRes, fhRes, grpRes] = await Promise.all([
     devicePost('/data/devices/device/321/auto_update',
-      { list: AC_DEVICES.map(({ nodeId, eoj, type }) => ({ nodeId, eoj, type })), page: 1, old_page: 0, token }),
+      { list: list(found.acs), page: 1, old_page: 0, token }),
     devicePost('/data/devices/device/32b/auto_update',
-      { list: FH_DEVICES.map(({ nodeId, eoj, type }) => ({ nodeId, eoj, type })), page: 1, old_page: 0, token }),
+      { list: list(found.fhs), page: 1, old_page: 0, token }),
     devicePost('/data/devices/device/32/auto_update',
-      { list: ALL_DEVICES.map(({ nodeId, eoj, type }) => ({ nodeId, eoj, type })),
-        page: 1, old_page: 0, token }),
+      { list: list(found.all), page: 1, old_page: 0, token }),
   ]);
 
   const acData  = acRes.ok  ? await acRes.json()  : { links: [] };
   const fhData  = fhRes.ok  ? await fhRes.json()  : { links: [] };
   const grpData = grpRes.ok ? await grpRes.json() : {};
 
-  // Fetch per-AC detail (mode, temp°C, fan speed) in parallel
-  const acDetails = await Promise.all(
-    AC_DEVICES.map(({ nodeId, eoj }) =>
+  // Fetch per-AC detail (mode, temp°C, fan speed) in parallel, keyed by
+  // device: the status links need not come in discovery order
+  const acDetails = new Map(await Promise.all(
+    found.acs.map(({ nodeId, eoj }) =>
       devicePost('/data/devices/device/3211/update',
         { nodeId, eoj, type: '0x33', page: 1, individual_page: 1 })
         .then(r => r.ok ? r.json() : {})
         .catch(() => ({}))
+        .then(det => [`${nodeId}_${eoj}`, det])
     )
-  );
+  ));
 
-  const acs = (acData.links || []).map((a, i) => {
-    const det = acDetails[i] || {};
+  const acs = (acData.links || []).map(a => {
+    const det = acDetails.get(`${a.nodeId}_${a.eoj}`) || {};
     // mode from detail (hex), temp from detail (hex → int), fan from modify_items
     const modeVal = det.mode || null;
     const tempHex = det.temp || null;
@@ -305,7 +541,7 @@ async function getDevices() {
   }));
 
   const ene = grpData.list2?.lanEnefarm ?? {};
-  const enefarm = {
+  const enefarm = !found.enefarm && !found.bath ? null : {
     bathRunning:     ene.bath_onoff    === 'on',
     bathLabel:       ene.bath_state    || '—',
     bathButton:      ene.bath_button   || 'ふろ自動',
@@ -336,7 +572,8 @@ async function setACSettings(nodeId, eoj, settingType, value, token) {
 
 /**
  * Toggle an air conditioner (send current state; server toggles).
- * Returns the JSON response from AiSEG2.
+ * Returns the JSON response from AiSEG2. Prefer setPower(), which does not
+ * depend on the caller's idea of the current state.
  */
 async function controlAC(nodeId, eoj, state, token) {
   const tok = token || await getToken();
@@ -376,11 +613,13 @@ async function controlFH(nodeId, eoj, state, token) {
  * Toggle bath hot water (ふろ自動). Command is always 0x41 (toggle).
  */
 async function controlBath(token) {
-  const tok = token || await getToken();
+  const tok  = token || await getToken();
+  const { bath } = await discoverDevices();
+  if (!bath) throw new Error('no bath (0x37) device discovered');
   const params = new URLSearchParams({
     page: '1', old_page: '1',
-    nodeid: ENEFARM.bath_nodeid, eoj: ENEFARM.bath_eoj, devtype: ENEFARM.bath_devtype,
-    bathcmd: ENEFARM.bathcmd,
+    nodeid: bath.nodeId, eoj: bath.eoj, devtype: bath.type,
+    bathcmd: ENEFARM_CMD.bathcmd,
     generatecmd: '-', geneHeatcmd: '-', cleancmd: '-',
     token: tok,
   });
@@ -394,13 +633,86 @@ async function controlBath(token) {
  */
 async function controlGenerate(token) {
   const tok = token || await getToken();
+  const { enefarm } = await discoverDevices();
+  if (!enefarm) throw new Error('no Enefarm (0x32) device discovered');
   const r = await devicePost('/action/devices/device/32/ctrl_lanEnefirm_generate',
-    { token: tok, generatecmd: ENEFARM.generatecmd });
+    { token: tok, generatecmd: ENEFARM_CMD.generatecmd });
   return r.ok ? r.json() : { result: 'error', status: r.status };
 }
 
+// ── Absolute power control ──────────────────────────────────────────────────
+
+/**
+ * Whether one device is running, read fresh from the AiSEG2.
+ * device: { type: 'ac' | 'fh', nodeId, eoj } or { type: 'bath' | 'generate' }.
+ * Resolves to { running, state } (state is the hex state of ACs and floor heaters).
+ * Upstream errors are thrown as they are; "not found" means the AiSEG2
+ * answered without the device.
+ */
+async function getPower(device, token) {
+  const tok = token || await getToken();
+  if (device.type === 'ac' || device.type === 'fh') {
+    const [page, type] = device.type === 'ac' ? ['321', '0x33'] : ['32b', '0x34'];
+    const r = await devicePost(`/data/devices/device/${page}/auto_update`,
+      { list: [{ nodeId: device.nodeId, eoj: device.eoj, type }], page: 1, old_page: 0, token: tok });
+    if (!r.ok) throw new Error(`AiSEG2 HTTP ${r.status}`);
+    const links = (await r.json()).links || [];
+    const link  = links.find(l => l.nodeId === device.nodeId && l.eoj === device.eoj);
+    if (!link) throw new Error(`device not found: ${device.nodeId}_${device.eoj}`);
+    return { running: link.state === '0x30', state: link.state };
+  }
+  if (device.type === 'bath' || device.type === 'generate') {
+    const found = await discoverDevices();
+    const r = await devicePost('/data/devices/device/32/auto_update', {
+      list: found.all.map(({ nodeId, eoj, type }) => ({ nodeId, eoj, type })), page: 1, old_page: 0, token: tok,
+    });
+    if (!r.ok) throw new Error(`AiSEG2 HTTP ${r.status}`);
+    const ene = (await r.json()).list2?.lanEnefarm;
+    if (!ene) throw new Error('no Enefarm status');
+    return { running: (device.type === 'bath' ? ene.bath_onoff : ene.generate_onoff) === 'on', state: null };
+  }
+  throw new Error(`unknown device type: ${device.type}`);
+}
+
+/**
+ * Switch a device on or off. The AiSEG2 only knows toggles, so this reads
+ * the current state first and toggles only when it differs; the caller
+ * confirms the new state (see commands.js).
+ * Resolves to the AiSEG2 response plus { changed }.
+ */
+async function setPower(device, on, token) {
+  const tok    = token || await getToken();
+  const before = await getPower(device, tok);
+  if (before.running === on) return { result: '0', changed: false };
+
+  let res;
+  if      (device.type === 'ac')   res = await controlAC(device.nodeId, device.eoj, before.state, tok);
+  else if (device.type === 'fh')   res = await controlFH(device.nodeId, device.eoj, before.state, tok);
+  else if (device.type === 'bath') res = await controlBath(tok);
+  else                             res = await controlGenerate(tok);
+  return { ...res, changed: res.result === '0' };
+}
+
+// Each public call is queued at its priority: control commands first, then
+// realtime, then device states, then circuit and totals pages
+const dateKey = ({ date } = {}) => String(date ?? '');
+
 module.exports = {
-  getRealtime, getTotals, getCircuits, getCircuitKwh, getAllCircuitKwh,
-  getDevices, controlAC, controlFH, controlBath, controlGenerate, getToken,
-  setACSettings, setFHLevel,
+  getRealtime:      read('realtime', getRealtime),
+  getTotals:        read('bulk', getTotals, (opts = {}) => `${dateKey(opts)} ${!!opts.strict}`),
+  getCircuits:      read('bulk', getCircuits),
+  getCircuitKwh:    read('bulk', getCircuitKwh, (id, opts) => `${id} ${dateKey(opts)}`),
+  getAllCircuitKwh: read('bulk', getAllCircuitKwh, (circuits, opts) => `${circuits.map(c => c.id)} ${dateKey(opts)}`),
+  getDevices:       read('devices', getDevices),
+  discoverDevices:  read('devices', discoverDevices, ({ force = false } = {}) => String(force)),
+  getToken:         read('devices', getToken),
+  getPower:         read('devices', getPower, d => `${d.type} ${d.nodeId} ${d.eoj}`),
+  controlAC:        command(controlAC),
+  controlFH:        command(controlFH),
+  controlBath:      command(controlBath),
+  controlGenerate:  command(controlGenerate),
+  setACSettings:    command(setACSettings),
+  setFHLevel:       command(setFHLevel),
+  setPower:         command(setPower),
+  upstreamStats, breakerStatus, queueStats,
 };
@@ -0,0 +1,312 @@
+'use strict';
+
+/**
+ * Threshold alerts with webhook delivery, persisted to data/alerts.json.
+ *
+ * An alert watches one metric of the server's current state — realtime power,
+ * today's totals, a circuit's kWh, whether a device is running, or whether the
+ * AiSEG2 is unreachable. Once its condition has held for `minutes` (inside the
+ * optional `between` time window) the alert fires; when the condition stops
+ * holding it resolves. A new firing within `cooldown` minutes of the last one
+ * that was sent is logged but not delivered, and neither is its resolve.
+ *
+ * Firing and resolve events are appended to data/alerts-log/ (one NDJSON
+ * file per day) and POSTed to the alert's webhooks. A webhook `body` is any
+ * JSON value; `{{name}}`, `{{event}}`, `{{message}}`, `{{metric}}`,
+ * `{{value}}`, `{{threshold}}` and `{{time}}` are replaced in every string
+ * inside it.
+ *
+ *   { "name": "High consumption",
+ *     "metric": "use_kw", "op": ">", "value": 5, "minutes": 2, "cooldown": 30,
+ *     "webhooks": [{ "url": "https://hooks.example.com/x", "body": { "text": "{{message}}" } }] }
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./history');
+const { METRICS: REALTIME } = require('./rules');
+const { powerOf, DEVICE_TYPES } = require('./targets');
+const { createLog } = require('./event-log');
+
+const ALERTS_FILE = path.join(DATA_DIR, 'alerts.json');
+
+const eventLog = createLog(path.join(DATA_DIR, 'alerts-log'), 'Alerts', {
+  keepDays: Number(process.env.ALERTS_LOG_DAYS) || 400,
+  legacy:   path.join(DATA_DIR, 'alerts-log.ndjson'),
+});
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+/**
+ * Values an alert can watch, from a state snapshot
+ * { realtime, totals, circuits, devices, unreachable }. Boolean metrics hold
+ * while true and take no op/value. A metric returns null while its data is
+ * unknown, which leaves the alert as it is.
+ */
+const METRICS = {
+  ...Object.fromEntries(Object.entries(REALTIME).map(([k, fn]) => [k, s => (s.realtime ? fn(s.realtime) : null)])),
+  solar_kwh:       s => s.totals?.solar ?? null,
+  consumption_kwh: s => s.totals?.consumption ?? null,
+  purchase_kwh:    s => s.totals?.purchase ?? null,
+  sold_kwh:        s => s.totals?.sold ?? null,
+  circuit_kwh:     (s, a) => s.circuits?.find(c => String(c.id) === a.circuit || c.name === a.circuit)?.kwh ?? null,
+  device_running:  (s, a) => {
+    try { return s.devices ? powerOf(a.device, s.devices) : null; } catch { return null; }
+  },
+  unreachable:     s => s.unreachable,
+};
+const BOOLEAN_METRICS = ['device_running', 'unreachable'];
+
+function load() {
+  try { return JSON.parse(fs.readFileSync(ALERTS_FILE, 'utf8')); } catch { return []; }
+}
+
+function save() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(ALERTS_FILE, JSON.stringify(alerts, null, 2));
+}
+
+let alerts = load();
+const state = new Map();   // alert id → { since, firing, notified, lastNotifiedAt }
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const toMinutes = hhmm => { const [h, m] = hhmm.split(':').map(Number); return h * 60 + m; };
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+function normalizeWebhook(w, i) {
+  let url;
+  try { url = new URL(w?.url); } catch { throw new Error(`webhooks[${i}].url is not a URL`); }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(`webhooks[${i}].url must be http(s)`);
+  const method = String(w.method || 'POST').toUpperCase();
+  if (method !== 'POST' && method !== 'PUT') throw new Error(`webhooks[${i}].method must be POST or PUT`);
+  const headers = w.headers || {};
+  if (typeof headers !== 'object' || Object.values(headers).some(v => typeof v !== 'string')) {
+    throw new Error(`webhooks[${i}].headers must map names to strings`);
+  }
+  const out = { url: url.href, method, headers };
+  if (w.body !== undefined) out.body = w.body;
+  return out;
+}
+
+/**
+ * Check and normalise an alert body; throws on invalid input.
+ */
+function normalize(body) {
+  const b = body || {};
+  if (!METRICS[b.metric]) throw new Error(`metric must be one of ${Object.keys(METRICS).join(', ')}`);
+  const a = {
+    name:    String(b.name || '').trim().slice(0, 60) || b.metric,
+    enabled: b.enabled !== false,
+    metric:  b.metric,
+  };
+
+  if (!BOOLEAN_METRICS.includes(b.metric)) {
+    if (b.op !== '>' && b.op !== '<') throw new Error('op must be > or <');
+    const value = Number(b.value);
+    if (b.value == null || !Number.isFinite(value)) throw new Error('value must be a number');
+    a.op    = b.op;
+    a.value = value;
+  }
+  if (b.metric === 'circuit_kwh') {
+    if (b.circuit == null || b.circuit === '') throw new Error('circuit (id or name) is required');
+    a.circuit = String(b.circuit);
+  }
+  if (b.metric === 'device_running') {
+    const d = b.device || {};
+    if (!DEVICE_TYPES.includes(d.type)) throw new Error('device.type must be one of ' + DEVICE_TYPES.join(', '));
+    const addressed = d.type === 'ac' || d.type === 'fh';
+    if (addressed && !(d.nodeId && d.eoj)) throw new Error('device.nodeId and device.eoj are required');
+    a.device = addressed ? { type: d.type, nodeId: String(d.nodeId), eoj: String(d.eoj) } : { type: d.type };
+  }
+
+  for (const [k, def, max] of [['minutes', 0, 1440], ['cooldown', 30, 10080]]) {
+    const v = Number(b[k] ?? def);
+    if (!Number.isFinite(v) || v < 0 || v > max) throw new Error(`${k} must be 0–${max}`);
+    a[k] = v;
+  }
+
+  if (b.between != null) {
+    if (!HHMM.test(b.between.from || '') || !HHMM.test(b.between.to || '')) throw new Error('between.from and between.to must be HH:MM');
+    a.between = { from: b.between.from, to: b.between.to };
+  }
+  if (b.message != null) a.message = String(b.message).slice(0, 500);
+
+  if (b.webhooks != null && !Array.isArray(b.webhooks)) throw new Error('webhooks must be a list');
+  a.webhooks = (b.webhooks || []).map(normalizeWebhook);
+  return a;
+}
+
+// ── Delivery ─────────────────────────────────────────────────────────────────
+
+/**
+ * Most recent events first.
+ */
+function log({ limit = 100, id } = {}) {
+  return eventLog.read({ limit, filter: e => !id || e.id === id });
+}
+
+function summary(a) {
+  if (a.metric === 'unreachable')    return 'AiSEG2 unreachable';
+  if (a.metric === 'device_running') return `${a.device.type}${a.device.nodeId ? ` ${a.device.nodeId}_${a.device.eoj}` : ''} running`;
+  return `${a.metric}${a.circuit ? ` (${a.circuit})` : ''} ${a.op} ${a.value}`;
+}
+
+function render(template, vars) {
+  if (typeof template === 'string') return template.replace(/\{\{(\w+)\}\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+  if (Array.isArray(template))      return template.map(v => render(v, vars));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([k, v]) => [k, render(v, vars)]));
+  }
+  return template;
+}
+
+/**
+ * Send an event to every webhook of the alert; resolves to one status per
+ * webhook ('ok', 'HTTP <code>' or 'error: …') and never rejects.
+ */
+function deliver(a, event, value, t) {
+  const vars = {
+    id:        a.id,
+    name:      a.name,
+    event,
+    metric:    a.metric,
+    value:     typeof value === 'number' ? +value.toFixed(3) : value,
+    threshold: a.value ?? '',
+    time:      new Date(t).toISOString(),
+  };
+  vars.message = a.message
+    ? render(a.message, vars)
+    : `${event === 'resolved' ? '[resolved]' : '[alert]'} ${a.name}: ${summary(a)} (now ${vars.value})`;
+
+  return Promise.all(a.webhooks.map(async w => {
+    try {
+      const r = await fetch(w.url, {
+        method:  w.method,
+        headers: { 'Content-Type': 'application/json', ...w.headers },
+        body:    JSON.stringify(w.body === undefined ? vars : render(w.body, vars)),
+        signal:  AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      return r.ok ? 'ok' : `HTTP ${r.status}`;
+    } catch (e) {
+      console.error(`Alert ${a.id} webhook ${w.url}:`, e.message);
+      return `error: ${e.message}`;
+    }
+  }));
+}
+
+async function emit(a, event, value, t, { suppressed = false } = {}) {
+  const entry = { t, id: a.id, name: a.name, event, metric: a.metric, value };
+  if (suppressed) entry.suppressed = true;
+  else if (a.webhooks.length) entry.delivery = await deliver(a, event, value, t);
+  eventLog.append(entry);
+  return entry;
+}
+
+// ── Evaluation ───────────────────────────────────────────────────────────────
+
+function inWindow(between, t) {
+  if (!between) return true;
+  const d = new Date(t);
+  const m = d.getHours() * 60 + d.getMinutes();
+  const from = toMinutes(between.from), to = toMinutes(between.to);
+  return from < to ? m >= from && m < to : m >= from || m < to;   // may wrap midnight
+}
+
+/**
+ * Evaluate every enabled alert against a state snapshot
+ * { realtime, totals, circuits, devices, unreachable }.
+ * Resolves to the events emitted by this call once they are delivered.
+ */
+function evaluate(snapshot, t = Date.now()) {
+  const events = [];
+  for (const a of alerts) {
+    if (!a.enabled) continue;
+    const value = METRICS[a.metric](snapshot, a);
+    if (value == null) continue;   // unknown: leave the alert as it is
+
+    const s = state.get(a.id) || { since: null, firing: false, notified: false, lastNotifiedAt: null };
+    state.set(a.id, s);
+    const holds = inWindow(a.between, t) &&
+      (BOOLEAN_METRICS.includes(a.metric) ? value === true : a.op === '>' ? value > a.value : value < a.value);
+
+    if (!holds) {
+      s.since = null;
+      if (s.firing) {
+        s.firing = false;
+        if (s.notified) events.push(emit(a, 'resolved', value, t));
+      }
+      continue;
+    }
+    if (s.firing) continue;
+    if (s.since == null) s.since = t;
+    if (t - s.since < a.minutes * 60_000) continue;
+
+    s.firing   = true;
+    s.notified = s.lastNotifiedAt == null || t - s.lastNotifiedAt >= a.cooldown * 60_000;
+    if (s.notified) s.lastNotifiedAt = t;
+    events.push(emit(a, 'firing', value, t, { suppressed: !s.notified }));
+  }
+  return Promise.all(events);
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+function withState(a) {
+  const s = state.get(a.id);
+  return {
+    ...a,
+    firing:         s?.firing ?? false,
+    holdingSince:   (!s?.firing && s?.since) || null,
+    lastNotifiedAt: s?.lastNotifiedAt ?? null,
+  };
+}
+
+function list() {
+  return alerts.map(withState);
+}
+
+function get(id) {
+  const a = alerts.find(x => x.id === id);
+  return a ? withState(a) : null;
+}
+
+function create(body) {
+  const a = { id: crypto.randomBytes(4).toString('hex'), ...normalize(body) };
+  alerts.push(a);
+  save();
+  return withState(a);
+}
+
+/**
+ * Replace an alert's definition; it starts over as not firing.
+ */
+function update(id, body) {
+  const i = alerts.findIndex(x => x.id === id);
+  if (i < 0) return null;
+  alerts[i] = { id, ...normalize(body) };
+  state.delete(id);
+  save();
+  return withState(alerts[i]);
+}
+
+function remove(id) {
+  const before = alerts.length;
+  alerts = alerts.filter(x => x.id !== id);
+  if (alerts.length === before) return false;
+  state.delete(id);
+  save();
+  return true;
+}
+
+/**
+ * Deliver a 'test' event to the alert's webhooks without touching its state.
+ */
+async function sendTest(id) {
+  const a = alerts.find(x => x.id === id);
+  if (!a) return null;
+  return { delivery: await deliver(a, 'test', null, Date.now()) };
+}
+
+module.exports = { list, get, create, update, remove, log, prune: eventLog.prune, evaluate, sendTest, METRICS };
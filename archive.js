@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Daily kWh archive.
+ * Keeps the last totals seen for each calendar day in data/totals.json and
+ * aggregates them into months and years on request.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { dayKey, DATA_DIR } = require('./history');
+
+const ARCHIVE_FILE = path.join(DATA_DIR, 'totals.json');
+const KEYS = ['solar', 'consumption', 'purchase', 'sold'];
+
+function load() {
+  try { return JSON.parse(fs.readFileSync(ARCHIVE_FILE, 'utf8')); } catch { return {}; }
+}
+
+function save() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(ARCHIVE_FILE, JSON.stringify(days, null, 2));
+}
+
+let days = load(); // { "YYYY-MM-DD": { solar, consumption, purchase, sold } }
+
+const round = v => +v.toFixed(3);
+
+// Just after midnight the AiSEG2 may still report the day that just ended
+const ROLLOVER_MS = 10 * 60_000;
+
+// A reading from the first minutes of a day counts only once it is below the
+// previous day's archived totals; until then it may be yesterday's
+function beforeRollover(totals, t) {
+  const midnight = new Date(t).setHours(0, 0, 0, 0);
+  if (t - midnight >= ROLLOVER_MS) return false;
+  const prev = days[dayKey(midnight - 1)];
+  if (!prev) return true;
+  return KEYS.some(k => prev[k] > 0 && totals?.[k] != null && totals[k] >= prev[k]);
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Store a getTotals() reading under the day it was requested on.
+ * Counters only grow during a day, so a lower value means the AiSEG2 had
+ * already rolled over at midnight — the higher reading is kept. Readings
+ * from the first minutes of a day that may still be yesterday's are skipped.
+ * Returns true if the archive changed.
+ */
+function snapshot(totals, t = Date.now(), { overwrite = false } = {}) {
+  if (typeof t !== 'string' && beforeRollover(totals, t)) return false;
+  const key = typeof t === 'string' ? t : dayKey(t);
+  const day = { ...(days[key] || {}) };
+  let changed = false;
+  for (const k of KEYS) {
+    const v = totals?.[k];
+    if (v == null) continue;
+    if (overwrite || day[k] == null || v > day[k]) { day[k] = v; changed = true; }
+  }
+  if (changed) {
+    days[key] = day;
+    save();
+  }
+  return changed;
+}
+
+function has(date) {
+  return Boolean(days[date]);
+}
+
+/**
+ * Archived days, oldest first. from/to are inclusive "YYYY-MM-DD" strings.
+ */
+function daily({ from = '0000-00-00', to = '9999-99-99' } = {}) {
+  return Object.keys(days).sort()
+    .filter(d => d >= from && d <= to)
+    .map(date => ({ date, ...days[date] }));
+}
+
+function aggregate(rows, keyOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r.date);
+    const g = groups.get(key) || { period: key, days: 0, ...Object.fromEntries(KEYS.map(k => [k, 0])) };
+    g.days++;
+    for (const k of KEYS) if (r[k] != null) g[k] = round(g[k] + r[k]);
+    groups.set(key, g);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Per-month sums ("YYYY-MM"), optionally limited to one year.
+ */
+function monthly({ year } = {}) {
+  const rows = year ? daily({ from: `${year}-01-01`, to: `${year}-12-31` }) : daily();
+  return aggregate(rows, d => d.slice(0, 7));
+}
+
+/**
+ * Per-year sums ("YYYY").
+ */
+function yearly() {
+  return aggregate(daily(), d => d.slice(0, 4));
+}
+
+module.exports = { snapshot, has, daily, monthly, yearly };
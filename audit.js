@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Audit log of device control and renames, appended to data/audit/ (one
+ * NDJSON file per day, kept AUDIT_LOG_DAYS).
+ *
+ * One entry per command, written once its outcome is known:
+ *   { id, t, commandId, source, action, device, value, response, status, after }
+ * `id` is unique per entry and breaks ties between entries of the same `t`.
+ * `source` says who asked ({ via: 'api', user, ip, ua }, { via: 'mqtt' },
+ * { via: 'schedule' | 'rule', id, name }), `device` what was addressed,
+ * `response` what the AiSEG2 answered (or { error }), `status` how the
+ * command ended (see commands.js) and `after` the device's state read back
+ * afterwards (null when that read failed).
+ */
+
+const path   = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./history');
+const { createLog } = require('./event-log');
+
+const newId = () => crypto.randomBytes(6).toString('hex');
+
+const eventLog = createLog(path.join(DATA_DIR, 'audit'), 'Audit', {
+  keepDays: Number(process.env.AUDIT_LOG_DAYS) || 400,
+  legacy:   path.join(DATA_DIR, 'audit.ndjson'),
+  upgrade:  e => (e.id ? e : { id: newId(), ...e }),
+  tiebreak: 'id',
+});
+
+// Device type addressed by each control action
+const ACTION_TYPES = {
+  setACPower: 'ac', toggleAC: 'ac', setACMode: 'ac', setACTemp: 'ac', setACFan: 'ac',
+  setFHPower: 'fh', toggleFH: 'fh', setFHLevel: 'fh',
+  setBathPower: 'bath', toggleBath: 'bath',
+  setGeneratePower: 'generate', toggleGenerate: 'generate',
+};
+
+function findDevice(type, nodeId, eoj, devices) {
+  const list = type === 'ac' ? devices?.acs : type === 'fh' ? devices?.fhs : null;
+  return list?.find(d => d.nodeId === nodeId && d.eoj === eoj) || null;
+}
+
+/**
+ * The device a control body addresses, named from `devices` when known.
+ * Renames carry no control action and may address an AC or a floor heater.
+ */
+function deviceOf({ action, nodeId, eoj }, devices) {
+  const type = ACTION_TYPES[action] ?? (findDevice('fh', nodeId, eoj, devices) ? 'fh' : 'ac');
+  if (type === 'bath' || type === 'generate') return { type };
+  const d = findDevice(type, nodeId, eoj, devices);
+  return { type, nodeId, eoj, name: d ? d.nickname || d.name : null };
+}
+
+/**
+ * Compact state of an audited device in a getDevices() result, or null.
+ */
+function stateOf(device, devices) {
+  if (device.type === 'bath')     return devices?.enefarm ? { running: devices.enefarm.bathRunning } : null;
+  if (device.type === 'generate') return devices?.enefarm ? { running: devices.enefarm.generateRunning } : null;
+  const d = findDevice(device.type, device.nodeId, device.eoj, devices);
+  if (!d) return null;
+  if (device.type === 'ac') return { running: d.running, mode: d.mode, temp: d.tempC, fan: d.fan };
+  const level = /(\d+)/.exec(d.templevel || '');
+  return { running: d.running, level: level ? Number(level[1]) : null };
+}
+
+function record(entry) {
+  const e = { id: newId(), t: Date.now(), ...entry };
+  eventLog.append(e);
+  return e;
+}
+
+/**
+ * Entries newest first. `device` matches "<nodeId>_<eoj>" or a device type,
+ * `via` the source kind, `user` the user behind an API call. For paging,
+ * `before` (the id of the last entry seen, at `to`) leaves out that entry and
+ * the ones listed before it.
+ */
+function query({ from = 0, to = Infinity, before, limit = 100, device, via, user } = {}) {
+  return eventLog.read({
+    limit, from, to,
+    filter: e =>
+      (!before || e.t < to || e.id < before) &&
+      (!device || device === e.device.type || device === `${e.device.nodeId}_${e.device.eoj}`) &&
+      (!via  || e.source.via === via) &&
+      (!user || e.source.user === user),
+  });
+}
+
+module.exports = { record, query, prune: eventLog.prune, deviceOf, stateOf };
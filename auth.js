@@ -0,0 +1,298 @@
+'use strict';
+
+/**
+ * Users, sessions and API tokens, persisted to data/auth.json and
+ * data/sessions.json.
+ *
+ * Authentication is off until the first user exists; that user has to be an
+ * admin. Roles are ranked: a viewer can read everything, a controller can
+ * also operate devices and change settings, an admin can also manage users
+ * and tokens. Browsers log in with a user name and password and get a session
+ * cookie; scripts send `Authorization: Bearer <token>`. Passwords are kept as
+ * scrypt hashes, session ids and tokens as SHA-256 hashes.
+ *
+ *   node auth.js add-user <name> <viewer|controller|admin>
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./history');
+
+const AUTH_FILE     = path.join(DATA_DIR, 'auth.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+
+const ROLES          = ['viewer', 'controller', 'admin'];
+const COOKIE         = 'aiseg2_session';
+const SESSION_MS     = 30 * 86_400_000;
+const MAX_FAILURES   = 5;        // failed logins per address before it is locked out
+const LOCKOUT_MS     = 60_000;
+
+function readJson(file, fallback) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return fallback; }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+const store    = { users: [], tokens: [], ...readJson(AUTH_FILE, {}) };
+const sessions = readJson(SESSIONS_FILE, {});   // sha256(session id) → { user, expires }
+const failures = new Map();                      // remote address → { count, until }
+
+// Called with the keys of ended sessions (see sessionKey())
+let onEnd = () => {};
+
+const save         = () => writeJson(AUTH_FILE, store);
+const saveSessions = () => writeJson(SESSIONS_FILE, sessions);
+
+const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${salt.toString('hex')}$${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+function checkPassword(password, stored) {
+  const [, salt, hash] = String(stored).split('$');
+  if (!salt || !hash) return false;
+  const got = crypto.scryptSync(password, Buffer.from(salt, 'hex'), 32);
+  return crypto.timingSafeEqual(got, Buffer.from(hash, 'hex'));
+}
+
+// Checked for unknown users so they take as long to refuse as a wrong password
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Whether `role` is at least `needed`.
+ */
+function allowed(role, needed) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(needed);
+}
+
+function enabled() {
+  return store.users.length > 0;
+}
+
+// ── Users ────────────────────────────────────────────────────────────────────
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+}
+
+function checkNewPassword(password) {
+  if (typeof password !== 'string' || password.length < 4) throw new Error('password must be at least 4 characters');
+}
+
+const publicUser = u => ({ name: u.name, role: u.role });
+
+function listUsers() {
+  return store.users.map(publicUser);
+}
+
+function addUser({ name, password, role } = {}) {
+  name = String(name || '').trim();
+  if (!/^[\w.@-]{1,40}$/.test(name)) throw new Error('name must be 1–40 letters, digits or ._@-');
+  if (store.users.some(u => u.name === name)) throw new Error('user already exists');
+  checkRole(role);
+  checkNewPassword(password);
+  if (!enabled() && role !== 'admin') throw new Error('the first user must be an admin');
+  const u = { name, role, hash: hashPassword(password) };
+  store.users.push(u);
+  save();
+  return publicUser(u);
+}
+
+const otherAdmins = name => store.users.some(u => u.name !== name && u.role === 'admin');
+
+/**
+ * Change a user's role and/or password. Null when the user does not exist.
+ */
+function updateUser(name, { password, role } = {}) {
+  const u = store.users.find(x => x.name === name);
+  if (!u) return null;
+  if (role != null) {
+    checkRole(role);
+    if (u.role === 'admin' && role !== 'admin' && !otherAdmins(name)) throw new Error('cannot demote the last admin');
+  }
+  if (password != null) checkNewPassword(password);
+  if (role != null) u.role = role;
+  if (password != null) {
+    u.hash = hashPassword(password);
+    dropSessions(name);
+  }
+  save();
+  return publicUser(u);
+}
+
+/**
+ * Remove a user and their sessions; throws for the last admin.
+ */
+function removeUser(name) {
+  const u = store.users.find(x => x.name === name);
+  if (!u) return false;
+  if (u.role === 'admin' && !otherAdmins(name)) throw new Error('cannot remove the last admin');
+  store.users = store.users.filter(x => x !== u);
+  save();
+  dropSessions(name);
+  return true;
+}
+
+// ── Sessions ─────────────────────────────────────────────────────────────────
+
+function dropSessions(name) {
+  const ended = Object.keys(sessions).filter(k => sessions[k].user === name);
+  for (const k of ended) delete sessions[k];
+  saveSessions();
+  onEnd(ended);
+}
+
+/**
+ * Call `fn` with the keys of sessions that end by logout, a password change
+ * or removal of their user, so connections opened with them can be closed.
+ */
+function onSessionEnd(fn) {
+  onEnd = fn;
+}
+
+/**
+ * Key of a request's session, as passed to onSessionEnd(), or null.
+ */
+function sessionKey(req) {
+  const sid = sessionId(req);
+  return sid ? sha256(sid) : null;
+}
+
+/**
+ * Check a login from `address`. Returns { sid, user } or throws with
+ * `status` 401 (wrong credentials) or 429 (locked out).
+ */
+function login(name, password, address = '') {
+  const f = failures.get(address);
+  if (f && f.until > Date.now()) {
+    throw Object.assign(new Error('too many failed logins, try again later'), { status: 429 });
+  }
+  const u = store.users.find(x => x.name === name);
+  const ok = typeof password === 'string' && checkPassword(password, u ? u.hash : DUMMY_HASH);
+  if (!u || !ok) {
+    const count = (f?.count || 0) + 1;
+    failures.set(address, { count: count >= MAX_FAILURES ? 0 : count, until: count >= MAX_FAILURES ? Date.now() + LOCKOUT_MS : 0 });
+    throw Object.assign(new Error('wrong user or password'), { status: 401 });
+  }
+  failures.delete(address);
+
+  const now = Date.now();
+  for (const [k, s] of Object.entries(sessions)) if (s.expires < now) delete sessions[k];
+  const sid = crypto.randomBytes(32).toString('base64url');
+  sessions[sha256(sid)] = { user: u.name, expires: now + SESSION_MS };
+  saveSessions();
+  return { sid, user: publicUser(u) };
+}
+
+function logout(sid) {
+  const key = sid && sha256(sid);
+  if (!key || !sessions[key]) return;
+  delete sessions[key];
+  saveSessions();
+  onEnd([key]);
+}
+
+/**
+ * Set-Cookie value for a session id; null clears the cookie.
+ */
+function sessionCookie(sid, { secure = false } = {}) {
+  const attrs = ['Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${sid ? SESSION_MS / 1000 : 0}`];
+  if (secure) attrs.push('Secure');
+  return [`${COOKIE}=${sid || ''}`, ...attrs].join('; ');
+}
+
+function sessionId(req) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [k, ...v] = part.trim().split('=');
+    if (k === COOKIE) return v.join('=');
+  }
+  return null;
+}
+
+// ── API tokens ───────────────────────────────────────────────────────────────
+
+const publicToken = t => ({ id: t.id, name: t.name, role: t.role, createdAt: t.createdAt });
+
+function listTokens() {
+  return store.tokens.map(publicToken);
+}
+
+/**
+ * Create a token; the secret is only returned here.
+ */
+function createToken({ name, role } = {}) {
+  checkRole(role);
+  const token = 'aiseg2_' + crypto.randomBytes(24).toString('base64url');
+  const t = {
+    id:        crypto.randomBytes(4).toString('hex'),
+    name:      String(name || '').trim().slice(0, 60),
+    role,
+    hash:      sha256(token),
+    createdAt: Date.now(),
+  };
+  store.tokens.push(t);
+  save();
+  return { ...publicToken(t), token };
+}
+
+function removeToken(id) {
+  const before = store.tokens.length;
+  store.tokens = store.tokens.filter(t => t.id !== id);
+  if (store.tokens.length === before) return false;
+  save();
+  return true;
+}
+
+// ── Requests ─────────────────────────────────────────────────────────────────
+
+/**
+ * Who made a request (HTTP or WebSocket upgrade): { name, role, via } from a
+ * bearer token or session cookie, or null.
+ */
+function authenticate(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '')?.[1];
+  if (bearer) {
+    const hash = sha256(bearer);
+    const t = store.tokens.find(x => x.hash === hash);
+    return t ? { name: t.name || `token ${t.id}`, role: t.role, via: 'token' } : null;
+  }
+  const key = sessionKey(req);
+  const s = key && sessions[key];
+  if (!s || s.expires < Date.now()) return null;
+  const u = store.users.find(x => x.name === s.user);
+  return u ? { name: u.name, role: u.role, via: 'session' } : null;
+}
+
+module.exports = {
+  ROLES, enabled, allowed, authenticate,
+  listUsers, addUser, updateUser, removeUser,
+  login, logout, sessionCookie, sessionId, sessionKey, onSessionEnd,
+  listTokens, createToken, removeToken,
+};
+
+// ── CLI ──────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  const [cmd, name, role] = process.argv.slice(2);
+  if (cmd !== 'add-user' || !name || !role) {
+    console.error('Usage: node auth.js add-user <name> <viewer|controller|admin>');
+    process.exit(1);
+  }
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stdout });
+  rl.question('Password: ', password => {
+    rl.close();
+    try {
+      addUser({ name, password, role });
+      console.log(`Added ${role} ${name}.`);
+    } catch (e) {
+      console.error('Add user failed:', e.message);
+      process.exit(1);
+    }
+  });
+}
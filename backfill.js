@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * One-shot backfill of the daily kWh archive from the AiSEG2's own history.
+ * Walks back from yesterday one day at a time until the AiSEG2 stops
+ * returning data (or --days is reached). A failed read aborts the run with
+ * a non-zero exit instead of being taken for an empty day.
+ *
+ *   npm run backfill -- [--days 400] [--force]
+ */
+
+const aiseg2  = require('./aiseg2');
+const archive = require('./archive');
+const { dayKey } = require('./history');
+
+// Consecutive empty days before we assume the AiSEG2's retention is exhausted
+const EMPTY_STOP = 7;
+
+function parseArgs(argv) {
+  const opts = { days: 400, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    if      (argv[i] === '--days')  opts.days  = parseInt(argv[++i], 10);
+    else if (argv[i] === '--force') opts.force = true;
+  }
+  if (!(opts.days > 0)) throw new Error('--days must be a positive integer');
+  return opts;
+}
+
+// A house always draws something, so zero consumption and purchase means the
+// AiSEG2 has nothing recorded for that day
+function isEmpty(t) {
+  return t.consumption == null || (t.consumption === 0 && !t.purchase);
+}
+
+async function backfill({ days, force }) {
+  let filled = 0, skipped = 0, empty = 0;
+  const d = new Date();
+  for (let i = 0; i < days && empty < EMPTY_STOP; i++) {
+    d.setDate(d.getDate() - 1);
+    const key = dayKey(d);
+    if (!force && archive.has(key)) { skipped++; continue; }
+
+    let totals;
+    try {
+      totals = await aiseg2.getTotals({ date: key, strict: true });
+    } catch (e) {
+      throw new Error(`${key}: ${e.message} (${filled} filled before the failure)`);
+    }
+    if (isEmpty(totals)) {
+      empty++;
+      console.log(`${key}  no data`);
+      continue;
+    }
+    empty = 0;
+    archive.snapshot(totals, key, { overwrite: force });
+    filled++;
+    console.log(`${key}  solar ${totals.solar}  use ${totals.consumption}  buy ${totals.purchase}  sell ${totals.sold}`);
+  }
+  console.log(`Backfill done: ${filled} filled, ${skipped} already archived.`);
+}
+
+backfill(parseArgs(process.argv.slice(2))).catch(e => {
+  console.error('Backfill failed:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Circuit breaker for the AiSEG2 connection.
+ *
+ * After `threshold` consecutive failures the circuit opens and calls fail at
+ * once instead of reaching the AiSEG2. Once the backoff has passed, one call
+ * is let through as a probe (half-open): success closes the circuit, failure
+ * opens it again for twice as long, up to `maxMs`.
+ */
+
+const THRESHOLD = 3;
+const BASE_MS   = 5_000;
+const MAX_MS    = 300_000;
+
+// Thrown for calls refused while the circuit is open
+function openError() {
+  const e = new Error('AiSEG2 unreachable (circuit open)');
+  e.code = 'BREAKER_OPEN';
+  return e;
+}
+
+/**
+ * now() is injectable for tests.
+ */
+function createBreaker({ threshold = THRESHOLD, baseMs = BASE_MS, maxMs = MAX_MS, now = Date.now } = {}) {
+  let state     = 'closed';   // closed | open | half-open
+  let failures  = 0;          // consecutive
+  let backoffMs = 0;
+  let openedAt  = 0;
+  let retryAt   = 0;
+  let failingSince = 0;       // first failure of the current run, 0 after a success
+
+  function open() {
+    backoffMs = backoffMs ? Math.min(backoffMs * 2, maxMs) : baseMs;
+    state     = 'open';
+    openedAt  = now();
+    retryAt   = openedAt + backoffMs;
+  }
+
+  function success() {
+    state = 'closed';
+    failures = backoffMs = openedAt = retryAt = failingSince = 0;
+  }
+
+  function failure() {
+    failures++;
+    if (!failingSince) failingSince = now();
+    if (state === 'half-open' || (state === 'closed' && failures >= threshold)) open();
+  }
+
+  /**
+   * Run fn() through the breaker. isFailure(result) marks a resolved result
+   * as a failure too (an HTTP 5xx, say); a rejection always is one.
+   */
+  async function run(fn, isFailure = () => false) {
+    if (state === 'half-open' || (state === 'open' && now() < retryAt)) throw openError();
+    if (state === 'open') state = 'half-open';   // this call is the probe
+    let result;
+    try {
+      result = await fn();
+    } catch (e) {
+      failure();
+      throw e;
+    }
+    if (isFailure(result)) failure(); else success();
+    return result;
+  }
+
+  function status() {
+    return {
+      state,
+      failures,
+      failingSince: failingSince || null,
+      openedAt:     openedAt || null,
+      retryAt:      state === 'closed' ? null : retryAt,
+      backoffMs,
+    };
+  }
+
+  return { run, status };
+}
+
+module.exports = { createBreaker };
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Per-circuit kWh history.
+ * Every circuit refresh is appended to a per-day NDJSON file as
+ * { t, kwh: { <circuitId>: <today's cumulative kWh> } }. Hourly usage and
+ * week-over-week trends are derived from those cumulative readings.
+ */
+
+const path = require('path');
+const { dayKey, dayKeys, createDayStore, DATA_DIR } = require('./history');
+
+const KEEP_DAYS = Number(process.env.CIRCUIT_HISTORY_DAYS) || 400;
+
+const store = createDayStore(path.join(DATA_DIR, 'circuits'));
+
+const round = v => +v.toFixed(3);
+
+// Just after midnight the AiSEG2 may still report the day that just ended
+const ROLLOVER_MS = 10 * 60_000;
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Record one refresh: list of { id, kwh } as built by fetchCircuits().
+ * In the first minutes of a day a circuit's reading is kept only once it is
+ * below the previous day's final kWh; until then it may be yesterday's.
+ */
+function record(circuitKwh, t = Date.now()) {
+  const kwh = {};
+  for (const c of circuitKwh) if (c.kwh != null) kwh[c.id] = c.kwh;
+
+  const midnight = new Date(t).setHours(0, 0, 0, 0);
+  if (t - midnight < ROLLOVER_MS) {
+    const prev = dailyTotals(midnight - 1, midnight - 1)[dayKey(midnight - 1)] || {};
+    for (const [id, v] of Object.entries(kwh)) {
+      if (prev[id] == null || (prev[id] > 0 && v >= prev[id])) delete kwh[id];
+    }
+  }
+  if (Object.keys(kwh).length) store.append(dayKey(t), [{ t, kwh }]);
+}
+
+/**
+ * Raw cumulative readings for one circuit between from and to (epoch ms).
+ */
+function samples(id, from, to) {
+  return store.between(from, to).filter(r => r.kwh[id] != null).map(r => ({ t: r.t, kwh: r.kwh[id] }));
+}
+
+/**
+ * kWh used per clock hour, from the difference between the last reading of
+ * each hour and the one before. The counter resets at midnight, so the first
+ * hour of a day counts from zero; a day whose recording starts later has no
+ * baseline for its first hour and that hour is left out.
+ */
+function hourly(id, from, to) {
+  // Last reading of each hour, grouped by day
+  const byDay = new Map();
+  for (const s of samples(id, from, to)) {
+    const key = dayKey(s.t);
+    if (!byDay.has(key)) byDay.set(key, new Map());
+    byDay.get(key).set(new Date(s.t).setMinutes(0, 0, 0), s.kwh);
+  }
+
+  const out = [];
+  for (const hours of byDay.values()) {
+    let prev = new Date(hours.keys().next().value).getHours() === 0 ? 0 : null;
+    for (const [t, end] of hours) {
+      if (prev != null) out.push({ t, kwh: round(Math.max(0, end - prev)) });
+      prev = end;
+    }
+  }
+  return out;
+}
+
+/**
+ * Final kWh of each day per circuit: { "YYYY-MM-DD": { <id>: kwh } }.
+ */
+function dailyTotals(from, to) {
+  const out = {};
+  for (const key of dayKeys(from, to)) {
+    const day = {};
+    for (const r of store.read(key)) {
+      for (const [id, v] of Object.entries(r.kwh)) day[id] = Math.max(day[id] ?? 0, v);
+    }
+    if (Object.keys(day).length) out[key] = day;
+  }
+  return out;
+}
+
+/**
+ * Compare the last `days` complete days against the `days` before them.
+ * Returns [{ id, current, previous, delta, ratio }] sorted by growth.
+ * Circuits with no readings in the earlier window have nothing to grow from:
+ * they come last with previous, delta and ratio null.
+ */
+function trends({ days = 7, now = Date.now() } = {}) {
+  const today = new Date(now); today.setHours(0, 0, 0, 0);
+  const split = new Date(today); split.setDate(split.getDate() - days);
+  const start = new Date(split); start.setDate(start.getDate() - days);
+
+  const totals = dailyTotals(start.getTime(), today.getTime() - 1);
+  const splitKey = dayKey(split);
+  const sums = {};
+  for (const [key, day] of Object.entries(totals)) {
+    const bucket = key >= splitKey ? 'current' : 'previous';
+    for (const [id, v] of Object.entries(day)) {
+      sums[id] = sums[id] || { id, current: 0, previous: null };
+      if (bucket === 'current') sums[id].current += v;
+      else sums[id].previous = (sums[id].previous ?? 0) + v;
+    }
+  }
+  return Object.values(sums)
+    .map(s => ({
+      id:       s.id,
+      current:  round(s.current),
+      previous: s.previous == null ? null : round(s.previous),
+      delta:    s.previous == null ? null : round(s.current - s.previous),
+      ratio:    s.previous > 0 ? +(s.current / s.previous).toFixed(3) : null,
+    }))
+    .sort((a, b) => (a.delta == null) - (b.delta == null) || (b.delta ?? b.current) - (a.delta ?? a.current));
+}
+
+/**
+ * Delete day files older than the retention.
+ */
+function prune(now = Date.now()) {
+  store.prune(KEEP_DAYS, now);
+}
+
+module.exports = { record, samples, hourly, dailyTotals, trends, prune, KEEP_DAYS };
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Circuit display names, rooms and categories, in data/circuit-meta.json.
+ *
+ * The AiSEG2 shows circuits under the labels entered at installation, often
+ * "回路12" or cut short. Each circuit id can carry a display `name`, a
+ * free-text `room` and one of CATEGORIES. apply() adds them to circuit rows
+ * as `nickname`, `room` and `category`, the way device nicknames are added,
+ * and leaves the AiSEG2's `name` alone.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./history');
+
+const META_FILE = path.join(DATA_DIR, 'circuit-meta.json');
+const MAX_LEN   = 40;
+
+// Category ids; clients translate them
+const CATEGORIES = ['hvac', 'kitchen', 'water', 'laundry', 'lighting', 'appliance', 'ev', 'always-on', 'other'];
+
+function load() {
+  try { return JSON.parse(fs.readFileSync(META_FILE, 'utf8')); } catch { return {}; }
+}
+
+function save() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(META_FILE, JSON.stringify(meta, null, 2));
+}
+
+let meta = load(); // { "<circuit id>": { name, room, category } }
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Check and normalise an entry; fields left out keep their current value,
+ * null or "" clears one. Throws on invalid input.
+ */
+function normalize(body, current = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('body must be an object');
+  const b   = { ...current, ...body };
+  const out = {};
+  for (const k of ['name', 'room']) {
+    if (b[k] == null || b[k] === '') continue;
+    if (typeof b[k] !== 'string') throw new Error(`${k} must be a string`);
+    const v = b[k].trim();
+    if (v.length > MAX_LEN) throw new Error(`${k} must be at most ${MAX_LEN} characters`);
+    if (v) out[k] = v;
+  }
+  if (b.category != null && b.category !== '') {
+    if (!CATEGORIES.includes(b.category)) throw new Error(`category must be one of ${CATEGORIES.join(', ')}`);
+    out.category = b.category;
+  }
+  return out;
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+function get() {
+  return structuredClone(meta);
+}
+
+/**
+ * Update one circuit's entry and return it; an entry left empty is removed.
+ */
+function set(id, body) {
+  if (!/^\d{1,4}$/.test(id)) throw new Error('circuit id must be a number');
+  const entry = normalize(body, meta[id]);
+  if (Object.keys(entry).length) meta[id] = entry;
+  else delete meta[id];
+  save();
+  return { id, ...entry };
+}
+
+function remove(id) {
+  if (!Object.hasOwn(meta, id)) return false;
+  delete meta[id];
+  save();
+  return true;
+}
+
+/**
+ * Rooms in use, sorted, for the PWA's suggestions.
+ */
+function rooms() {
+  return [...new Set(Object.values(meta).map(m => m.room).filter(Boolean))].sort();
+}
+
+/**
+ * Circuit rows with nickname, room and category added. Stale fields from an
+ * earlier apply() are dropped, so cached rows can be re-applied.
+ */
+function apply(circuits) {
+  return circuits.map(({ nickname, room, category, ...c }) => {
+    const m = Object.hasOwn(meta, c.id) ? meta[c.id] : {};
+    return {
+      ...c,
+      ...(m.name     ? { nickname: m.name }     : {}),
+      ...(m.room     ? { room: m.room }         : {}),
+      ...(m.category ? { category: m.category } : {}),
+    };
+  });
+}
+
+/**
+ * Display name per circuit id: the nickname, else the AiSEG2's name.
+ */
+function names(circuits) {
+  return Object.fromEntries(circuits.map(c => [c.id, (Object.hasOwn(meta, c.id) && meta[c.id].name) || c.name]));
+}
+
+module.exports = { get, set, remove, rooms, apply, names, normalize, CATEGORIES };
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Confirmation of control commands.
+ *
+ * Every command gets an id and is watched until the device state read back
+ * from the AiSEG2 shows what it asked for (`success`), or the deadline passes
+ * (`timeout`). A command the AiSEG2 refused is settled at once (`failed`).
+ * One poll serves every pending command.
+ */
+
+const crypto = require('crypto');
+const { stateOf } = require('./audit');
+
+const POLL_MS    = 1_000;
+const TIMEOUT_MS = 15_000;
+
+const POWER_ACTIONS = ['setACPower', 'setFHPower', 'setBathPower', 'setGeneratePower'];
+
+const newId = () => crypto.randomBytes(6).toString('hex');
+
+/**
+ * Predicate over the device's compact state (audit.stateOf) that holds once
+ * the command has taken effect. `before` is the device list as it was when
+ * the command was sent, for toggles that carry no state of their own.
+ */
+function expectation({ action, state, value }, device, before) {
+  if (POWER_ACTIONS.includes(action)) return s => s.running === value;
+  if (action === 'toggleAC' || action === 'toggleFH') {
+    return s => s.running === (state !== '0x30');   // the AiSEG2 toggles away from the state sent
+  }
+  if (action === 'toggleBath' || action === 'toggleGenerate') {
+    const was = stateOf(device, before)?.running;
+    return s => was == null || s.running !== was;
+  }
+  if (action === 'setACMode')  return s => s.mode === value;
+  if (action === 'setACTemp')  return s => s.temp === Number(value);
+  if (action === 'setACFan')   return s => s.fan === value;
+  if (action === 'setFHLevel') return s => s.level === Number(value);
+  return () => true;
+}
+
+/**
+ * Watch commands until they are confirmed.
+ * read() resolves to a fresh getDevices() result; onResult(cmd, outcome) gets
+ * { status, state, error } once per command.
+ */
+function createTracker({ read, onResult, pollMs = POLL_MS, timeoutMs = TIMEOUT_MS }) {
+  const pending = new Map();   // id → command
+  let timer = null;
+
+  function settle(cmd, outcome) {
+    pending.delete(cmd.id);
+    const result = { state: null, error: null, ...outcome };
+    onResult(cmd, result);
+    cmd.done?.(result);
+  }
+
+  async function poll() {
+    let devices = null, error = null;
+    try { devices = await read(); } catch (e) { error = e.message; }
+    const now = Date.now();
+    for (const cmd of [...pending.values()]) {
+      const state = devices && stateOf(cmd.device, devices);
+      if (state && cmd.check(state)) settle(cmd, { status: 'success', state });
+      else if (now >= cmd.deadline)  settle(cmd, { status: 'timeout', state, error });
+    }
+    timer = pending.size ? setTimeout(poll, pollMs).unref() : null;
+  }
+
+  /**
+   * Start watching a command ({ id, device, check, … }; other fields are
+   * passed back to onResult). Resolves to its outcome once settled.
+   */
+  function track(cmd) {
+    return new Promise(done => {
+      pending.set(cmd.id, { ...cmd, deadline: Date.now() + timeoutMs, done });
+      if (!timer) timer = setTimeout(poll, pollMs).unref();
+    });
+  }
+
+  function fail(cmd, error) {
+    settle(cmd, { status: 'failed', error });
+  }
+
+  return { track, fail, has: id => pending.has(id), pending: () => pending.size };
+}
+
+module.exports = { newId, expectation, createTracker, POWER_ACTIONS };
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Device state log.
+ * Whenever a devices poll shows a device in a different state than the last
+ * one logged, a row is appended to a per-day NDJSON file as
+ * { t, device: { type, nodeId, eoj, name }, state } — the compact state of
+ * audit.stateOf(). The first poll after a start logs every device as a
+ * baseline. States are only seen while devices are polled (see server.js).
+ */
+
+const path = require('path');
+const { dayKey, createDayStore, DATA_DIR } = require('./history');
+const { stateOf } = require('./audit');
+
+const KEEP_DAYS = Number(process.env.DEVICE_LOG_DAYS) || 400;
+
+const store = createDayStore(path.join(DATA_DIR, 'devices'));
+
+/**
+ * Every device in a getDevices() result, in the audit log's device form.
+ */
+function devicesOf(devices) {
+  const named = (type, d) => ({ type, nodeId: d.nodeId, eoj: d.eoj, name: d.nickname || d.name });
+  return [
+    ...(devices.acs || []).map(d => named('ac', d)),
+    ...(devices.fhs || []).map(d => named('fh', d)),
+    ...(devices.enefarm ? [{ type: 'bath' }, { type: 'generate' }] : []),
+  ];
+}
+
+const keyOf = d => d.nodeId ? `${d.nodeId}_${d.eoj}` : d.type;
+
+// Last logged state per device, as JSON
+const last = new Map();
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Log the devices whose state changed. Returns the rows written.
+ */
+function record(devices, t = Date.now()) {
+  const rows = [];
+  for (const device of devicesOf(devices)) {
+    const state = stateOf(device, devices);
+    if (!state) continue;
+    const json = JSON.stringify(state);
+    if (last.get(keyOf(device)) === json) continue;
+    last.set(keyOf(device), json);
+    rows.push({ t, device, state });
+  }
+  if (rows.length) store.append(dayKey(t), rows);
+  return rows;
+}
+
+/**
+ * Logged rows between from and to (epoch ms, inclusive), oldest first.
+ */
+function query(from, to) {
+  return store.between(from, to);
+}
+
+/**
+ * Delete day files older than the retention.
+ */
+function prune(now = Date.now()) {
+  store.prune(KEEP_DAYS, now);
+}
+
+module.exports = { record, query, prune };
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Language-neutral device states.
+ *
+ * Both device backends report states the way the AiSEG2 shows them: hex
+ * codes for AC modes and fan speeds, Japanese text such as "運転中" or
+ * "温度レベル：5". normalize() adds enum and number fields next to them so a
+ * client can show the device in any language:
+ *
+ *   ACs, floor heaters  status       'running' | 'stopped'
+ *   ACs                 modeName     'auto' | 'cool' | 'heat' | 'dry' | 'fan' | null
+ *                       fanSpeed     'auto' | 1–8 | null
+ *                       innerC, outerC, humidityPct   numbers or null
+ *   floor heaters       level        1–9 or null
+ *   enefarm             bathStatus      'auto' | 'stopped' | 'unknown'
+ *                       generateStatus  'generating' | 'stopped' | 'unknown'
+ *
+ * The Japanese fields stay as they were for existing clients.
+ */
+
+const AC_MODES = { '0x41': 'auto', '0x42': 'cool', '0x43': 'heat', '0x44': 'dry', '0x45': 'fan' };
+
+// "21℃", "45%" → number; "-" and missing readings → null
+function reading(v) {
+  const m = /^(-?\d+(?:\.\d+)?)/.exec(v ?? '');
+  return m ? Number(m[1]) : null;
+}
+
+function fanSpeed(hex) {
+  if (hex === '0x41') return 'auto';
+  const n = parseInt(hex, 16) - 0x30;
+  return n >= 1 && n <= 8 ? n : null;
+}
+
+const status = d => d.running ? 'running' : 'stopped';
+
+// The AiSEG2 shows "—" where the Enefarm reports no state
+const known = (label, running, on) => !label || label === '—' ? 'unknown' : running ? on : 'stopped';
+
+/**
+ * A getDevices() result with the language-neutral fields added.
+ */
+function normalize(devices) {
+  if (!devices) return devices;
+  const { enefarm } = devices;
+  return {
+    ...devices,
+    acs: (devices.acs || []).map(ac => ({
+      ...ac,
+      status:      status(ac),
+      modeName:    AC_MODES[ac.mode] ?? null,
+      fanSpeed:    fanSpeed(ac.fan),
+      innerC:      reading(ac.inner),
+      outerC:      reading(ac.outer),
+      humidityPct: reading(ac.humidity),
+    })),
+    fhs: (devices.fhs || []).map(fh => ({
+      ...fh,
+      status: status(fh),
+      level:  reading(/(\d+)/.exec(fh.templevel || '')?.[1]),
+    })),
+    enefarm: enefarm && {
+      ...enefarm,
+      bathStatus:     known(enefarm.bathLabel, enefarm.bathRunning, 'auto'),
+      generateStatus: known(enefarm.generateLabel, enefarm.generateRunning, 'generating'),
+    },
+  };
+}
+
+module.exports = { normalize, AC_MODES };
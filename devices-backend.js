@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Where device status comes from and where control goes to.
+ *
+ *   DEVICE_BACKEND=aiseg2   (default) the AiSEG2's device pages (aiseg2.js)
+ *   DEVICE_BACKEND=echonet  ECHONET Lite straight to the devices (echonet-backend.js);
+ *                           ECHONET_NODES=ip,ip:port adds nodes multicast cannot reach,
+ *                           ECHONET_MULTICAST=0 turns multicast discovery off
+ *
+ * Both provide getDevices, discoverDevices, getPower, setPower, controlAC,
+ * controlFH, controlBath, controlGenerate, setACSettings, setFHLevel and
+ * getToken with the same contracts. getDevices() results get the
+ * language-neutral state fields of device-states.js. Energy readings always
+ * come from the AiSEG2.
+ */
+
+const aiseg2 = require('./aiseg2');
+const { createEchonetBackend } = require('./echonet-backend');
+const deviceStates = require('./device-states');
+
+const NAME = process.env.DEVICE_BACKEND || 'aiseg2';
+
+function create(name) {
+  if (name === 'aiseg2') {
+    const {
+      getDevices, discoverDevices, getPower, setPower,
+      controlAC, controlFH, controlBath, controlGenerate, setACSettings, setFHLevel, getToken,
+    } = aiseg2;
+    return {
+      getDevices, discoverDevices, getPower, setPower,
+      controlAC, controlFH, controlBath, controlGenerate, setACSettings, setFHLevel, getToken,
+    };
+  }
+  if (name === 'echonet') {
+    return createEchonetBackend({
+      nodes:     (process.env.ECHONET_NODES || '').split(',').map(s => s.trim()).filter(Boolean),
+      multicast: process.env.ECHONET_MULTICAST !== '0',
+    });
+  }
+  throw new Error(`DEVICE_BACKEND must be aiseg2 or echonet, not "${name}"`);
+}
+
+const impl = create(NAME);
+
+module.exports = {
+  name: NAME,
+  ...impl,
+  getDevices: async () => deviceStates.normalize(await impl.getDevices()),
+};
@@ -0,0 +1,239 @@
+'use strict';
+
+/**
+ * Device backend that talks ECHONET Lite to the devices directly instead of
+ * going through the AiSEG2's device pages.
+ *
+ * It resolves getDevices() to the same shape as aiseg2.js and takes the same
+ * control calls, so the server, schedules, rules and the PWA need not know
+ * which backend is in use. The node's IP (or "host:port") is the `nodeId`.
+ * On top of what the AiSEG2 pages show, ACs report their power draw
+ * (`powerW`), cumulative energy (`energyKwh`) and dehumidifying target
+ * (`setHumidity`), floor heaters their power draw.
+ */
+
+const echonet = require('./echonet');
+
+const ON  = 0x30;
+const OFF = 0x31;
+
+// ECHONET classes (first four hex digits of the EOJ) → AiSEG2 device type codes
+const CLASSES = {
+  '0x0130': { kind: 'ac',       type: '0x33', label: 'エアコン' },
+  '0x027b': { kind: 'fh',       type: '0x34', label: '床暖房' },
+  '0x027c': { kind: 'enefarm',  type: '0x32', label: 'エネファーム' },
+  '0x0272': { kind: 'bath',     type: '0x37', label: 'ふろ' },
+};
+
+// Properties read per kind
+const AC_EPCS = [0x80, 0xb0, 0xb3, 0xa0, 0xbb, 0xbe, 0xba, 0xb4, 0x84, 0x85];
+const FH_EPCS = [0x80, 0xe1, 0x84];
+
+const byte  = b => b ? b[0] : null;
+const int8  = b => b ? (b[0] > 0x7f ? b[0] - 0x100 : b[0]) : null;
+const uint  = b => b ? b.reduce((n, x) => n * 256 + x, 0) : null;
+const hex   = b => b ? '0x' + b[0].toString(16).padStart(2, '0') : null;
+const label = (v, unit) => v == null || v === 0x7e || v === 0xfd ? null : `${v}${unit}`;   // "unmeasurable" codes
+
+const result = ok => ({ result: ok ? '0' : '1' });
+
+/**
+ * Create an ECHONET Lite backend. `nodes` are hosts to ask directly;
+ * `multicast` also finds nodes on the LAN.
+ */
+function createEchonetBackend({ client = echonet.createClient(), nodes = [], multicast = true, discoveryMs = 2_000 } = {}) {
+  let _devices = null;
+
+  /**
+   * Enumerate devices by ECHONET class. Same shape as aiseg2.discoverDevices().
+   */
+  async function discoverDevices({ force = false } = {}) {
+    if (_devices && !force) return _devices;
+    const found = await client.discover({ nodes, multicast, waitMs: discoveryMs });
+
+    const all = [];
+    for (const { host, eojs } of found) {
+      for (const eoj of eojs) {
+        const cls = CLASSES[eoj.slice(0, 6)];
+        if (cls) all.push({ nodeId: host, eoj, type: cls.type, kind: cls.kind });
+      }
+    }
+    if (all.length === 0) throw new Error('ECHONET Lite discovery found no devices');
+
+    const ofKind = kind => {
+      const list = all.filter(d => d.kind === kind);
+      return list.map(({ nodeId, eoj, type }, i) => ({
+        nodeId, eoj, type, name: CLASSES[eoj.slice(0, 6)].label + (list.length > 1 ? i + 1 : ''),
+      }));
+    };
+    const acs = ofKind('ac'), fhs = ofKind('fh');
+    _devices = {
+      all:     [...acs, ...fhs, ...ofKind('enefarm'), ...ofKind('bath')],
+      acs,
+      fhs,
+      enefarm: ofKind('enefarm')[0] || null,
+      bath:    ofKind('bath')[0] || null,
+    };
+    return _devices;
+  }
+
+  // Read one device, or null when it does not answer
+  const read = (d, epcs) => client.get(d.nodeId, d.eoj, epcs).catch(e => {
+    console.error(`ECHONET Lite ${d.name}:`, e.message);
+    return null;
+  });
+
+  const powerFields = p => {
+    const running = byte(p[0x80]) === ON;
+    return {
+      state:       running ? '0x30' : '0x31',
+      running,
+      stateLabel:  running ? '運転中' : '停止中',
+      buttonLabel: running ? '停止' : '運転',
+    };
+  };
+
+  /**
+   * Current status of all devices, shaped like aiseg2.getDevices().
+   */
+  async function getDevices() {
+    const found = await discoverDevices();
+    const [acProps, fhProps, genProps, bathProps] = await Promise.all([
+      Promise.all(found.acs.map(d => read(d, AC_EPCS))),
+      Promise.all(found.fhs.map(d => read(d, FH_EPCS))),
+      found.enefarm ? read(found.enefarm, [0xcb]) : null,
+      found.bath    ? read(found.bath, [0xe3])    : null,
+    ]);
+
+    const acs = found.acs.flatMap((d, i) => {
+      const p = acProps[i];
+      if (!p) return [];
+      const energy = uint(p[0x85]);
+      return [{
+        nodeId:      d.nodeId,
+        eoj:         d.eoj,
+        type:        d.type,
+        name:        d.name,
+        ...powerFields(p),
+        inner:       label(int8(p[0xbb]), '℃'),
+        outer:       label(int8(p[0xbe]), '℃'),
+        humidity:    label(byte(p[0xba]), '%'),
+        mode:        hex(p[0xb0]),
+        tempC:       byte(p[0xb3]),
+        fan:         hex(p[0xa0]),
+        setHumidity: byte(p[0xb4]),
+        powerW:      uint(p[0x84]),
+        energyKwh:   energy == null ? null : energy / 1000,
+      }];
+    });
+
+    const fhs = found.fhs.flatMap((d, i) => {
+      const p = fhProps[i];
+      if (!p) return [];
+      const level = byte(p[0xe1]);
+      return [{
+        nodeId:    d.nodeId,
+        eoj:       d.eoj,
+        type:      d.type,
+        name:      d.name,
+        ...powerFields(p),
+        templevel: level >= 0x31 && level <= 0x3f ? `温度レベル：${level - 0x30}` : null,
+        powerW:    uint(p[0x84]),
+      }];
+    });
+
+    const generating = byte(genProps?.[0xcb]) === 0x41;
+    const bathOn     = byte(bathProps?.[0xe3]) === 0x41;
+    const enefarm = !found.enefarm && !found.bath ? null : {
+      bathRunning:     bathOn,
+      bathLabel:       bathProps ? (bathOn ? '自動運転中' : '停止中') : '—',
+      bathButton:      'ふろ自動',
+      generateRunning: generating,
+      generateLabel:   genProps ? (generating ? '発電中' : '停止中') : '—',
+      generateButton:  generating ? '発電 停止' : '発電 開始',
+    };
+
+    return { token: null, acs, fhs, enefarm };
+  }
+
+  // ── Control ──────────────────────────────────────────────────────────────
+
+  const set = async (d, values) => result((await client.set(d.nodeId, d.eoj, values)).ok);
+
+  async function enefarmPart(kind) {
+    const found = await discoverDevices();
+    const d = kind === 'bath' ? found.bath : found.enefarm;
+    if (!d) throw new Error(kind === 'bath' ? 'no water heater (0x0272) discovered' : 'no fuel cell (0x027c) discovered');
+    return d;
+  }
+
+  /**
+   * Whether one device is running, read fresh. Same contract as aiseg2.getPower().
+   */
+  async function getPower(device) {
+    if (device.type === 'ac' || device.type === 'fh') {
+      const p = await client.get(device.nodeId, device.eoj, [0x80]);
+      const running = byte(p[0x80]) === ON;
+      return { running, state: running ? '0x30' : '0x31' };
+    }
+    if (device.type === 'bath' || device.type === 'generate') {
+      const d   = await enefarmPart(device.type);
+      const epc = device.type === 'bath' ? 0xe3 : 0xcb;
+      const p   = await client.get(d.nodeId, d.eoj, [epc]);
+      return { running: byte(p[epc]) === 0x41, state: null };
+    }
+    throw new Error(`unknown device type: ${device.type}`);
+  }
+
+  /**
+   * Switch a device on or off. ECHONET Lite has absolute settings, so unlike
+   * the AiSEG2 no toggle is needed; the caller confirms the new state.
+   */
+  async function setPower(device, on) {
+    const before = await getPower(device);
+    if (before.running === on) return { result: '0', changed: false };
+
+    let res;
+    if (device.type === 'ac' || device.type === 'fh') res = await set(device, { 0x80: [on ? ON : OFF] });
+    else if (device.type === 'bath') res = await set(await enefarmPart('bath'), { 0xe3: [on ? 0x41 : 0x42] });
+    else res = await set(await enefarmPart('generate'), { 0xca: [on ? 0x41 : 0x42] });
+    return { ...res, changed: res.result === '0' };
+  }
+
+  // The AiSEG2-style calls: toggles away from the state sent, settings by type
+  const controlAC = (nodeId, eoj, state) => set({ nodeId, eoj }, { 0x80: [state === '0x30' ? OFF : ON] });
+  const controlFH = controlAC;
+
+  async function controlBath() {
+    const { running } = await getPower({ type: 'bath' });
+    return set(await enefarmPart('bath'), { 0xe3: [running ? 0x42 : 0x41] });
+  }
+
+  async function controlGenerate() {
+    const { running } = await getPower({ type: 'generate' });
+    return set(await enefarmPart('generate'), { 0xca: [running ? 0x42 : 0x41] });
+  }
+
+  /**
+   * settingType: 1=mode (0xB0), 2=temperature °C (0xB3), 3=fan speed (0xA0).
+   */
+  function setACSettings(nodeId, eoj, settingType, value) {
+    const epc = { 1: 0xb0, 2: 0xb3, 3: 0xa0 }[settingType];
+    if (!epc) throw new Error(`unknown AC setting: ${settingType}`);
+    const v = settingType === 2 ? Number(value) : parseInt(value, 16);
+    return set({ nodeId, eoj }, { [epc]: [v] });
+  }
+
+  function setFHLevel(nodeId, eoj, currentState, level) {
+    return set({ nodeId, eoj }, { 0xe1: [0x30 + Math.max(1, Math.min(9, level))] });
+  }
+
+  return {
+    getDevices, discoverDevices, getPower, setPower,
+    controlAC, controlFH, controlBath, controlGenerate, setACSettings, setFHLevel,
+    getToken: async () => null,
+    close: () => client.close(),
+  };
+}
+
+module.exports = { createEchonetBackend, CLASSES };
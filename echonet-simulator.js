@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * Mock ECHONET Lite node for offline development and tests.
+ * Answers Get/SetC for a node profile and a small house of device objects —
+ * two air conditioners, a floor heater, an Enefarm fuel cell and its water
+ * heater — whose state follows what is set. Replies go to the port a request
+ * came from, so a client on any port works.
+ *
+ *   npm run sim:echonet                                          # udp/3611 (ECHONET_SIM_PORT)
+ *   DEVICE_BACKEND=echonet ECHONET_NODES=127.0.0.1:3611 npm start
+ *
+ * It defaults to 3611 because the dashboard's own client binds 3610.
+ */
+
+const dgram = require('dgram');
+const { encode, decode, ESV, MULTICAST } = require('./echonet');
+
+const ON  = 0x30;
+const OFF = 0x31;
+
+// ── Initial state ────────────────────────────────────────────────────────────
+
+function initialObjects() {
+  return {
+    '0x013001': {   // home air conditioner
+      0x80: [ON], 0xb0: [0x43], 0xb3: [22], 0xa0: [0x41], 0xbb: [21], 0xbe: [8], 0xba: [45], 0xb4: [50],
+      0x84: [0x02, 0x8a], 0x85: [0x00, 0x00, 0x30, 0x39],
+    },
+    '0x013002': {
+      0x80: [OFF], 0xb0: [0x42], 0xb3: [26], 0xa0: [0x33], 0xbb: [24], 0xbe: [8], 0xba: [50], 0xb4: [55],
+      0x84: [0x00, 0x00], 0x85: [0x00, 0x00, 0x12, 0x34],
+    },
+    '0x027b01': { 0x80: [OFF], 0xe1: [0x35], 0x84: [0x00, 0x00] },   // floor heater, level 5
+    '0x027c01': { 0x80: [ON], 0xcb: [0x41], 0xc4: [0x02, 0xbc] },     // fuel cell, generating 700 W
+    '0x027201': { 0x80: [ON], 0xe3: [0x42] },                         // instantaneous water heater, bath auto off
+  };
+}
+
+// Properties a controller may set, and what follows from setting them
+const WRITABLE = {
+  '0x0130': [0x80, 0xb0, 0xb3, 0xa0, 0xb4],
+  '0x027b': [0x80, 0xe1],
+  '0x027c': [0xca],
+  '0x0272': [0xe3],
+};
+
+const word = n => [(n >> 8) & 0xff, n & 0xff];
+
+function afterSet(eoj, props) {
+  const cls = eoj.slice(0, 6);
+  if (cls === '0x0130') props[0x84] = word(props[0x80][0] === ON ? 650 : 0);
+  if (cls === '0x027b') props[0x84] = word(props[0x80][0] === ON ? 40 * (props[0xe1][0] - 0x30) : 0);
+  if (cls === '0x027c' && props[0xca]) {
+    props[0xcb] = [props[0xca][0] === 0x41 ? 0x41 : 0x42];
+    props[0xc4] = word(props[0xcb][0] === 0x41 ? 700 : 0);
+    delete props[0xca];   // a write-only request, read back as the status
+  }
+}
+
+function valid(epc, edt) {
+  if (edt.length !== 1) return false;
+  const v = edt[0];
+  if (epc === 0x80) return v === ON || v === OFF;
+  if (epc === 0xb0) return v >= 0x40 && v <= 0x45;
+  if (epc === 0xb3) return v <= 50;
+  if (epc === 0xa0) return v === 0x41 || (v >= 0x31 && v <= 0x38);
+  if (epc === 0xb4) return v <= 100;
+  if (epc === 0xe1) return v >= 0x31 && v <= 0x3f;
+  return v === 0x41 || v === 0x42;   // 0xca, 0xe3
+}
+
+// ── Node ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Create a simulated node. `objects` maps EOJ → { [epc]: byte array };
+ * `state` is exposed (as on the AiSEG2 simulator) so tests can inspect it.
+ */
+function createEchonetSimulator({ objects = initialObjects() } = {}) {
+  const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+  const stats  = { requests: 0 };
+
+  function profile() {
+    const eojs = Object.keys(objects);
+    return {
+      0x80: [ON],
+      0xd6: [eojs.length, ...eojs.flatMap(e => [...Buffer.from(e.slice(2), 'hex')])],
+    };
+  }
+
+  function handle(f) {
+    const props = f.deoj === '0x0ef001' || f.deoj === '0x0ef002' ? profile() : objects[f.deoj];
+    if (!props) return null;   // no such object: ignore, like a real node
+
+    if (f.esv === ESV.Get) {
+      const out = f.props.map(({ epc }) => ({ epc, edt: props[epc] || [] }));
+      const esv = out.every(p => p.edt.length) ? ESV.Get_Res : ESV.Get_SNA;
+      return { tid: f.tid, seoj: f.deoj, deoj: f.seoj, esv, props: out };
+    }
+    if (f.esv === ESV.SetC) {
+      const writable = WRITABLE[f.deoj.slice(0, 6)] || [];
+      const out = f.props.map(({ epc, edt }) => {
+        if (!writable.includes(epc) || !valid(epc, edt)) return { epc, edt };   // refused: echoed back
+        props[epc] = [...edt];
+        return { epc, edt: [] };
+      });
+      afterSet(f.deoj, props);
+      const esv = out.every(p => !p.edt.length) ? ESV.Set_Res : ESV.SetC_SNA;
+      return { tid: f.tid, seoj: f.deoj, deoj: f.seoj, esv, props: out };
+    }
+    return null;
+  }
+
+  socket.on('message', (buf, rinfo) => {
+    const f = decode(buf);
+    if (!f) return;
+    stats.requests++;
+    const reply = handle(f);
+    if (reply) socket.send(encode(reply), rinfo.port, rinfo.address);
+  });
+
+  return {
+    state: objects,
+    stats,
+    listen(port = 3611, address = '0.0.0.0') {
+      return new Promise((resolve, reject) => {
+        socket.once('error', reject);
+        socket.bind(port, address, () => {
+          socket.off('error', reject);
+          if (address === '0.0.0.0') {
+            try { socket.addMembership(MULTICAST); } catch { /* no multicast route */ }
+          }
+          resolve(socket.address());
+        });
+      });
+    },
+    close() {
+      return new Promise(r => socket.close(r));
+    },
+  };
+}
+
+module.exports = { createEchonetSimulator };
+
+if (require.main === module) {
+  const port = Number(process.env.ECHONET_SIM_PORT) || 3611;
+  createEchonetSimulator().listen(port).then(() => {
+    console.log(`ECHONET Lite simulator on udp/${port}`);
+  });
+}
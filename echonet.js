@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * ECHONET Lite client over UDP (port 3610).
+ *
+ * Reads and writes properties of device objects and finds instances by
+ * multicasting a Get of the node profile's instance list (0xD6). Nodes are
+ * addressed by IP, or "host:port" for nodes that do not listen on 3610 (the
+ * simulator). Requests are matched to responses by transaction id.
+ */
+
+const dgram = require('dgram');
+
+const PORT      = 3610;
+const MULTICAST = '224.0.23.0';
+
+const EHD          = [0x10, 0x81];   // ECHONET Lite, format 1 (specified message format)
+const NODE_PROFILE = '0x0ef001';
+const CONTROLLER   = '0x05ff01';     // our own object: controller class, instance 1
+
+// Service codes (ESV)
+const ESV = {
+  SetC_SNA: 0x51, Get_SNA: 0x52,
+  SetC:     0x61, Get:     0x62, INF_REQ: 0x63,
+  Set_Res:  0x71, Get_Res: 0x72, INF:     0x73,
+};
+
+const REPLIES = {
+  [ESV.SetC]: [ESV.Set_Res, ESV.SetC_SNA],
+  [ESV.Get]:  [ESV.Get_Res, ESV.Get_SNA],
+};
+
+// ── Frames ───────────────────────────────────────────────────────────────────
+
+const eojBytes = eoj => {
+  const n = parseInt(eoj, 16);
+  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+};
+const eojString = b => '0x' + Buffer.from(b).toString('hex');
+
+/**
+ * Encode a frame. props: [{ epc, edt }] where edt is a Buffer or byte array
+ * (empty for Get).
+ */
+function encode({ tid, seoj, deoj, esv, props }) {
+  const bytes = [...EHD, (tid >> 8) & 0xff, tid & 0xff, ...eojBytes(seoj), ...eojBytes(deoj), esv, props.length];
+  for (const { epc, edt = [] } of props) bytes.push(epc, edt.length, ...edt);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode a frame, or null for anything that is not a well-formed ECHONET
+ * Lite format 1 message.
+ */
+function decode(buf) {
+  if (buf.length < 12 || buf[0] !== EHD[0] || buf[1] !== EHD[1]) return null;
+  const frame = {
+    tid:   buf.readUInt16BE(2),
+    seoj:  eojString(buf.subarray(4, 7)),
+    deoj:  eojString(buf.subarray(7, 10)),
+    esv:   buf[10],
+    props: [],
+  };
+  let i = 12;
+  for (let n = 0; n < buf[11]; n++) {
+    if (i + 2 > buf.length) return null;
+    const pdc = buf[i + 1];
+    if (i + 2 + pdc > buf.length) return null;
+    frame.props.push({ epc: buf[i], edt: buf.subarray(i + 2, i + 2 + pdc) });
+    i += 2 + pdc;
+  }
+  return frame;
+}
+
+/**
+ * Instance list (EDT of node profile 0xD6): count, then 3-byte EOJs.
+ */
+function parseInstanceList(edt) {
+  const out = [];
+  for (let i = 1; i + 3 <= edt.length && out.length < edt[0]; i += 3) out.push(eojString(edt.subarray(i, i + 3)));
+  return out;
+}
+
+function parseHost(host) {
+  const m = /^(.+):(\d+)$/.exec(host);
+  return m ? { address: m[1], port: Number(m[2]) } : { address: host, port: PORT };
+}
+
+// ── Client ───────────────────────────────────────────────────────────────────
+
+/**
+ * Create a client. `port` is the local port — 3610, since devices answer to
+ * that port rather than the one a request came from; tests pass 0.
+ */
+function createClient({ port = PORT, address = '0.0.0.0', timeoutMs = 3_000 } = {}) {
+  const pending = new Map();   // tid → { host, accept, done }
+  let socket  = null;
+  let started = null;
+  let tid     = Math.floor(Math.random() * 0x10000);
+
+  function start() {
+    if (started) return started;
+    socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    socket.on('message', (buf, rinfo) => {
+      const frame = decode(buf);
+      const p     = frame && pending.get(frame.tid);
+      if (!p || !p.accept(frame, rinfo)) return;
+      p.done(frame, rinfo);
+    });
+    socket.on('error', e => console.error('ECHONET Lite socket:', e.message));
+    started = new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind(port, address, () => {
+        socket.off('error', reject);
+        socket.unref();
+        resolve();
+      });
+    });
+    return started;
+  }
+
+  const nextTid = () => (tid = (tid + 1) & 0xffff);
+
+  async function send(address, port, frame) {
+    await start();
+    await new Promise((resolve, reject) => socket.send(encode(frame), port, address, e => e ? reject(e) : resolve()));
+  }
+
+  /**
+   * One request, resolving to the response frame. The reply has to come from
+   * the addressed node and carry one of the expected service codes.
+   */
+  async function request(host, deoj, esv, props) {
+    const { address, port } = parseHost(host);
+    const id = nextTid();
+    const result = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`ECHONET Lite: no response from ${host} (${deoj})`));
+      }, timeoutMs);
+      pending.set(id, {
+        accept: (f, rinfo) => rinfo.address === address && REPLIES[esv].includes(f.esv),
+        done:   f => { clearTimeout(timer); pending.delete(id); resolve(f); },
+      });
+    });
+    try {
+      await send(address, port, { tid: id, seoj: CONTROLLER, deoj, esv, props });
+    } catch (e) {
+      pending.get(id)?.done(null);
+      throw e;
+    }
+    return result;
+  }
+
+  /**
+   * Read properties; resolves to { [epc]: Buffer } with the ones the device
+   * answered (a Get_SNA leaves out what it could not read).
+   */
+  async function get(host, eoj, epcs) {
+    const f = await request(host, eoj, ESV.Get, epcs.map(epc => ({ epc })));
+    const out = {};
+    for (const { epc, edt } of f.props) if (edt.length) out[epc] = edt;
+    return out;
+  }
+
+  /**
+   * Write properties ({ [epc]: Buffer | byte array }); resolves to
+   * { ok, rejected } with the EPCs the device refused.
+   */
+  async function set(host, eoj, values) {
+    const props = Object.entries(values).map(([epc, edt]) => ({ epc: Number(epc), edt: [...edt] }));
+    const f = await request(host, eoj, ESV.SetC, props);
+    const rejected = f.props.filter(p => p.edt.length).map(p => p.epc);   // refused ones are echoed back
+    return { ok: f.esv === ESV.Set_Res && rejected.length === 0, rejected };
+  }
+
+  /**
+   * Find nodes and their device objects: multicast a Get of the instance list
+   * (unless `multicast` is false) and ask each of `nodes` directly, then
+   * collect answers for `waitMs`. Resolves to [{ host, eojs }].
+   */
+  async function discover({ nodes = [], multicast = true, waitMs = 2_000 } = {}) {
+    const id    = nextTid();
+    const found = new Map();   // host → eojs
+    const known = new Map(nodes.map(h => [parseHost(h).address, h]));
+    pending.set(id, {
+      accept: f => f.esv === ESV.Get_Res && f.seoj.startsWith('0x0ef0'),
+      done:   (f, rinfo) => {
+        const list = f.props.find(p => p.epc === 0xd6);
+        if (list) found.set(known.get(rinfo.address) || rinfo.address, parseInstanceList(list.edt));
+      },
+    });
+    const frame = { tid: id, seoj: CONTROLLER, deoj: NODE_PROFILE, esv: ESV.Get, props: [{ epc: 0xd6 }] };
+    try {
+      const targets = nodes.map(parseHost);
+      if (multicast) targets.push({ address: MULTICAST, port: PORT });
+      await Promise.all(targets.map(t => send(t.address, t.port, frame).catch(e => {
+        console.error(`ECHONET Lite discovery to ${t.address}:`, e.message);
+      })));
+      await new Promise(r => setTimeout(r, waitMs));
+    } finally {
+      pending.delete(id);
+    }
+    return [...found].map(([host, eojs]) => ({ host, eojs }));
+  }
+
+  function close() {
+    if (socket) socket.close();
+    socket = started = null;
+  }
+
+  return { get, set, discover, close };
+}
+
+module.exports = { createClient, encode, decode, parseInstanceList, ESV, PORT, MULTICAST };
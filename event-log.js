@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * Append-only NDJSON event log, as kept by rules.js, alerts.js and audit.js.
+ * Entries are filed by the day of their `t` in one file per day (see
+ * history.js) so old days can be pruned and reads stop at the days they need.
+ * Writes never throw (a failed write is logged under `label`); reads return
+ * the newest entries first, ordered by `t`, then by the `tiebreak` field if
+ * given, then newest written first.
+ *
+ * A log kept as a single file by earlier versions (`legacy`) is split into
+ * day files on first use; `upgrade` may rewrite each of its entries.
+ */
+
+const fs = require('fs');
+const { dayKey, createDayStore } = require('./history');
+
+function createLog(dir, label, { keepDays = 400, legacy = null, upgrade = e => e, tiebreak = null } = {}) {
+  const store = createDayStore(dir);
+  const newestFirst = (a, b) => b.t - a.t || (tiebreak ? String(b[tiebreak]).localeCompare(String(a[tiebreak])) : 0);
+  let migrated = !legacy;
+
+  function migrate() {
+    migrated = true;
+    let text;
+    try { text = fs.readFileSync(legacy, 'utf8'); } catch { return; }
+    const days = new Map();
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      let e;
+      try { e = upgrade(JSON.parse(line)); } catch { continue; }   // torn line
+      const key = dayKey(e.t);
+      if (!days.has(key)) days.set(key, []);
+      days.get(key).push(e);
+    }
+    try {
+      for (const [key, rows] of days) store.append(key, rows);
+      fs.unlinkSync(legacy);
+    } catch (e) {
+      console.error(`${label} log migration:`, e.message);
+    }
+  }
+
+  function append(entry) {
+    if (!migrated) migrate();
+    try {
+      store.append(dayKey(entry.t), [entry]);
+    } catch (e) {
+      console.error(`${label} log write:`, e.message);
+    }
+  }
+
+  /**
+   * Up to `limit` entries between from and to (epoch ms, inclusive) that
+   * pass `filter`, newest first.
+   */
+  function read({ limit = 100, from = 0, to = Infinity, filter = () => true } = {}) {
+    if (!migrated) migrate();
+    const first = dayKey(from);
+    const last  = Number.isFinite(to) ? dayKey(to) : '9999-99-99';
+    const out = [];
+    for (const key of store.keys().reverse()) {
+      if (out.length >= limit || key < first) break;
+      if (key > last) continue;
+      const rows = store.read(key).filter(e => e.t >= from && e.t <= to && filter(e)).reverse().sort(newestFirst);
+      out.push(...rows.slice(0, limit - out.length));
+    }
+    return out;
+  }
+
+  function prune(now = Date.now()) {
+    store.prune(keepDays, now);
+  }
+
+  return { append, read, prune };
+}
+
+module.exports = { createLog };
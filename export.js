@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * Export of recorded data as CSV or NDJSON for spreadsheets and notebooks.
+ *
+ * Datasets:
+ *   realtime  power samples from history.js (resolution raw, 1m, 15m or auto)
+ *   totals    daily kWh from archive.js
+ *   circuits  kWh per circuit per day, or per hour with resolution=hour
+ *   devices   device state changes from device-log.js
+ *
+ * Rows carry epoch ms (`t`) where they have a time, plus a local `time` (or
+ * `date`) spreadsheets can read. CSV starts with a UTF-8 BOM so Excel shows
+ * the Japanese names.
+ */
+
+const history        = require('./history');
+const archive        = require('./archive');
+const circuitHistory = require('./circuit-history');
+const deviceLog      = require('./device-log');
+
+const FORMATS = {
+  csv:    { type: 'text/csv; charset=utf-8',             ext: 'csv' },
+  ndjson: { type: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' },
+};
+
+const p2 = n => String(n).padStart(2, '0');
+
+// "YYYY-MM-DD HH:MM:SS" in local time
+function localTime(t) {
+  const d = new Date(t);
+  return `${history.dayKey(t)} ${p2(d.getHours())}:${p2(d.getMinutes())}:${p2(d.getSeconds())}`;
+}
+
+/**
+ * Parse from/to: epoch ms, a "YYYY-MM-DD" day (from its start, through its
+ * end for `to`) or anything Date.parse understands. Defaults to the last
+ * seven days; throws on a bad or reversed range.
+ */
+function range({ from, to } = {}, now = Date.now()) {
+  const parse = (v, end) => {
+    if (/^\d+$/.test(v)) return Number(v);
+    const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(v);
+    if (!day) return Date.parse(v);
+    const start = new Date(+day[1], day[2] - 1, +day[3]);
+    if (end) start.setDate(start.getDate() + 1);
+    return start.getTime() - (end ? 1 : 0);
+  };
+  const t = to   ? parse(to, true)   : now;
+  const f = from ? parse(from, false) : t - 7 * 86_400_000;
+  if (!Number.isFinite(f) || !Number.isFinite(t) || f > t) throw new Error('invalid from/to');
+  return { from: f, to: t };
+}
+
+// ── Datasets ─────────────────────────────────────────────────────────────────
+
+const DATASETS = {
+  realtime: {
+    columns: ['time', 't', 'gen_kw', 'use_kw', 'solar_w', 'enefarm_w', 'selling', 'battery_pct', 'n'],
+    rows: ({ from, to, resolution = 'auto' }) =>
+      history.query({ from, to, resolution }).samples.map(s => ({ time: localTime(s.t), ...s })),
+  },
+  totals: {
+    columns: ['date', 'solar', 'consumption', 'purchase', 'sold'],
+    rows: ({ from, to }) => archive.daily({ from: history.dayKey(from), to: history.dayKey(to) }),
+  },
+  circuits: {
+    columns: ['date', 'time', 't', 'id', 'name', 'kwh'],
+    rows: ({ from, to, resolution = 'day', circuitNames = {} }) => {
+      const daily = circuitHistory.dailyTotals(from, to);
+      if (resolution === 'day') {
+        return Object.entries(daily).flatMap(([date, day]) =>
+          Object.entries(day).map(([id, kwh]) => ({ date, id, name: circuitNames[id] ?? null, kwh })));
+      }
+      if (resolution !== 'hour') throw new Error('circuits resolution must be day or hour');
+      const ids = [...new Set(Object.values(daily).flatMap(Object.keys))];
+      return ids
+        .flatMap(id => circuitHistory.hourly(id, from, to).map(h => ({
+          date: history.dayKey(h.t), time: localTime(h.t), t: h.t, id, name: circuitNames[id] ?? null, kwh: h.kwh,
+        })))
+        .sort((a, b) => a.t - b.t);
+    },
+  },
+  devices: {
+    columns: ['time', 't', 'type', 'nodeId', 'eoj', 'name', 'running', 'mode', 'temp', 'fan', 'level'],
+    rows: ({ from, to }) => deviceLog.query(from, to).map(r => ({
+      time: localTime(r.t), t: r.t, ...r.device, ...r.state,
+    })),
+  },
+};
+
+// ── Formats ──────────────────────────────────────────────────────────────────
+
+function csvCell(v) {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const r of rows) lines.push(columns.map(c => csvCell(r[c])).join(','));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function toNdjson(columns, rows) {
+  return rows.map(r => {
+    const o = {};
+    for (const c of columns) if (r[c] !== undefined) o[c] = r[c];
+    return JSON.stringify(o) + '\n';
+  }).join('');
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Build one export. query: { dataset, format, from, to, resolution };
+ * circuitNames maps circuit ids to names. Returns { body, type, filename };
+ * throws on a bad request.
+ */
+function build(query, { circuitNames, now = Date.now() } = {}) {
+  const dataset = Object.hasOwn(DATASETS, query.dataset) && DATASETS[query.dataset];
+  if (!dataset) throw new Error(`dataset must be one of ${Object.keys(DATASETS).join(', ')}`);
+  const format = Object.hasOwn(FORMATS, query.format || 'csv') && FORMATS[query.format || 'csv'];
+  if (!format) throw new Error(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+
+  const { from, to } = range(query, now);
+  const rows = dataset.rows({ from, to, resolution: query.resolution || undefined, circuitNames });
+  const body = format === FORMATS.csv ? toCsv(dataset.columns, rows) : toNdjson(dataset.columns, rows);
+  return {
+    body,
+    type:     format.type,
+    filename: `aiseg2-${query.dataset}-${history.dayKey(from)}_${history.dayKey(to)}.${format.ext}`,
+  };
+}
+
+module.exports = { build, range, toCsv, DATASETS };
@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * Realtime power history.
+ * Every sample is appended to a per-day NDJSON file; 1-minute and 15-minute
+ * rollups are written as each bucket closes. Old day files are pruned by
+ * per-resolution retention.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const DATA_DIR    = process.env.AISEG2_DATA_DIR || path.join(__dirname, 'data');
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+
+// Bucket width (ms) and retention (days) per resolution
+const RESOLUTIONS = {
+  raw:   { step: 0,       keepDays: Number(process.env.HISTORY_RAW_DAYS) || 3   },
+  '1m':  { step: 60_000,  keepDays: Number(process.env.HISTORY_1M_DAYS)  || 35  },
+  '15m': { step: 900_000, keepDays: Number(process.env.HISTORY_15M_DAYS) || 800 },
+};
+
+const FIELDS = ['gen_kw', 'use_kw', 'solar_w', 'enefarm_w'];
+
+// Nothing older than the longest retention is kept
+const MAX_KEEP_MS = Math.max(...Object.values(RESOLUTIONS).map(r => r.keepDays)) * 86_400_000;
+
+// ── Files ────────────────────────────────────────────────────────────────────
+
+function dayKey(t) {
+  const d = new Date(t);
+  const p = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}`;
+}
+
+// Day keys from the day containing `from` through the day containing `to`
+function dayKeys(from, to) {
+  const keys = [];
+  const d = new Date(from); d.setHours(0, 0, 0, 0);
+  for (; d.getTime() <= to; d.setDate(d.getDate() + 1)) keys.push(dayKey(d));
+  return keys;
+}
+
+/**
+ * Rows stored as one NDJSON file per local day, `<dir>/YYYY-MM-DD.ndjson`.
+ * Missing files read as empty and torn lines are skipped.
+ */
+function createDayStore(dir) {
+  const file = key => path.join(dir, `${key}.ndjson`);
+
+  function append(key, rows) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(file(key), rows.map(r => JSON.stringify(r)).join('\n') + '\n');
+  }
+
+  function read(key) {
+    let text;
+    try { text = fs.readFileSync(file(key), 'utf8'); } catch { return []; }
+    const rows = [];
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try { rows.push(JSON.parse(line)); } catch { /* skip torn line */ }
+    }
+    return rows;
+  }
+
+  // Rows with `t` between from and to (epoch ms, inclusive), in file order
+  function between(from, to) {
+    const out = [];
+    for (const key of dayKeys(from, to)) {
+      for (const r of read(key)) if (r.t >= from && r.t <= to) out.push(r);
+    }
+    return out;
+  }
+
+  // Keys of the days on disk, oldest first
+  function keys() {
+    let files;
+    try { files = fs.readdirSync(dir); } catch { return []; }
+    return files.filter(f => f.endsWith('.ndjson')).map(f => f.slice(0, -7)).sort();
+  }
+
+  // Delete the days older than keepDays before now
+  function prune(keepDays, now = Date.now()) {
+    const cutoff = dayKey(now - keepDays * 86_400_000);
+    for (const key of keys()) if (key < cutoff) fs.unlinkSync(file(key));
+  }
+
+  return { append, read, between, keys, prune };
+}
+
+const stores = Object.fromEntries(Object.keys(RESOLUTIONS).map(res => [res, createDayStore(path.join(HISTORY_DIR, res))]));
+
+function append(res, row) {
+  stores[res].append(dayKey(row.t), [row]);
+}
+
+// ── Rollups ──────────────────────────────────────────────────────────────────
+
+// Open bucket per rollup resolution: { start, n, sums, sellN, battery }
+const open = {};
+
+function rollup(bucket) {
+  const row = { t: bucket.start, n: bucket.n };
+  for (const f of FIELDS) row[f] = +(bucket.sums[f] / bucket.n).toFixed(3);
+  row.selling     = +(bucket.sellN / bucket.n).toFixed(3);   // fraction of samples selling
+  row.battery_pct = bucket.battery;
+  return row;
+}
+
+function addToBucket(res, sample) {
+  const { step } = RESOLUTIONS[res];
+  const start = Math.floor(sample.t / step) * step;
+  let b = open[res];
+  if (b && b.start !== start) {
+    append(res, rollup(b));
+    b = null;
+  }
+  if (!b) {
+    b = open[res] = { start, n: 0, sums: Object.fromEntries(FIELDS.map(f => [f, 0])), sellN: 0, battery: null };
+  }
+  b.n++;
+  for (const f of FIELDS) b.sums[f] += sample[f];
+  if (sample.selling) b.sellN++;
+  if (sample.battery_pct != null) b.battery = sample.battery_pct;
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Record one realtime sample (as returned by aiseg2.getRealtime()).
+ */
+function record(data, t = Date.now()) {
+  const sample = {
+    t,
+    gen_kw:      data.gen_kw,
+    use_kw:      data.use_kw,
+    solar_w:     data.solar_w,
+    enefarm_w:   data.enefarm_w,
+    selling:     data.selling,
+    battery_pct: data.battery_pct,
+  };
+  append('raw', sample);
+  addToBucket('1m', sample);
+  addToBucket('15m', sample);
+}
+
+/**
+ * Pick a resolution that keeps a query under a few thousand points.
+ */
+function autoResolution(from, to) {
+  const span = to - from;
+  if (span <= 6 * 3_600_000)  return 'raw';
+  if (span <= 3 * 86_400_000) return '1m';
+  return '15m';
+}
+
+/**
+ * Samples between from and to (epoch ms, inclusive) at the given resolution.
+ * Rollup rows carry averages and `selling` as the fraction of samples selling.
+ * The range is clamped to what can be on disk: the longest retention up to now.
+ */
+function query({ from, to, resolution = 'auto', now = Date.now() }) {
+  from = Math.max(from, now - MAX_KEEP_MS);
+  to   = Math.min(to, now);
+  const res = resolution === 'auto' ? autoResolution(from, to) : resolution;
+  if (!RESOLUTIONS[res]) throw new Error(`unknown resolution: ${resolution}`);
+
+  const rows = stores[res].between(from, to);
+  // The open bucket is not on disk yet
+  if (open[res] && open[res].start >= from && open[res].start <= to) rows.push(rollup(open[res]));
+  return { resolution: res, from, to, samples: rows };
+}
+
+/**
+ * Delete day files older than each resolution's retention.
+ */
+function prune(now = Date.now()) {
+  for (const [res, { keepDays }] of Object.entries(RESOLUTIONS)) stores[res].prune(keepDays, now);
+}
+
+module.exports = { record, query, prune, dayKey, dayKeys, createDayStore, RESOLUTIONS, DATA_DIR };
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * Prometheus text exposition for GET /metrics.
+ * Built on demand from the server's cache — scraping never hits the AiSEG2.
+ */
+
+// ── Text format helpers ──────────────────────────────────────────────────────
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelStr(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Collects samples grouped by metric so HELP/TYPE are written once each.
+ */
+function createRegistry() {
+  const metrics = new Map();
+  return {
+    // suffix is for summary parts (_sum, _count)
+    add(name, type, help, value, labels = {}, suffix = '') {
+      if (value == null || !Number.isFinite(Number(value))) return;
+      if (!metrics.has(name)) metrics.set(name, { type, help, samples: [] });
+      metrics.get(name).samples.push(`${name}${suffix}${labelStr(labels)} ${Number(value)}`);
+    },
+    render() {
+      const out = [];
+      for (const [name, m] of metrics) {
+        out.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`, ...m.samples);
+      }
+      return out.join('\n') + '\n';
+    },
+  };
+}
+
+// "21℃" / "45%" / "-" → number or null
+function num(v) {
+  if (v == null) return null;
+  const m = String(v).match(/-?\d+(\.\d+)?/);
+  return m ? parseFloat(m[0]) : null;
+}
+
+const bool = v => (v ? 1 : 0);
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Render all metrics.
+ * cache: the server's cache object; upstream: aiseg2.upstreamStats();
+ * breaker: aiseg2.breakerStatus(); wsClients: connected WebSocket count.
+ */
+function render({ cache, upstream = {}, breaker = null, wsClients = 0, now = Date.now() }) {
+  const reg = createRegistry();
+  const g = (name, help, value, labels) => reg.add(name, 'gauge', help, value, labels);
+
+  const rt = cache.realtime;
+  if (rt) {
+    const netKw = rt.gen_kw - rt.use_kw;
+    g('aiseg2_generation_kw',  'Total generation (solar + Enefarm) in kW.', rt.gen_kw);
+    g('aiseg2_consumption_kw', 'Household consumption in kW.', rt.use_kw);
+    g('aiseg2_solar_watts',    'Solar generation in W.', rt.solar_w);
+    g('aiseg2_enefarm_watts',  'Enefarm generation in W.', rt.enefarm_w);
+    g('aiseg2_grid_selling',   '1 while selling to the grid, 0 while buying.', bool(rt.selling));
+    g('aiseg2_grid_power_kw',  'Power exchanged with the grid in kW.', rt.selling ? Math.max(0, netKw) : 0, { direction: 'sell' });
+    g('aiseg2_grid_power_kw',  'Power exchanged with the grid in kW.', rt.selling ? 0 : Math.max(0, -netKw), { direction: 'buy' });
+    g('aiseg2_battery_percent', 'Storage battery charge in percent.', rt.battery_pct);
+  }
+
+  for (const [kind, v] of Object.entries(cache.totals || {})) {
+    g('aiseg2_daily_kwh', "Today's energy in kWh.", v, { kind });
+  }
+
+  for (const c of cache.circuitKwh || []) {
+    g('aiseg2_circuit_kwh', "Today's energy per branch circuit in kWh.", c.kwh, { id: c.id, name: c.name });
+  }
+
+  const dev = cache.devices;
+  if (dev) {
+    for (const ac of dev.acs || []) {
+      const labels = { node: ac.nodeId, eoj: ac.eoj, name: ac.nickname || ac.name };
+      g('aiseg2_device_running', '1 while the device is running.', bool(ac.running), { kind: 'ac', ...labels });
+      g('aiseg2_ac_set_temperature_celsius', 'Air conditioner set temperature in °C.', ac.tempC, labels);
+      g('aiseg2_indoor_temperature_celsius', 'Indoor temperature reported by the air conditioner in °C.', num(ac.inner), labels);
+      g('aiseg2_outdoor_temperature_celsius', 'Outdoor temperature reported by the air conditioner in °C.', num(ac.outer), labels);
+      g('aiseg2_humidity_percent', 'Indoor relative humidity reported by the air conditioner.', num(ac.humidity), labels);
+      // Only the ECHONET Lite backend reports these
+      g('aiseg2_device_power_watts', 'Power drawn by the device in W.', ac.powerW, { kind: 'ac', ...labels });
+      g('aiseg2_ac_energy_kwh', 'Cumulative energy used by the air conditioner in kWh.', ac.energyKwh, labels);
+      g('aiseg2_ac_set_humidity_percent', 'Air conditioner dehumidifying target in percent.', ac.setHumidity, labels);
+    }
+    for (const fh of dev.fhs || []) {
+      const labels = { node: fh.nodeId, eoj: fh.eoj, name: fh.nickname || fh.name };
+      g('aiseg2_device_running', '1 while the device is running.', bool(fh.running), { kind: 'fh', ...labels });
+      g('aiseg2_floor_heating_level', 'Floor heating temperature level (1–9).', num(fh.templevel), labels);
+      g('aiseg2_device_power_watts', 'Power drawn by the device in W.', fh.powerW, { kind: 'fh', ...labels });
+    }
+    if (dev.enefarm) {
+      g('aiseg2_device_running', '1 while the device is running.', bool(dev.enefarm.bathRunning), { kind: 'bath', node: '', eoj: '', name: 'bath' });
+      g('aiseg2_device_running', '1 while the device is running.', bool(dev.enefarm.generateRunning), { kind: 'generate', node: '', eoj: '', name: 'generate' });
+    }
+  }
+
+  // ── Exporter health ──
+  for (const [endpoint, s] of Object.entries(upstream)) {
+    reg.add('aiseg2_upstream_requests_total', 'counter', 'Requests sent to the AiSEG2.', s.requests, { endpoint });
+    reg.add('aiseg2_upstream_errors_total', 'counter', 'AiSEG2 requests that failed or returned an HTTP error.', s.errors, { endpoint });
+    reg.add('aiseg2_upstream_request_duration_seconds', 'summary', 'AiSEG2 request latency.', s.seconds.toFixed(6), { endpoint }, '_sum');
+    reg.add('aiseg2_upstream_request_duration_seconds', 'summary', 'AiSEG2 request latency.', s.requests, { endpoint }, '_count');
+  }
+  if (breaker) g('aiseg2_upstream_breaker_open', 'Whether the circuit breaker holds AiSEG2 requests back (1 = open or probing).', bool(breaker.state !== 'closed'));
+
+  for (const [name, at] of Object.entries({
+    realtime: cache.realtimeAt, totals: cache.totalsAt, circuits: cache.circuitKwhAt, devices: cache.devicesAt,
+  })) {
+    if (at) g('aiseg2_cache_age_seconds', 'Seconds since the cached data was fetched.', ((now - at) / 1000).toFixed(3), { cache: name });
+  }
+
+  g('aiseg2_websocket_clients', 'Connected WebSocket clients.', wsClients);
+
+  return reg.render();
+}
+
+module.exports = { render };
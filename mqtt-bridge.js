@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * MQTT bridge with Home Assistant discovery.
+ * Publishes realtime power, totals, circuits and device states under a topic
+ * prefix, announces matching HA entities, and turns command topics into the
+ * same control bodies POST /api/devices/control accepts.
+ *
+ * Topics (prefix "aiseg2"):
+ *   aiseg2/status                      online / offline (retained, LWT)
+ *   aiseg2/realtime, aiseg2/totals     JSON
+ *   aiseg2/circuit/<id>                today's kWh
+ *   aiseg2/ac/<key>/state              { power, mode, temperature, fan, current_temperature, … }
+ *   aiseg2/ac/<key>/{mode,temperature,fan}/set
+ *   aiseg2/fh/<key>/state              { power, level }
+ *   aiseg2/fh/<key>/{power,level}/set
+ *   aiseg2/enefarm/state               { bath, generate }
+ *   aiseg2/enefarm/{bath,generate}/set ON / OFF
+ * <key> is "<nodeId>_<eoj>".
+ */
+
+const mqtt = require('mqtt');
+
+// HA climate modes ↔ AiSEG2 AC mode codes
+const AC_MODES = { auto: '0x41', cool: '0x42', heat: '0x43', dry: '0x44', fan_only: '0x45' };
+// HA fan modes ↔ AiSEG2 fan codes
+const AC_FANS  = { auto: '0x41', 1: '0x31', 2: '0x32', 3: '0x33', 4: '0x34', 5: '0x35', 6: '0x36' };
+
+const invert = o => Object.fromEntries(Object.entries(o).map(([k, v]) => [v, k]));
+const AC_MODE_NAMES = invert(AC_MODES);
+const AC_FAN_NAMES  = invert(AC_FANS);
+
+const onOff = v => (v ? 'ON' : 'OFF');
+
+// "21℃" → 21, "-" / null → null
+function num(v) {
+  const m = v == null ? null : String(v).match(/-?\d+(\.\d+)?/);
+  return m ? parseFloat(m[0]) : null;
+}
+
+const deviceKey = d => `${d.nodeId}_${d.eoj}`;
+
+/**
+ * Connect to the broker and return { publish(type, data), close() }.
+ * onCommand(body) receives control bodies built from command topics.
+ */
+function createMqttBridge({
+  url,
+  username,
+  password,
+  prefix          = 'aiseg2',
+  discoveryPrefix = 'homeassistant',
+  onCommand,
+}) {
+  const client = mqtt.connect(url, {
+    username,
+    password,
+    will: { topic: `${prefix}/status`, payload: 'offline', retain: true, qos: 1 },
+  });
+
+  const last      = {};           // latest data per type, replayed on (re)connect
+  let devices     = null;         // device snapshot commands are resolved against
+  const announced = new Set();    // discovery config topics already sent
+
+  const device = {
+    identifiers:  ['aiseg2'],
+    name:         'AiSEG2',
+    manufacturer: 'Panasonic',
+    model:        'AiSEG2',
+  };
+
+  function send(topic, payload, retain = true) {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    client.publish(topic, body, { retain, qos: 0 });
+  }
+
+  function announce(component, objectId, config) {
+    objectId = objectId.replace(/[^\w-]/g, '_');   // ECHONET Lite node ids are IP addresses
+    const topic = `${discoveryPrefix}/${component}/aiseg2/${objectId}/config`;
+    if (announced.has(topic)) return;
+    announced.add(topic);
+    send(topic, {
+      unique_id:          `aiseg2_${objectId}`,
+      object_id:          `aiseg2_${objectId}`,
+      availability_topic: `${prefix}/status`,
+      device,
+      ...config,
+    });
+  }
+
+  // ── Discovery ──────────────────────────────────────────────────────────────
+
+  function announceEnergy() {
+    const rt = `${prefix}/realtime`;
+    const power = (id, name, tpl, unit) => announce('sensor', id, {
+      name, state_topic: rt, value_template: tpl,
+      unit_of_measurement: unit, device_class: 'power', state_class: 'measurement',
+    });
+    power('generation',  'Generation',  '{{ value_json.gen_kw }}',    'kW');
+    power('consumption', 'Consumption', '{{ value_json.use_kw }}',    'kW');
+    power('solar',       'Solar',       '{{ value_json.solar_w }}',   'W');
+    power('enefarm',     'Enefarm',     '{{ value_json.enefarm_w }}', 'W');
+    power('grid_sell',   'Grid sell',   '{{ ((value_json.gen_kw - value_json.use_kw) if value_json.selling else 0) | round(3) }}', 'kW');
+    power('grid_buy',    'Grid buy',    '{{ 0 if value_json.selling else (value_json.use_kw - value_json.gen_kw) | round(3) }}', 'kW');
+
+    for (const [kind, name] of [['solar', 'Solar today'], ['consumption', 'Consumption today'],
+      ['purchase', 'Purchased today'], ['sold', 'Sold today']]) {
+      announce('sensor', `today_${kind}`, {
+        name, state_topic: `${prefix}/totals`, value_template: `{{ value_json.${kind} }}`,
+        unit_of_measurement: 'kWh', device_class: 'energy', state_class: 'total_increasing',
+      });
+    }
+  }
+
+  function announceCircuit(c) {
+    announce('sensor', `circuit_${c.id}`, {
+      name: c.nickname || c.name, state_topic: `${prefix}/circuit/${c.id}`,
+      unit_of_measurement: 'kWh', device_class: 'energy', state_class: 'total_increasing',
+    });
+  }
+
+  function announceAC(ac) {
+    const base = `${prefix}/ac/${deviceKey(ac)}`;
+    announce('climate', `ac_${deviceKey(ac)}`, {
+      name:                      ac.nickname || ac.name,
+      modes:                     ['off', ...Object.keys(AC_MODES)],
+      fan_modes:                 Object.keys(AC_FANS),
+      min_temp:                  16,
+      max_temp:                  30,
+      temp_step:                 1,
+      temperature_unit:          'C',
+      json_attributes_topic:     `${base}/state`,
+      mode_state_topic:          `${base}/state`,
+      mode_state_template:       '{{ value_json.mode }}',
+      mode_command_topic:        `${base}/mode/set`,
+      temperature_state_topic:   `${base}/state`,
+      temperature_state_template: '{{ value_json.temperature }}',
+      temperature_command_topic: `${base}/temperature/set`,
+      fan_mode_state_topic:      `${base}/state`,
+      fan_mode_state_template:   '{{ value_json.fan }}',
+      fan_mode_command_topic:    `${base}/fan/set`,
+      current_temperature_topic: `${base}/state`,
+      current_temperature_template: '{{ value_json.current_temperature }}',
+    });
+  }
+
+  function announceFH(fh) {
+    const base = `${prefix}/fh/${deviceKey(fh)}`;
+    const name = fh.nickname || fh.name;
+    announce('switch', `fh_${deviceKey(fh)}`, {
+      name, state_topic: `${base}/state`, value_template: '{{ value_json.power }}',
+      command_topic: `${base}/power/set`, icon: 'mdi:heating-coil',
+    });
+    announce('number', `fh_${deviceKey(fh)}_level`, {
+      name: `${name} level`, min: 1, max: 9, step: 1, mode: 'slider',
+      state_topic: `${base}/state`, value_template: '{{ value_json.level }}',
+      command_topic: `${base}/level/set`,
+    });
+  }
+
+  function announceEnefarm() {
+    for (const [part, name, icon] of [['bath', 'Bath auto', 'mdi:bathtub'], ['generate', 'Enefarm generation', 'mdi:fire']]) {
+      announce('switch', `enefarm_${part}`, {
+        name, icon, state_topic: `${prefix}/enefarm/state`, value_template: `{{ value_json.${part} }}`,
+        command_topic: `${prefix}/enefarm/${part}/set`,
+      });
+    }
+  }
+
+  // ── State ──────────────────────────────────────────────────────────────────
+
+  function publishDevices(d) {
+    for (const ac of d.acs || []) {
+      announceAC(ac);
+      send(`${prefix}/ac/${deviceKey(ac)}/state`, {
+        power:               onOff(ac.running),
+        mode:                ac.running ? (AC_MODE_NAMES[ac.mode] || 'auto') : 'off',
+        temperature:         ac.tempC,
+        fan:                 AC_FAN_NAMES[ac.fan] || null,
+        current_temperature: num(ac.inner),
+        outdoor_temperature: num(ac.outer),
+        humidity:            num(ac.humidity),
+      });
+    }
+    for (const fh of d.fhs || []) {
+      announceFH(fh);
+      send(`${prefix}/fh/${deviceKey(fh)}/state`, { power: onOff(fh.running), level: num(fh.templevel) });
+    }
+    if (d.enefarm) {
+      announceEnefarm();
+      send(`${prefix}/enefarm/state`, { bath: onOff(d.enefarm.bathRunning), generate: onOff(d.enefarm.generateRunning) });
+    }
+  }
+
+  function publish(type, data) {
+    if (!data) return;
+    last[type] = data;
+    if (type === 'devices') devices = data;
+    if (!client.connected) return;
+    if      (type === 'realtime') send(`${prefix}/realtime`, { ...data, raw: undefined });
+    else if (type === 'totals')   send(`${prefix}/totals`, data);
+    else if (type === 'devices')  publishDevices(data);
+    else if (type === 'circuits') {
+      for (const c of data) {
+        announceCircuit(c);
+        if (c.kwh != null) send(`${prefix}/circuit/${c.id}`, String(c.kwh));
+      }
+    }
+  }
+
+  // ── Commands ───────────────────────────────────────────────────────────────
+
+  const find = (list, key) => (list || []).find(d => deviceKey(d) === key);
+
+  /**
+   * Control bodies for one command message (empty if nothing to do).
+   */
+  function commandsFor(topic, payload) {
+    const rest = topic.slice(prefix.length + 1).split('/');
+    if (rest.at(-1) !== 'set' || !devices) return [];
+    const [kind, a, b] = rest;
+
+    if (kind === 'ac') {
+      const ac = find(devices.acs, a);
+      if (!ac) return [];
+      const target = { nodeId: ac.nodeId, eoj: ac.eoj };
+      if (b === 'mode') {
+        if (payload === 'off') return ac.running ? [{ action: 'setACPower', ...target, value: false }] : [];
+        if (!AC_MODES[payload]) return [];
+        return [
+          ...(ac.running ? [] : [{ action: 'setACPower', ...target, value: true }]),
+          { action: 'setACMode', ...target, value: AC_MODES[payload] },
+        ];
+      }
+      if (b === 'temperature') {
+        const t = Math.round(parseFloat(payload));
+        return Number.isFinite(t) ? [{ action: 'setACTemp', ...target, value: Math.max(16, Math.min(30, t)) }] : [];
+      }
+      if (b === 'fan' && AC_FANS[payload]) return [{ action: 'setACFan', ...target, value: AC_FANS[payload] }];
+    }
+
+    if (kind === 'fh') {
+      const fh = find(devices.fhs, a);
+      if (!fh) return [];
+      const target = { nodeId: fh.nodeId, eoj: fh.eoj };
+      if (b === 'power') {
+        const want = payload.toUpperCase() === 'ON';
+        return want !== fh.running ? [{ action: 'setFHPower', ...target, value: want }] : [];
+      }
+      if (b === 'level') {
+        const lvl = parseInt(payload, 10);
+        return lvl >= 1 && lvl <= 9 ? [{ action: 'setFHLevel', ...target, state: fh.state, value: lvl }] : [];
+      }
+    }
+
+    if (kind === 'enefarm' && devices.enefarm) {
+      const want = payload.toUpperCase() === 'ON';
+      if (a === 'bath'     && want !== devices.enefarm.bathRunning)     return [{ action: 'setBathPower', value: want }];
+      if (a === 'generate' && want !== devices.enefarm.generateRunning) return [{ action: 'setGeneratePower', value: want }];
+    }
+    return [];
+  }
+
+  client.on('connect', () => {
+    announced.clear();   // broker may have lost retained configs
+    send(`${prefix}/status`, 'online');
+    announceEnergy();
+    for (const [type, data] of Object.entries(last)) publish(type, data);
+    client.subscribe(`${prefix}/+/+/set`);
+    client.subscribe(`${prefix}/+/+/+/set`);
+  });
+
+  client.on('message', async (topic, message) => {
+    for (const body of commandsFor(topic, message.toString().trim())) {
+      try {
+        await onCommand(body);
+      } catch (e) {
+        console.error(`MQTT ${topic}:`, e.message);
+      }
+    }
+  });
+
+  client.on('error', e => console.error('MQTT:', e.message));
+
+  return {
+    publish,
+    close: () => new Promise(resolve => {
+      client.publish(`${prefix}/status`, 'offline', { retain: true }, () => client.end(false, {}, resolve));
+    }),
+  };
+}
+
+module.exports = { createMqttBridge };
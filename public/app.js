@@ -18,12 +18,19 @@ const totalSolar    = $('total-solar');
 const totalUse      = $('total-use');
 const totalBuy      = $('total-buy');
 const totalSell     = $('total-sell');
+const costToday     = $('cost-today');
+const costRevenue   = $('cost-revenue');
+const costNet       = $('cost-net');
+const costPeriod    = $('cost-period');
+const costLive      = $('cost-live');
+const costMonth     = $('cost-month');
+const costMonthNote = $('cost-month-note');
 const circuitsList  = $('circuits-list');
 const circuitsBtn   = $('circuits-btn');
 
 // ── Clock ─────────────────────────────────────────────────────────────────────
 function updateClock() {
-  clock.textContent = new Date().toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+  clock.textContent = new Date().toLocaleTimeString(locale(), { hour: '2-digit', minute: '2-digit' });
 }
 updateClock();
 setInterval(updateClock, 10_000);
@@ -38,8 +45,10 @@ function flash(el) {
 
 // ── Realtime render ───────────────────────────────────────────────────────────
 let lastGen = null, lastUse = null;
+let lastRealtime = null, lastTotals = null;   // kept to re-render on a language change
 
 function renderRealtime(d) {
+  lastRealtime = d;
   const genStr = d.gen_kw.toFixed(1);
   const useStr = d.use_kw.toFixed(1);
 
@@ -60,12 +69,12 @@ function renderRealtime(d) {
     flowArrow.className       = 'flow-arrow sell';
     flowArrow.textContent     = '→';
     flowGridLabel.className   = 'flow-grid-label sell-color';
-    flowGridLabel.textContent = `↑ ${netW}W 売電`;
+    flowGridLabel.textContent = tr('flow.selling', { w: netW });
   } else {
     flowArrow.className       = 'flow-arrow buy';
     flowArrow.textContent     = '→';
     flowGridLabel.className   = 'flow-grid-label buy-color';
-    flowGridLabel.textContent = `↓ ${netW}W 買電`;
+    flowGridLabel.textContent = tr('flow.buying', { w: netW });
   }
 
   if (d.top && d.top.length > 0) {
@@ -76,64 +85,285 @@ function renderRealtime(d) {
        </div>`
     ).join('');
   } else {
-    topConsumers.innerHTML = '<div class="skeleton">データなし</div>';
+    topConsumers.innerHTML = `<div class="skeleton">${tr('common.noData')}</div>`;
   }
+  updateLiveCost(d);
 }
 
 // ── Totals render ─────────────────────────────────────────────────────────────
 function renderTotals(d) {
+  lastTotals = d;
   const fmt = v => v != null ? v.toFixed(2) : '—';
   totalSolar.textContent = fmt(d.solar);
   totalUse.textContent   = fmt(d.consumption);
   totalBuy.textContent   = fmt(d.purchase);
   totalSell.textContent  = fmt(d.sold);
-  totalsDate.textContent = new Date().toLocaleDateString('ja-JP', { month: 'numeric', day: 'numeric' });
+  totalsDate.textContent = new Date().toLocaleDateString(locale(), { month: 'numeric', day: 'numeric' });
+}
+
+// ── Cost render ───────────────────────────────────────────────────────────────
+const periodName = p => hasMessage(`period.${p}`) ? tr(`period.${p}`) : p;   // tariff periods are named freely
+const yen = v => v != null ? '¥' + Math.round(v).toLocaleString('ja-JP') : '—';
+let lastLive = null;   // rates from the last cost update, reused for every realtime sample
+let lastCost = null;
+
+function renderCost(d) {
+  lastCost = d;
+  costToday.textContent     = yen(d.today.cost);
+  costRevenue.textContent   = yen(d.today.revenue);
+  costNet.textContent       = (d.today.net < 0 ? '+' : '') + yen(Math.abs(d.today.net));
+  costNet.className         = `cost-val ${d.today.net < 0 ? 'sell-color' : 'buy-color'}`;
+  costMonth.textContent     = yen(d.month.cost);
+  costMonthNote.textContent = tr('cost.projected', { cost: yen(d.month.projectedCost) });
+  lastLive = d.live;
+  renderLiveCost(d.live);
+}
+
+function renderLiveCost(l) {
+  costPeriod.textContent = tr('cost.rate', { period: periodName(l.period), price: l.buyPrice });
+  if (l.revenuePerHour > 0) {
+    costLive.textContent = `+${yen(l.revenuePerHour)}/h`;
+    costLive.className   = 'cost-val sell-color';
+  } else {
+    costLive.textContent = `${yen(l.costPerHour)}/h`;
+    costLive.className   = 'cost-val buy-color';
+  }
+}
+
+// Live ¥/h follows every realtime sample at the last known prices
+function updateLiveCost(d) {
+  if (!lastLive) return;
+  const net = d.gen_kw - d.use_kw;
+  renderLiveCost({
+    ...lastLive,
+    costPerHour:    d.selling ? 0 : Math.max(0, -net) * lastLive.buyPrice,
+    revenuePerHour: d.selling ? Math.max(0, net) * lastLive.sellPrice : 0,
+  });
 }
 
 // ── Circuits render ───────────────────────────────────────────────────────────
+const circuitEditor = $('circuit-editor');
+let currentCircuits = null;
+let circuitMeta     = null;   // GET /api/circuits/meta: { categories, rooms, circuits }
+let circuitGroup    = localStorage.getItem('circuitGroup') || 'none';
+
+const circuitName = c => c.nickname || c.name;
+
+const categoryLabel = id => hasMessage(`category.${id}`) ? tr(`category.${id}`) : id;
+
+function circuitItem(c, maxKwh) {
+  const pct   = maxKwh > 0 ? Math.round((c.kwh ?? 0) / maxKwh * 100) : 0;
+  const kwhTx = c.kwh != null ? c.kwh.toFixed(3) + ' kWh' : '—';
+  const tags  = [circuitGroup !== 'room' && c.room, circuitGroup !== 'category' && c.category && categoryLabel(c.category)].filter(Boolean);
+  return `<div class="circuit-item">
+      <span class="circuit-name">
+        <button class="circuit-edit" onclick="openCircuitEditor('${escHtml(c.id)}')" title="${tr('circuits.edit')}">✏️</button>
+        ${escHtml(circuitName(c))}${tags.length ? ` <span class="circuit-tags">${escHtml(tags.join(tr('common.sep')))}</span>` : ''}
+      </span>
+      <span class="circuit-kwh">${kwhTx}</span>
+      <div class="circuit-bar-wrap"><div class="circuit-bar" style="width:${pct}%"></div></div>
+    </div>`;
+}
+
+// Circuits per room or category with subtotals, biggest first, unassigned last
+function circuitGroups(sorted) {
+  const groups = new Map();
+  for (const c of sorted) {
+    const key = (circuitGroup === 'room' ? c.room : c.category) || '';
+    const g   = groups.get(key) || { key, circuits: [], kwh: 0 };
+    g.circuits.push(c);
+    g.kwh += c.kwh ?? 0;
+    groups.set(key, g);
+  }
+  return [...groups.values()].sort((a, b) => (a.key === '') - (b.key === '') || b.kwh - a.kwh);
+}
+
 function renderCircuits(data) {
+  currentCircuits = data;
+  circuitsBtn.textContent = tr('common.refresh');
+  circuitsBtn.disabled    = false;
   if (!data || data.length === 0) {
-    circuitsList.innerHTML = '<div class="circuits-msg">回路データなし</div>';
+    circuitsList.innerHTML = `<div class="circuits-msg">${tr('circuits.none')}</div>`;
     return;
   }
+
   const sorted = [...data].sort((a, b) => (b.kwh ?? -1) - (a.kwh ?? -1));
   const maxKwh = sorted[0]?.kwh ?? 1;
-  circuitsList.innerHTML = sorted.map(c => {
-    const pct   = maxKwh > 0 ? Math.round((c.kwh ?? 0) / maxKwh * 100) : 0;
-    const kwhTx = c.kwh != null ? c.kwh.toFixed(3) + ' kWh' : '—';
-    return `<div class="circuit-item">
-        <span class="circuit-name">${escHtml(c.name)}</span>
-        <span class="circuit-kwh">${kwhTx}</span>
-        <div class="circuit-bar-wrap"><div class="circuit-bar" style="width:${pct}%"></div></div>
+  if (circuitGroup === 'none') {
+    circuitsList.innerHTML = sorted.map(c => circuitItem(c, maxKwh)).join('');
+    return;
+  }
+  circuitsList.innerHTML = circuitGroups(sorted).map(g => {
+    const label = g.key === '' ? tr('circuits.unassigned') : circuitGroup === 'category' ? categoryLabel(g.key) : g.key;
+    return `<div class="circuit-group">
+        <div class="circuit-group-head">
+          <span>${escHtml(label)} <span class="muted">${tr('circuits.count', { n: g.circuits.length })}</span></span>
+          <span class="circuit-kwh">${g.kwh.toFixed(3)} kWh</span>
+        </div>
+        ${g.circuits.map(c => circuitItem(c, maxKwh)).join('')}
       </div>`;
   }).join('');
-  circuitsBtn.textContent = '更新';
-  circuitsBtn.disabled    = false;
 }
 
+function setCircuitGroup(group) {
+  circuitGroup = group;
+  localStorage.setItem('circuitGroup', group);
+  document.querySelectorAll('.circuit-group-by .seg-btn').forEach(b => b.classList.toggle('active', b.dataset.group === group));
+  if (currentCircuits) renderCircuits(currentCircuits);
+}
+window.setCircuitGroup = setCircuitGroup;
+setCircuitGroup(circuitGroup);
+
+// ── Circuit names, rooms and categories ───────────────────────────────────────
+async function loadCircuitMeta() {
+  const r = await fetch('/api/circuits/meta');
+  if (r.ok) circuitMeta = await r.json();
+}
+
+async function openCircuitEditor(id) {
+  const c = currentCircuits?.find(x => x.id === id);
+  if (!c) return;
+  if (!circuitMeta) await loadCircuitMeta().catch(() => {});
+  const categories = circuitMeta?.categories || [];
+  circuitEditor.dataset.id = id;
+  circuitEditor.innerHTML = `
+    <div class="muted">${escHtml(tr('circuits.editing', { id: c.id, name: c.name }))}</div>
+    <label class="sched-row"><span class="ctrl-label">${tr('circuits.name')}</span>
+      <input id="circuit-name" class="sched-input" maxlength="40" value="${escHtml(c.nickname || '')}" placeholder="${escHtml(c.name)}"></label>
+    <label class="sched-row"><span class="ctrl-label">${tr('circuits.room')}</span>
+      <input id="circuit-room" class="sched-input" maxlength="40" list="circuit-rooms" value="${escHtml(c.room || '')}" placeholder="${tr('circuits.roomExample')}">
+      <datalist id="circuit-rooms">${(circuitMeta?.rooms || []).map(r => `<option value="${escHtml(r)}">`).join('')}</datalist></label>
+    <label class="sched-row"><span class="ctrl-label">${tr('circuits.category')}</span>
+      <select id="circuit-category" class="sched-input">
+        <option value="">${tr('common.unspecified')}</option>
+        ${categories.map(k => `<option value="${escHtml(k)}"${k === c.category ? ' selected' : ''}>${escHtml(categoryLabel(k))}</option>`).join('')}
+      </select></label>
+    <div id="circuit-error" class="sched-error"></div>
+    <div class="sched-row">
+      <button class="device-btn" onclick="saveCircuitMeta()">${tr('common.save')}</button>
+      <button class="device-btn stop-btn" onclick="closeCircuitEditor()">${tr('common.cancel')}</button>
+    </div>`;
+  circuitEditor.classList.remove('hidden');
+  $('circuit-name').focus();
+}
+window.openCircuitEditor = openCircuitEditor;
+
+function closeCircuitEditor() {
+  circuitEditor.classList.add('hidden');
+  circuitEditor.innerHTML = '';
+}
+window.closeCircuitEditor = closeCircuitEditor;
+
+async function saveCircuitMeta() {
+  const id = circuitEditor.dataset.id;
+  try {
+    await sendJson(`/api/circuits/meta/${encodeURIComponent(id)}`, 'PUT', {
+      name:     $('circuit-name').value,
+      room:     $('circuit-room').value,
+      category: $('circuit-category').value || null,
+    });
+  } catch (e) {
+    $('circuit-error').textContent = e.message;
+    return;
+  }
+  closeCircuitEditor();
+  loadCircuitMeta().catch(() => {});   // new rooms for the suggestions
+  // The server pushes the renamed circuits over the WebSocket; without it, fetch them
+  if (!ws || ws.readyState !== WebSocket.OPEN) fetch('/api/circuits').then(r => { markStale('circuits', r); return r.json(); }).then(renderCircuits).catch(() => {});
+}
+window.saveCircuitMeta = saveCircuitMeta;
+
 // ── Utils ─────────────────────────────────────────────────────────────────────
 function escHtml(s) {
-  return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+  return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
 }
 
 // ── REST fetch (used for initial load and WS offline fallback) ────────────────
 async function fetchRealtime() {
   const r = await fetch('/api/realtime');
-  if (r.ok) renderRealtime(await r.json());
+  if (r.status === 401) return showLogin();
+  if (r.ok) { markStale('realtime', r); renderRealtime(await r.json()); }
 }
 async function fetchTotals() {
   const r = await fetch('/api/totals');
-  if (r.ok) renderTotals(await r.json());
+  if (r.ok) { markStale('totals', r); renderTotals(await r.json()); }
+}
+async function fetchCost() {
+  const r = await fetch('/api/cost');
+  if (r.ok) { markStale('cost', r); renderCost(await r.json()); }
 }
 async function initialFetch() {
-  try { await Promise.all([fetchRealtime(), fetchTotals()]); } catch { /* offline */ }
+  try { await Promise.all([fetchRealtime(), fetchTotals(), fetchCost(), fetchHealth(), loadChart()]); } catch { /* offline */ }
+}
+
+// ── AiSEG2 reachability ───────────────────────────────────────────────────────
+// While the AiSEG2 is unreachable the server keeps sending what it last read;
+// say since when, and dim the values
+const upstreamBanner = $('upstream-banner');
+let lastHealth = null;
+
+function renderHealth(h) {
+  lastHealth = h;
+  document.body.classList.toggle('upstream-down', !h.reachable);
+  upstreamBanner.classList.toggle('hidden', h.reachable);
+  if (h.reachable) return;
+  const since = new Date(h.since);
+  const today = since.toDateString() === new Date().toDateString();
+  upstreamBanner.textContent = tr('health.unreachable', {
+    time: since.toLocaleString(locale(), today
+      ? { hour: '2-digit', minute: '2-digit' }
+      : { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' }),
+  });
+}
+
+// ── Stale data ────────────────────────────────────────────────────────────────
+// WebSocket frames carry `stale` and REST responses an X-Data-Stale header
+// when the data is older than its poll allows or the AiSEG2 is unreachable;
+// the card showing it is dimmed and tagged
+const STALE_CARDS = {
+  realtime: ['flow-card'],
+  totals:   ['totals-card'],
+  cost:     ['totals-card'],
+  circuits: ['circuits-card'],
+  devices:  ['ac-grid', 'fh-grid', 'ene-grid'],
+};
+const staleKinds = new Set();
+
+// `from` is a WebSocket frame or a fetch() Response
+function markStale(kind, from) {
+  const stale = from instanceof Response
+    ? { true: true, false: false }[from.headers.get('X-Data-Stale')]
+    : from.stale;
+  if (stale == null) return;   // error responses and frames without freshness say nothing
+  if (stale) staleKinds.add(kind); else staleKinds.delete(kind);
+  renderStale();
+}
+
+function renderStale() {
+  const stale = new Set(Object.entries(STALE_CARDS).filter(([k]) => staleKinds.has(k)).flatMap(([, ids]) => ids));
+  for (const id of new Set(Object.values(STALE_CARDS).flat())) {
+    const label = $(id).closest('.card').querySelector('.card-label');
+    label.closest('.card').classList.toggle('stale', stale.has(id));
+    if (stale.has(id)) label.dataset.stale = tr('common.stale');
+    else delete label.dataset.stale;
+  }
+}
+
+async function fetchHealth() {
+  const r = await fetch('/api/health');
+  if (r.status !== 200 && r.status !== 503) return;   // 503 = unreachable
+  const { aiseg2 } = await r.json();
+  if (aiseg2) renderHealth(aiseg2);                    // absent before login
 }
 
 // ── REST polling fallback (active when WebSocket is offline) ──────────────────
 let pollTimer = null;
 function startPoll() {
   if (pollTimer) return;
-  pollTimer = setInterval(() => fetchRealtime().catch(() => {}), 5_000);
+  pollTimer = setInterval(() => {
+    fetchRealtime().catch(() => {});
+    fetchHealth().catch(() => {});
+  }, 5_000);
 }
 function stopPoll() {
   clearInterval(pollTimer);
@@ -147,6 +377,7 @@ let reconnectTimer = null;
 
 function connect() {
   clearTimeout(reconnectTimer);
+  if (loginRequired) return;                          // the server would refuse the upgrade
   if (ws && ws.readyState <= WebSocket.OPEN) return; // already connecting or open
 
   const proto = location.protocol === 'https:' ? 'wss' : 'ws';
@@ -165,11 +396,17 @@ function connect() {
 
   ws.addEventListener('message', evt => {
     try {
-      const { type, data } = JSON.parse(evt.data);
+      const msg = JSON.parse(evt.data);
+      const { type, data } = msg;
+      if (Object.hasOwn(STALE_CARDS, type)) markStale(type, msg);
+      if (type === 'health')   renderHealth(data);
       if (type === 'realtime') renderRealtime(data);
-      if (type === 'totals')   renderTotals(data);
-      if (type === 'circuits') { renderCircuits(data); circuitsBtn.textContent = '更新'; circuitsBtn.disabled = false; }
+      if (type === 'totals')   { renderTotals(data); refreshChart(); }
+      if (type === 'cost')     renderCost(data);
+      if (type === 'circuits') { renderCircuits(data); circuitsBtn.textContent = tr('common.refresh'); circuitsBtn.disabled = false; }
       if (type === 'devices')  renderDevices(data);
+      if (type === 'audit' && auditEntries) { auditEntries.unshift(data); renderAudit(); }
+      if (type === 'command-result') onCommandResult(data);
     } catch { /* bad frame */ }
   });
 
@@ -210,6 +447,8 @@ function switchTab(tab) {
   document.getElementById('tab-btn-energy').classList.toggle('active', tab === 'energy');
   document.getElementById('tab-btn-devices').classList.toggle('active', tab === 'devices');
   if (tab === 'devices' && !devicesLoaded) loadDevices();
+  if (tab === 'devices') { loadSchedules(); loadRules(); loadAudit(); }
+  if (tab === 'energy') refreshChart();
 }
 window.switchTab = switchTab;
 
@@ -220,15 +459,18 @@ let currentDevices = null;
 const expandedAC   = new Set();   // eoj strings of expanded AC cards
 
 // ── AC mode / fan tables ──────────────────────────────────────────────────────
+// `l` is looked up on use so it follows the language
+const labelled = (v, key) => ({ v, get l() { return tr(key); } });
+
 const AC_MODES = [
-  { v: '0x41', l: '自動' },
-  { v: '0x42', l: '冷房' },
-  { v: '0x43', l: '暖房' },
-  { v: '0x44', l: '除湿' },
-  { v: '0x45', l: '送風' },
+  labelled('0x41', 'mode.auto'),
+  labelled('0x42', 'mode.cool'),
+  labelled('0x43', 'mode.heat'),
+  labelled('0x44', 'mode.dry'),
+  labelled('0x45', 'mode.fan'),
 ];
 const AC_FANS = [
-  { v: '0x41', l: '自動' },
+  labelled('0x41', 'fan.auto'),
   { v: '0x31', l: '1' }, { v: '0x32', l: '2' }, { v: '0x33', l: '3' },
   { v: '0x34', l: '4' }, { v: '0x35', l: '5' }, { v: '0x36', l: '6' },
 ];
@@ -242,17 +484,21 @@ function renderDevices(d) {
   const acGrid = document.getElementById('ac-grid');
   acGrid.innerHTML = d.acs && d.acs.length
     ? d.acs.map(ac => acCard(ac)).join('')
-    : '<div class="device-placeholder">データなし</div>';
+    : `<div class="device-placeholder">${tr('common.noData')}</div>`;
 
   const fhGrid = document.getElementById('fh-grid');
   fhGrid.innerHTML = d.fhs && d.fhs.length
     ? d.fhs.map(fh => fhCard(fh)).join('')
-    : '<div class="device-placeholder">データなし</div>';
+    : `<div class="device-placeholder">${tr('common.noData')}</div>`;
 
   const eneGrid = document.getElementById('ene-grid');
   eneGrid.innerHTML = d.enefarm
     ? enefarmCards(d.enefarm)
-    : '<div class="device-placeholder">データなし</div>';
+    : `<div class="device-placeholder">${tr('common.noData')}</div>`;
+
+  // Device names may have changed
+  if (schedulesLoaded) renderSchedules();
+  if (rulesLoaded)     renderRules();
 }
 
 // ── AC card ───────────────────────────────────────────────────────────────────
@@ -264,9 +510,10 @@ function acCard(ac) {
   const isOn     = ac.running;
   const expanded = expandedAC.has(ac.eoj);
   const infoLine = [
-    ac.inner    ? `室内 ${ac.inner}`    : '',
-    ac.outer    ? `室外 ${ac.outer}`    : '',
-    ac.humidity ? `湿度 ${ac.humidity}` : '',
+    ac.innerC      != null ? tr('ac.inner', { v: ac.innerC })         : '',
+    ac.outerC      != null ? tr('ac.outer', { v: ac.outerC })         : '',
+    ac.humidityPct != null ? tr('ac.humidity', { v: ac.humidityPct }) : '',
+    ac.powerW != null ? `${ac.powerW}W` : '',   // ECHONET Lite backend only
   ].filter(Boolean).join('　');
 
   const controlsHtml = (expanded && isOn) ? acControls(ac) : '';
@@ -278,17 +525,17 @@ function acCard(ac) {
     <div class="ac-header">
       <div class="ac-title-row">
         <span class="device-name" title="${escHtml(ac.name)}">${acDisplayName(ac)}</span>
-        <button class="icon-btn rename-btn" onclick="openRename(this)" title="名前を変更">✏️</button>
+        <button class="icon-btn rename-btn" onclick="openRename(this)" title="${tr('device.rename')}">✏️</button>
       </div>
       <div class="ac-title-row">
-        <span class="device-status${isOn ? ' on' : ''}">${escHtml(ac.stateLabel)}</span>
+        <span class="device-status${isOn ? ' on' : ''}">${tr(`state.${ac.status}`)}</span>
         ${isOn && ac.tempC ? `<span class="ac-temp-badge">${ac.tempC}℃</span>` : ''}
       </div>
       ${infoLine ? `<div class="ac-info-line">${escHtml(infoLine)}</div>` : ''}
     </div>
     <div class="ac-btn-row">
-      <button class="device-btn${isOn ? ' stop-btn' : ''}" onclick="controlDevice(this,'ac')">${escHtml(ac.buttonLabel)}</button>
-      ${isOn ? `<button class="icon-btn expand-btn${expanded ? ' active' : ''}" onclick="toggleACExpand('${escHtml(ac.eoj)}')" title="詳細設定">${expanded ? '▲' : '⚙'}</button>` : ''}
+      <button class="device-btn${isOn ? ' stop-btn' : ''}" onclick="controlDevice(this,'ac',${!isOn})">${tr(isOn ? 'button.stop' : 'button.start')}</button>
+      ${isOn ? `<button class="icon-btn expand-btn${expanded ? ' active' : ''}" onclick="toggleACExpand('${escHtml(ac.eoj)}')" title="${tr('device.settings')}">${expanded ? '▲' : '⚙'}</button>` : ''}
     </div>
     ${controlsHtml}
   </div>`;
@@ -310,11 +557,11 @@ function acControls(ac) {
 
   return `<div class="ac-controls">
     <div class="ac-ctrl-row">
-      <span class="ctrl-label">モード</span>
+      <span class="ctrl-label">${tr('ac.mode')}</span>
       <div class="seg-group">${modeRow}</div>
     </div>
     <div class="ac-ctrl-row">
-      <span class="ctrl-label">温度</span>
+      <span class="ctrl-label">${tr('ac.temp')}</span>
       <div class="temp-ctrl">
         <button class="temp-btn" onclick="adjustACTemp(this,-1)" ${t <= min ? 'disabled' : ''}>−</button>
         <span class="temp-val" data-min="${min}" data-max="${max}">${t}℃</span>
@@ -322,7 +569,7 @@ function acControls(ac) {
       </div>
     </div>
     <div class="ac-ctrl-row">
-      <span class="ctrl-label">風量</span>
+      <span class="ctrl-label">${tr('ac.fan')}</span>
       <div class="seg-group seg-scroll">${fanRow}</div>
     </div>
   </div>`;
@@ -338,24 +585,23 @@ window.toggleACExpand = toggleACExpand;
 // ── FH card ───────────────────────────────────────────────────────────────────
 function fhCard(fh) {
   const isOn = fh.running;
-  // Parse level from templevel string "温度レベル：5" or from state
-  const lvlMatch = (fh.templevel || '').match(/(\d+)/);
-  const lvl = lvlMatch ? parseInt(lvlMatch[1]) : null;
+  const lvl = fh.level;
 
   return `<div class="device-card fh-card${isOn ? ' running' : ''}"
       data-dev="fh" data-node="${escHtml(fh.nodeId)}" data-eoj="${escHtml(fh.eoj)}"
       data-state="${escHtml(fh.state)}" data-level="${lvl || 0}">
     <div class="ac-title-row">
       <span class="device-name" title="${escHtml(fh.name)}">${escHtml(fh.nickname || fh.name)}</span>
-      <button class="icon-btn rename-btn" onclick="openRename(this)" title="名前を変更">✏️</button>
+      <button class="icon-btn rename-btn" onclick="openRename(this)" title="${tr('device.rename')}">✏️</button>
     </div>
-    <span class="device-status${isOn ? ' on' : ''}">${escHtml(fh.stateLabel)}</span>
+    <span class="device-status${isOn ? ' on' : ''}">${tr(`state.${fh.status}`)}</span>
+    ${fh.powerW != null ? `<div class="ac-info-line">${fh.powerW}W</div>` : ''}
     <div class="level-ctrl">
       <button class="temp-btn" onclick="adjustFHLevel(this,-1)" ${!lvl || lvl <= 1 ? 'disabled' : ''}>−</button>
       <span class="temp-val">${lvl != null ? lvl : '—'}</span>
       <button class="temp-btn" onclick="adjustFHLevel(this,+1)" ${!lvl || lvl >= 9 ? 'disabled' : ''}>＋</button>
     </div>
-    <button class="device-btn${isOn ? ' stop-btn' : ''}" onclick="controlDevice(this,'fh')">${escHtml(fh.buttonLabel)}</button>
+    <button class="device-btn${isOn ? ' stop-btn' : ''}" onclick="controlDevice(this,'fh',${!isOn})">${tr(isOn ? 'button.stop' : 'button.start')}</button>
   </div>`;
 }
 
@@ -365,21 +611,23 @@ function enefarmCards(ene) {
   const genOn  = ene.generateRunning;
   return `
   <div class="device-card${bathOn ? ' running' : ''}">
-    <div class="device-name">ふろ自動</div>
-    <span class="device-status${bathOn ? ' on' : ''}">${escHtml(ene.bathLabel)}</span>
+    <div class="device-name">${tr('device.bath')}</div>
+    <span class="device-status${bathOn ? ' on' : ''}">${tr(`state.${ene.bathStatus}`)}</span>
     <div class="device-info">&nbsp;</div>
-    <button class="device-btn${bathOn ? ' stop-btn' : ''}" onclick="controlDevice(this,'bath')">${escHtml(ene.bathButton)}</button>
+    <button class="device-btn${bathOn ? ' stop-btn' : ''}" onclick="controlDevice(this,'bath',${!bathOn})">${tr('device.bath')}</button>
   </div>
   <div class="device-card${genOn ? ' running' : ''}">
-    <div class="device-name">発電</div>
-    <span class="device-status${genOn ? ' on' : ''}">${escHtml(ene.generateLabel)}</span>
+    <div class="device-name">${tr('device.generate')}</div>
+    <span class="device-status${genOn ? ' on' : ''}">${tr(`state.${ene.generateStatus}`)}</span>
     <div class="device-info">&nbsp;</div>
-    <button class="device-btn${genOn ? ' stop-btn' : ''}" onclick="controlDevice(this,'generate')">${escHtml(ene.generateButton)}</button>
+    <button class="device-btn${genOn ? ' stop-btn' : ''}" onclick="controlDevice(this,'generate',${!genOn})">${tr(genOn ? 'button.stopGenerate' : 'button.startGenerate')}</button>
   </div>`;
 }
 
-// ── Generic device toggle ─────────────────────────────────────────────────────
-async function controlDevice(btn, type) {
+// ── Generic device on/off ─────────────────────────────────────────────────────
+// `on` is what the button asked for, so a stale card can't flip a device the
+// wrong way; the server only switches when the device is not already there
+async function controlDevice(btn, type, on) {
   if (btn.disabled) return;
   btn.disabled = true;
   const origText = btn.textContent;
@@ -387,13 +635,15 @@ async function controlDevice(btn, type) {
   const card = btn.closest('.device-card');
 
   let body;
-  if      (type === 'ac')       body = { action: 'toggleAC',       nodeId: card.dataset.node, eoj: card.dataset.eoj, state: card.dataset.state };
-  else if (type === 'fh')       body = { action: 'toggleFH',       nodeId: card.dataset.node, eoj: card.dataset.eoj, state: card.dataset.state };
-  else if (type === 'bath')     body = { action: 'toggleBath' };
-  else if (type === 'generate') body = { action: 'toggleGenerate' };
-
-  await postControl(body);
-  setTimeout(() => { if (btn.disabled) { btn.textContent = origText; btn.disabled = false; } }, 3_500);
+  if      (type === 'ac')       body = { action: 'setACPower',       nodeId: card.dataset.node, eoj: card.dataset.eoj, value: on };
+  else if (type === 'fh')       body = { action: 'setFHPower',       nodeId: card.dataset.node, eoj: card.dataset.eoj, value: on };
+  else if (type === 'bath')     body = { action: 'setBathPower',     value: on };
+  else if (type === 'generate') body = { action: 'setGeneratePower', value: on };
+
+  const result = await postControl(body);
+  // On success the devices broadcast has already redrawn the card
+  if (btn.isConnected) { btn.textContent = origText; btn.disabled = false; }
+  reportControl(result);
 }
 window.controlDevice = controlDevice;
 
@@ -408,13 +658,13 @@ async function sendACControl(btn, type, value) {
     eoj:     card.dataset.eoj,
     value,
   };
-  await postControl(body);
-  // Optimistically update the active button
   if (type === 'mode' || type === 'fan') {
     btn.closest('.seg-group').querySelectorAll('.seg-btn').forEach(b => b.classList.remove('active'));
     btn.classList.add('active');
   }
-  setTimeout(() => { btn.disabled = false; }, 3_000);
+  const result = await postControl(body);
+  btn.disabled = false;
+  reportControl(result);
 }
 window.sendACControl = sendACControl;
 
@@ -431,12 +681,13 @@ async function adjustACTemp(btn, delta) {
   valEl.textContent = next + '℃';
   const card = btn.closest('.device-card');
 
-  await postControl({ action: 'setACTemp', nodeId: card.dataset.node, eoj: card.dataset.eoj, value: next });
+  const result = await postControl({ action: 'setACTemp', nodeId: card.dataset.node, eoj: card.dataset.eoj, value: next });
 
   // Update +/− disabled state
   btn.parentElement.querySelector('[onclick*="-1"]').disabled = next <= min;
   btn.parentElement.querySelector('[onclick*="+1"]').disabled = next >= max;
   btn.disabled = false;
+  reportControl(result);
 }
 window.adjustACTemp = adjustACTemp;
 
@@ -452,7 +703,7 @@ async function adjustFHLevel(btn, delta) {
   valEl.textContent = next;
   const card = btn.closest('.device-card');
 
-  await postControl({
+  const result = await postControl({
     action: 'setFHLevel',
     nodeId: card.dataset.node,
     eoj:    card.dataset.eoj,
@@ -463,6 +714,7 @@ async function adjustFHLevel(btn, delta) {
   btn.parentElement.querySelector('[onclick*="-1"]').disabled = next <= 1;
   btn.parentElement.querySelector('[onclick*="+1"]').disabled = next >= 9;
   btn.disabled = false;
+  reportControl(result);
 }
 window.adjustFHLevel = adjustFHLevel;
 
@@ -475,7 +727,7 @@ function openRename(btn) {
   const all  = [...(currentDevices?.acs || []), ...(currentDevices?.fhs || [])];
   const orig = eoj ? (all.find(d => d.eoj === eoj)?.name || cur) : cur;
 
-  const input = prompt(`「${escHtml(orig)}」の表示名を入力\n（空欄でリセット）`, cur === orig ? '' : cur);
+  const input = prompt(tr('device.renamePrompt', { name: orig }), cur === orig ? '' : cur);
   if (input === null) return;   // cancelled
 
   fetch('/api/nicknames', {
@@ -489,50 +741,907 @@ function openRename(btn) {
 window.openRename = openRename;
 
 // ── Shared control POST ───────────────────────────────────────────────────────
+// The server confirms each command against the device state and pushes a
+// `command-result` (success, failed or timeout) over the WebSocket; that can
+// arrive before the POST response does. While the socket is down the result
+// is polled from /api/commands/:id instead
+const COMMAND_WAIT_MS = 20_000;       // a little past the server's own deadline
+const COMMAND_POLL_MS = 1_000;
+const commandWaiters  = new Map();    // commandId → resolve
+const earlyResults    = new Map();    // commandId → result nobody was waiting for yet
+
+/**
+ * Send a control command and resolve to its outcome { status, error }.
+ */
 async function postControl(body) {
+  let res;
   try {
     const r = await fetch('/api/devices/control', {
       method:  'POST',
       headers: { 'Content-Type': 'application/json' },
       body:    JSON.stringify(body),
     });
-    if (!r.ok) console.warn('control error', r.status);
+    res = await r.json().catch(() => ({}));
+    if (!r.ok) return { status: 'failed', error: res.error || `HTTP ${r.status}` };
   } catch (e) {
-    console.warn('control fetch failed', e);
+    return { status: 'failed', error: e.message };
+  }
+
+  const id = res.commandId;
+  if (earlyResults.has(id)) {
+    const result = earlyResults.get(id);
+    earlyResults.delete(id);
+    return result;
+  }
+  return new Promise(resolve => {
+    const done = result => {
+      commandWaiters.delete(id);
+      clearTimeout(timer);
+      clearInterval(poller);
+      resolve(result);
+    };
+    const timer  = setTimeout(() => done({ status: 'timeout' }), COMMAND_WAIT_MS);
+    const poller = setInterval(() => {
+      if (ws && ws.readyState === WebSocket.OPEN) return;
+      fetch(`/api/commands/${id}`)
+        .then(r => r.ok ? r.json() : null)
+        .then(result => { if (result && result.status !== 'pending' && commandWaiters.has(id)) done(result); })
+        .catch(() => {});
+    }, COMMAND_POLL_MS);
+    commandWaiters.set(id, done);
+  });
+}
+
+function onCommandResult(result) {
+  const waiter = commandWaiters.get(result.id);
+  if (waiter) {
+    commandWaiters.delete(result.id);
+    waiter(result);
+  } else {
+    earlyResults.set(result.id, result);
+    setTimeout(() => earlyResults.delete(result.id), COMMAND_WAIT_MS);
   }
 }
 
+/**
+ * Tell the user when a command did not take effect, and put the cards back
+ * to the last known device states.
+ */
+function reportControl({ status, error }) {
+  if (status === 'success') return;
+  showToast(status === 'timeout'
+    ? tr('control.unconfirmed')
+    : tr('control.failed') + (error ? `: ${error}` : ''));
+  if (currentDevices) renderDevices(currentDevices);
+}
+
+let toastTimer = null;
+function showToast(text) {
+  const el = $('toast');
+  el.textContent = text;
+  el.classList.remove('hidden');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => el.classList.add('hidden'), 5_000);
+}
+
 function loadDevices() {
-  fetch('/api/devices').then(r => r.json()).then(renderDevices).catch(() => {});
+  return fetch('/api/devices').then(r => { markStale('devices', r); return r.json(); }).then(renderDevices).catch(() => {});
 }
 
 // ── Circuits on demand ────────────────────────────────────────────────────────
 function loadCircuits() {
   if (ws && ws.readyState === WebSocket.OPEN) {
-    circuitsBtn.textContent = '読み込み中…';
+    circuitsBtn.textContent = tr('common.loading');
     circuitsBtn.disabled    = true;
     ws.send(JSON.stringify({ action: 'loadCircuits' }));
   } else {
     // WS offline — fall back to REST
-    circuitsBtn.textContent = '読み込み中…';
+    circuitsBtn.textContent = tr('common.loading');
     circuitsBtn.disabled    = true;
     fetch('/api/circuits')
-      .then(r => r.json())
+      .then(r => { markStale('circuits', r); return r.json(); })
       .then(renderCircuits)
       .catch(() => {
-        circuitsList.innerHTML = '<div class="circuits-msg">読み込み失敗</div>';
-        circuitsBtn.textContent = '再試行';
+        circuitsList.innerHTML = `<div class="circuits-msg">${tr('common.loadFailed')}</div>`;
+        circuitsBtn.textContent = tr('common.retry');
         circuitsBtn.disabled    = false;
       });
   }
 }
 window.loadCircuits = loadCircuits;
 
+// ── Target state fields (shared by the schedule and rule editors) ─────────────
+const TEMPS  = Array.from({ length: 15 }, (_, i) => ({ v: 16 + i, l: `${16 + i}℃` }));
+const LEVELS = Array.from({ length: 9 }, (_, i) => ({ v: i + 1, l: String(i + 1) }));
+
+function targetDeviceName(dev) {
+  if (dev.type === 'bath')     return tr('device.bath');
+  if (dev.type === 'generate') return tr('device.enefarmGenerate');
+  const list = dev.type === 'ac' ? currentDevices?.acs : currentDevices?.fhs;
+  const d = (list || []).find(x => x.nodeId === dev.nodeId && x.eoj === dev.eoj);
+  return d ? (d.nickname || d.name) : tr(dev.type === 'ac' ? 'device.ac' : 'device.fh');
+}
+
+function targetWhat(t) {
+  if (!t.power) return tr('target.off');
+  const parts = [tr('target.on')];
+  if (t.mode)  parts.push(AC_MODES.find(m => m.v === t.mode)?.l);
+  if (t.temp)  parts.push(`${t.temp}℃`);
+  if (t.fan)   parts.push(tr('target.fan', { v: AC_FANS.find(f => f.v === t.fan)?.l }));
+  if (t.level) parts.push(tr('target.level', { v: t.level }));
+  return parts.join(' ');
+}
+
+function deviceOptions(sel) {
+  const opts = [
+    ...(currentDevices?.acs || []).map(d => ({ v: `ac|${d.nodeId}|${d.eoj}`, l: d.nickname || d.name })),
+    ...(currentDevices?.fhs || []).map(d => ({ v: `fh|${d.nodeId}|${d.eoj}`, l: d.nickname || d.name })),
+    ...(currentDevices?.enefarm ? [{ v: 'bath', l: tr('device.bath') }, { v: 'generate', l: tr('device.enefarmGenerate') }] : []),
+  ];
+  return opts.map(o => `<option value="${escHtml(o.v)}"${o.v === sel ? ' selected' : ''}>${escHtml(o.l)}</option>`).join('');
+}
+
+const selectOptions = (list, sel) => [`<option value="">${tr('common.unspecified')}</option>`,
+  ...list.map(o => `<option value="${o.v}"${String(o.v) === String(sel) ? ' selected' : ''}>${o.l}</option>`)].join('');
+
+// Device, power and settings selects for one target state
+function targetFields(t = { power: true, device: {} }) {
+  const devVal = t.device.nodeId ? `${t.device.type}|${t.device.nodeId}|${t.device.eoj}` : t.device.type;
+  return `<div class="target-fields">
+    <label class="sched-row"><span class="ctrl-label">${tr('target.device')}</span>
+      <select data-f="device" class="sched-input" onchange="updateTargetFields(this)">${deviceOptions(devVal)}</select></label>
+    <label class="sched-row"><span class="ctrl-label">${tr('target.action')}</span>
+      <select data-f="power" class="sched-input" onchange="updateTargetFields(this)">
+        <option value="on"${t.power ? ' selected' : ''}>${tr('target.on')}</option>
+        <option value="off"${t.power ? '' : ' selected'}>${tr('target.off')}</option>
+      </select></label>
+    <label class="sched-row target-ac"><span class="ctrl-label">${tr('ac.mode')}</span>
+      <select data-f="mode" class="sched-input">${selectOptions(AC_MODES, t.mode)}</select></label>
+    <label class="sched-row target-ac"><span class="ctrl-label">${tr('ac.temp')}</span>
+      <select data-f="temp" class="sched-input">${selectOptions(TEMPS, t.temp)}</select></label>
+    <label class="sched-row target-ac"><span class="ctrl-label">${tr('ac.fan')}</span>
+      <select data-f="fan" class="sched-input">${selectOptions(AC_FANS, t.fan)}</select></label>
+    <label class="sched-row target-fh"><span class="ctrl-label">${tr('fh.level')}</span>
+      <select data-f="level" class="sched-input">${selectOptions(LEVELS, t.level)}</select></label>
+  </div>`;
+}
+
+// Show only the settings that apply to the chosen device and power
+function updateTargetFields(el) {
+  const root = el.closest('.target-fields');
+  const type = root.querySelector('[data-f="device"]').value.split('|')[0];
+  const on   = root.querySelector('[data-f="power"]').value === 'on';
+  root.querySelectorAll('.target-ac').forEach(r => r.classList.toggle('hidden', !(on && type === 'ac')));
+  root.querySelectorAll('.target-fh').forEach(r => r.classList.toggle('hidden', !(on && type === 'fh')));
+}
+window.updateTargetFields = updateTargetFields;
+
+function readTargetFields(root) {
+  const f = name => root.querySelector(`[data-f="${name}"]`).value;
+  const [type, nodeId, eoj] = f('device').split('|');
+  const num = name => f(name) === '' ? undefined : Number(f(name));
+  return {
+    device: { type, nodeId, eoj },
+    power:  f('power') === 'on',
+    mode:   type === 'ac' ? f('mode') || undefined : undefined,
+    temp:   type === 'ac' ? num('temp') : undefined,
+    fan:    type === 'ac' ? f('fan') || undefined : undefined,
+    level:  type === 'fh' ? num('level') : undefined,
+  };
+}
+
+// Load devices first when an editor is opened before the Devices data arrived
+function withDevices(fn) {
+  if (currentDevices) return fn();
+  loadDevices().then(() => { if (currentDevices) fn(); });
+}
+
+async function sendJson(url, method, body) {
+  const r = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify(body),
+  });
+  if (!r.ok) throw new Error((await r.json().catch(() => ({}))).error || tr('common.saveFailed'));
+  return r;
+}
+
+// ── Schedules ─────────────────────────────────────────────────────────────────
+const scheduleList   = $('schedule-list');
+const scheduleEditor = $('schedule-editor');
+
+// Short weekday names, Sunday first; 2023-01-01 was a Sunday
+const weekdayName = d => new Date(2023, 0, 1 + d).toLocaleDateString(locale(), { weekday: 'short' });
+let schedules       = [];
+let schedulesLoaded = false;
+let editingId       = null;   // id of the schedule in the editor, null = new
+
+function loadSchedules() {
+  fetch('/api/schedules')
+    .then(r => r.json())
+    .then(list => { schedules = list; schedulesLoaded = true; renderSchedules(); })
+    .catch(() => { scheduleList.innerHTML = `<div class="device-placeholder">${tr('common.loadFailed')}</div>`; });
+}
+
+function scheduleWhen(s) {
+  if (s.repeat === 'once') {
+    return new Date(s.at).toLocaleString(locale(), { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+  const days = s.days.join() === '1,2,3,4,5' ? tr('schedules.weekdays')
+    : s.days.length === 7 ? tr('schedules.everyDay')
+    : s.days.map(weekdayName).join(tr('common.sep'));
+  return `${days} ${s.time}`;
+}
+
+function renderSchedules() {
+  if (!schedules.length) {
+    scheduleList.innerHTML = `<div class="device-placeholder">${tr('schedules.none')}</div>`;
+    return;
+  }
+  scheduleList.innerHTML = schedules.map(s => {
+    const next = s.next
+      ? tr('schedules.next', { when: new Date(s.next).toLocaleString(locale(), { month: 'numeric', day: 'numeric', weekday: 'short', hour: '2-digit', minute: '2-digit' }) })
+      : tr('schedules.noNext');
+    const last = s.lastStatus === 'missed' ? tr('schedules.missed')
+      : s.lastStatus?.startsWith('error') ? tr('schedules.lastFailed') : '';
+    return `<div class="schedule-item${s.enabled ? '' : ' disabled'}" data-id="${escHtml(s.id)}">
+      <div class="schedule-main">
+        <span class="schedule-when">${escHtml(scheduleWhen(s))}</span>
+        <span class="schedule-what">${escHtml(s.name || targetDeviceName(s.device))} — ${escHtml(targetWhat(s))}</span>
+        <span class="schedule-next">${escHtml(next)}${last ? `　<span class="buy-color">${escHtml(last)}</span>` : ''}</span>
+      </div>
+      <button class="pill-btn" onclick="toggleSchedule('${escHtml(s.id)}')">${tr(s.enabled ? 'common.enabled' : 'common.disabled')}</button>
+      <button class="icon-btn" onclick="openScheduleEditor('${escHtml(s.id)}')" title="${tr('common.edit')}">✏️</button>
+      <button class="icon-btn" onclick="deleteSchedule('${escHtml(s.id)}')" title="${tr('common.delete')}">🗑</button>
+    </div>`;
+  }).join('');
+}
+
+function openScheduleEditor(id = null) {
+  withDevices(() => {
+    editingId = id;
+    const s = schedules.find(x => x.id === id) ||
+      { repeat: 'weekly', days: [1, 2, 3, 4, 5], time: '07:00', power: true, device: {} };
+    const onceAt = new Date(s.repeat === 'once' ? s.at : Date.now() + 3_600_000);
+    const pad    = n => String(n).padStart(2, '0');
+
+    scheduleEditor.innerHTML = `
+      <label class="sched-row"><span class="ctrl-label">${tr('common.name')}</span>
+        <input id="sched-name" class="sched-input" maxlength="60" value="${escHtml(s.name || '')}" placeholder="${tr('common.optional')}"></label>
+      ${targetFields(s)}
+      <label class="sched-row"><span class="ctrl-label">${tr('schedules.repeat')}</span>
+        <select id="sched-repeat" class="sched-input" onchange="updateScheduleForm()">
+          <option value="weekly"${s.repeat === 'weekly' ? ' selected' : ''}>${tr('schedules.weekly')}</option>
+          <option value="once"${s.repeat === 'once' ? ' selected' : ''}>${tr('schedules.once')}</option>
+        </select></label>
+      <div class="sched-row sched-weekly"><span class="ctrl-label">${tr('schedules.days')}</span>
+        <div class="seg-group">${[0, 1, 2, 3, 4, 5, 6].map(d =>
+          `<button class="seg-btn${(s.days || []).includes(d) ? ' active' : ''}" data-day="${d}"
+             onclick="this.classList.toggle('active')">${weekdayName(d)}</button>`).join('')}</div></div>
+      <label class="sched-row sched-weekly"><span class="ctrl-label">${tr('schedules.time')}</span>
+        <input id="sched-time" class="sched-input" type="time" value="${escHtml(s.time || '07:00')}"></label>
+      <label class="sched-row sched-once"><span class="ctrl-label">${tr('schedules.at')}</span>
+        <input id="sched-at" class="sched-input" type="datetime-local"
+          value="${onceAt.getFullYear()}-${pad(onceAt.getMonth() + 1)}-${pad(onceAt.getDate())}T${pad(onceAt.getHours())}:${pad(onceAt.getMinutes())}"></label>
+      <div id="sched-error" class="sched-error"></div>
+      <div class="sched-row">
+        <button class="device-btn" onclick="saveSchedule()">${tr('common.save')}</button>
+        <button class="device-btn stop-btn" onclick="closeScheduleEditor()">${tr('common.cancel')}</button>
+      </div>`;
+    scheduleEditor.classList.remove('hidden');
+    updateTargetFields(scheduleEditor.querySelector('.target-fields'));
+    updateScheduleForm();
+  });
+}
+window.openScheduleEditor = openScheduleEditor;
+
+// Show the weekday/time or the date field depending on the repeat mode
+function updateScheduleForm() {
+  const weekly = $('sched-repeat').value === 'weekly';
+  scheduleEditor.querySelectorAll('.sched-weekly').forEach(el => el.classList.toggle('hidden', !weekly));
+  scheduleEditor.querySelectorAll('.sched-once').forEach(el => el.classList.toggle('hidden', weekly));
+}
+window.updateScheduleForm = updateScheduleForm;
+
+function closeScheduleEditor() {
+  scheduleEditor.classList.add('hidden');
+  scheduleEditor.innerHTML = '';
+  editingId = null;
+}
+window.closeScheduleEditor = closeScheduleEditor;
+
+async function saveSchedule() {
+  const body = {
+    name:   $('sched-name').value,
+    repeat: $('sched-repeat').value,
+    ...readTargetFields(scheduleEditor.querySelector('.target-fields')),
+  };
+  if (body.repeat === 'weekly') {
+    body.time = $('sched-time').value;
+    body.days = [...scheduleEditor.querySelectorAll('[data-day].active')].map(b => Number(b.dataset.day));
+  } else {
+    body.at = new Date($('sched-at').value).getTime();
+  }
+  if (editingId) body.enabled = schedules.find(x => x.id === editingId)?.enabled ?? true;
+
+  try {
+    await sendJson(editingId ? `/api/schedules/${editingId}` : '/api/schedules', editingId ? 'PUT' : 'POST', body);
+    closeScheduleEditor();
+    loadSchedules();
+  } catch (e) {
+    $('sched-error').textContent = e.message;
+  }
+}
+window.saveSchedule = saveSchedule;
+
+async function toggleSchedule(id) {
+  const s = schedules.find(x => x.id === id);
+  if (!s) return;
+  await sendJson(`/api/schedules/${id}`, 'PUT', { ...s, enabled: !s.enabled }).catch(() => {});
+  loadSchedules();
+}
+window.toggleSchedule = toggleSchedule;
+
+async function deleteSchedule(id) {
+  if (!confirm(tr('schedules.confirmDelete'))) return;
+  await fetch(`/api/schedules/${id}`, { method: 'DELETE' }).catch(() => {});
+  loadSchedules();
+}
+window.deleteSchedule = deleteSchedule;
+
+// ── Automation rules ──────────────────────────────────────────────────────────
+const ruleList   = $('rule-list');
+const ruleEditor = $('rule-editor');
+const ruleLog    = $('rule-log');
+
+const RULE_METRICS = [
+  ['surplus_kw',  'kW'],
+  ['import_kw',   'kW'],
+  ['gen_kw',      'kW'],
+  ['use_kw',      'kW'],
+  ['solar_w',     'W'],
+  ['battery_pct', '%'],
+].map(([v, unit]) => ({ v, unit, get l() { return tr(`metric.${v}`); } }));
+let rules         = [];
+let ruleLogItems  = [];
+let rulesLoaded   = false;
+let editingRuleId = null;
+
+function loadRules() {
+  Promise.all([fetch('/api/rules').then(r => r.json()), fetch('/api/rules/log?limit=20').then(r => r.json())])
+    .then(([list, log]) => { rules = list; ruleLogItems = log; rulesLoaded = true; renderRules(); renderRuleLog(log); })
+    .catch(() => { ruleList.innerHTML = `<div class="device-placeholder">${tr('common.loadFailed')}</div>`; });
+}
+
+function conditionText(c) {
+  const m = RULE_METRICS.find(x => x.v === c.metric);
+  return `${m?.l ?? c.metric} ${c.op} ${c.value}${m?.unit ?? ''}${c.minutes ? tr('rules.forMinutes', { n: c.minutes }) : ''}`;
+}
+
+function renderRules() {
+  if (!rules.length) {
+    ruleList.innerHTML = `<div class="device-placeholder">${tr('rules.none')}</div>`;
+    return;
+  }
+  ruleList.innerHTML = rules.map(r => {
+    const actions = r.actions.map(a => `${targetDeviceName(a.device)} ${targetWhat(a)}`).join(tr('common.sep'));
+    const holding = r.holdingSince ? tr('rules.holding', { n: Math.floor((Date.now() - r.holdingSince) / 60_000) }) : '';
+    return `<div class="schedule-item${r.enabled ? '' : ' disabled'}">
+      <div class="schedule-main">
+        <span class="schedule-what"><strong>${escHtml(r.name || actions)}</strong></span>
+        <span class="schedule-what">▶ ${escHtml(conditionText(r.on))} → ${escHtml(actions)}</span>
+        <span class="schedule-what">■ ${escHtml(conditionText(r.off))} → ${tr('rules.revert')}</span>
+        <span class="schedule-next"><span class="${r.active ? 'sell-color' : ''}">${tr(r.active ? 'rules.active' : 'rules.idle')}</span>${escHtml(holding)}</span>
+      </div>
+      <button class="pill-btn" onclick="toggleRule('${escHtml(r.id)}')">${tr(r.enabled ? 'common.enabled' : 'common.disabled')}</button>
+      <button class="icon-btn" onclick="openRuleEditor('${escHtml(r.id)}')" title="${tr('common.edit')}">✏️</button>
+      <button class="icon-btn" onclick="deleteRule('${escHtml(r.id)}')" title="${tr('common.delete')}">🗑</button>
+    </div>`;
+  }).join('');
+}
+
+function renderRuleLog(log) {
+  ruleLog.innerHTML = log.length ? log.map(e => {
+    const when = new Date(e.t).toLocaleString(locale(), { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    const ok   = e.status === 'ok';
+    return `<div class="rule-log-item">
+      <span class="muted">${escHtml(when)}</span>
+      <span>${escHtml(e.name || e.id)} ${tr(e.phase === 'on' ? 'rules.started' : 'rules.ended')}</span>
+      <span class="${ok ? '' : 'buy-color'}">${ok ? '' : tr('common.failed')}</span>
+    </div>`;
+  }).join('') : `<div class="device-placeholder">${tr('common.noHistory')}</div>`;
+}
+
+function conditionFields(id, c) {
+  const metrics = RULE_METRICS.map(m =>
+    `<option value="${m.v}"${m.v === c.metric ? ' selected' : ''}>${tr('rules.metricUnit', { metric: m.l, unit: m.unit })}</option>`).join('');
+  return `<div class="sched-row" id="${id}">
+    <select data-c="metric" class="sched-input">${metrics}</select>
+    <select data-c="op" class="sched-input rule-op">
+      <option${c.op === '>' ? ' selected' : ''}>&gt;</option>
+      <option${c.op === '<' ? ' selected' : ''}>&lt;</option>
+    </select>
+    <input data-c="value" class="sched-input rule-num" type="number" step="0.1" value="${c.value}">
+    <input data-c="minutes" class="sched-input rule-num" type="number" min="0" value="${c.minutes}"><span class="muted">${tr('common.minutes')}</span>
+  </div>`;
+}
+
+function readCondition(id) {
+  const f = name => $(id).querySelector(`[data-c="${name}"]`).value;
+  return { metric: f('metric'), op: f('op'), value: Number(f('value')), minutes: Number(f('minutes')) };
+}
+
+function openRuleEditor(id = null) {
+  withDevices(() => {
+    editingRuleId = id;
+    const r = rules.find(x => x.id === id) || {
+      on:      { metric: 'surplus_kw', op: '>', value: 1.5, minutes: 10 },
+      off:     { metric: 'import_kw',  op: '>', value: 0.5, minutes: 5 },
+      actions: [{ power: true, device: {} }],
+    };
+    ruleEditor.innerHTML = `
+      <label class="sched-row"><span class="ctrl-label">${tr('common.name')}</span>
+        <input id="rule-name" class="sched-input" maxlength="60" value="${escHtml(r.name || '')}" placeholder="${tr('common.optional')}"></label>
+      <div class="ctrl-label rule-heading">${tr('rules.onCondition')}</div>
+      ${conditionFields('rule-on', r.on)}
+      <div class="ctrl-label rule-heading">${tr('rules.offCondition')}</div>
+      ${conditionFields('rule-off', r.off)}
+      <div class="ctrl-label rule-heading">${tr('rules.actions')}</div>
+      <div id="rule-actions">${r.actions.map(ruleActionHtml).join('')}</div>
+      <button class="pill-btn" onclick="addRuleAction()">${tr('rules.addAction')}</button>
+      <div id="rule-error" class="sched-error"></div>
+      <div class="sched-row">
+        <button class="device-btn" onclick="saveRule()">${tr('common.save')}</button>
+        <button class="device-btn stop-btn" onclick="closeRuleEditor()">${tr('common.cancel')}</button>
+      </div>`;
+    ruleEditor.classList.remove('hidden');
+    ruleEditor.querySelectorAll('.target-fields').forEach(updateTargetFields);
+  });
+}
+window.openRuleEditor = openRuleEditor;
+
+function ruleActionHtml(t) {
+  return `<div class="rule-action">${targetFields(t)}
+    <button class="icon-btn" onclick="this.parentElement.remove()" title="${tr('common.delete')}">🗑</button></div>`;
+}
+
+function addRuleAction() {
+  $('rule-actions').insertAdjacentHTML('beforeend', ruleActionHtml({ power: true, device: {} }));
+  updateTargetFields($('rule-actions').lastElementChild.querySelector('.target-fields'));
+}
+window.addRuleAction = addRuleAction;
+
+function closeRuleEditor() {
+  ruleEditor.classList.add('hidden');
+  ruleEditor.innerHTML = '';
+  editingRuleId = null;
+}
+window.closeRuleEditor = closeRuleEditor;
+
+async function saveRule() {
+  const body = {
+    name:    $('rule-name').value,
+    on:      readCondition('rule-on'),
+    off:     readCondition('rule-off'),
+    actions: [...ruleEditor.querySelectorAll('.target-fields')].map(readTargetFields),
+  };
+  if (editingRuleId) body.enabled = rules.find(x => x.id === editingRuleId)?.enabled ?? true;
+  try {
+    await sendJson(editingRuleId ? `/api/rules/${editingRuleId}` : '/api/rules', editingRuleId ? 'PUT' : 'POST', body);
+    closeRuleEditor();
+    loadRules();
+  } catch (e) {
+    $('rule-error').textContent = e.message;
+  }
+}
+window.saveRule = saveRule;
+
+async function toggleRule(id) {
+  const r = rules.find(x => x.id === id);
+  if (!r) return;
+  await sendJson(`/api/rules/${id}`, 'PUT', { ...r, enabled: !r.enabled }).catch(() => {});
+  loadRules();
+}
+window.toggleRule = toggleRule;
+
+async function deleteRule(id) {
+  if (!confirm(tr('rules.confirmDelete'))) return;
+  await fetch(`/api/rules/${id}`, { method: 'DELETE' }).catch(() => {});
+  loadRules();
+}
+window.deleteRule = deleteRule;
+
+// ── Audit timeline ────────────────────────────────────────────────────────────
+const auditList = $('audit-list');
+const AUDIT_PAGE = 30;
+
+// Message key per audited action
+const AUDIT_ACTIONS = {
+  setACPower: 'audit.power', setFHPower: 'audit.power', setBathPower: 'device.bath', setGeneratePower: 'device.generate',
+  toggleAC: 'audit.toggle', toggleFH: 'audit.toggle', toggleBath: 'device.bath', toggleGenerate: 'device.generate',
+  setACMode: 'ac.mode', setACTemp: 'audit.setTemp', setACFan: 'ac.fan', setFHLevel: 'fh.level', rename: 'audit.rename',
+};
+let auditEntries = null;   // newest first; null until loaded
+
+async function loadAudit({ more = false } = {}) {
+  // Page on from the last entry shown; its id breaks ties between entries of the same ms
+  const last = more && auditEntries?.at(-1);
+  const to   = last ? `&to=${last.t}&before=${encodeURIComponent(last.id)}` : '';
+  try {
+    const page = await (await fetch(`/api/audit?limit=${AUDIT_PAGE}${to}`)).json();
+    auditEntries = more ? [...auditEntries, ...page] : page;
+    $('audit-more').classList.toggle('hidden', page.length < AUDIT_PAGE);
+    renderAudit();
+  } catch { /* offline */ }
+}
+window.loadAudit = loadAudit;
+
+function auditDevice(d) {
+  if (d.type === 'bath' || d.type === 'generate') return tr('device.enefarm');
+  return d.name || `${d.nodeId}_${d.eoj}`;
+}
+
+function auditValue(e) {
+  if (typeof e.value === 'boolean') return tr(e.value ? 'audit.on' : 'audit.off') + (e.response?.changed === false ? tr('audit.unchanged') : '');
+  if (e.action === 'setACMode')  return AC_MODES.find(m => m.v === e.value)?.l ?? e.value;
+  if (e.action === 'setACFan')   return AC_FANS.find(f => f.v === e.value)?.l ?? e.value;
+  if (e.action === 'setACTemp')  return `${e.value}℃`;
+  if (e.action === 'setFHLevel') return `${e.value}`;
+  if (e.action === 'rename')     return e.value ? tr('audit.quoted', { v: e.value }) : tr('audit.reset');
+  return '';
+}
+
+function auditSource(s) {
+  if (s.via === 'schedule') return `⏰ ${s.name || tr('audit.schedule')}`;
+  if (s.via === 'rule')     return `☀️ ${s.name || tr('audit.rule')}`;
+  if (s.via === 'mqtt')     return 'MQTT';
+  return s.user || s.ip || 'API';
+}
+
+function auditAfter(a) {
+  if (!a) return '';
+  if (a.name != null) return '';
+  const parts = [tr(a.running ? 'state.running' : 'state.stopped')];
+  if (a.running && a.mode)  parts.push(AC_MODES.find(m => m.v === a.mode)?.l);
+  if (a.running && a.temp)  parts.push(`${a.temp}℃`);
+  if (a.running && a.level) parts.push(tr('target.level', { v: a.level }));
+  return '→ ' + parts.filter(Boolean).join(' ');
+}
+
+function renderAudit() {
+  if (!auditEntries) return;
+  auditList.innerHTML = auditEntries.length ? auditEntries.map(e => {
+    const when  = new Date(e.t).toLocaleString(locale(), { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    const error = e.response?.error || (e.status === 'failed' ? tr('audit.rejected') : null);
+    const unconfirmed = e.status === 'timeout';
+    return `<div class="audit-item${error || unconfirmed ? ' failed' : ''}">
+      <span class="audit-time muted">${escHtml(when)}</span>
+      <div class="audit-body">
+        <div>${escHtml(auditDevice(e.device))} · ${escHtml(AUDIT_ACTIONS[e.action] ? tr(AUDIT_ACTIONS[e.action]) : e.action)} ${escHtml(auditValue(e))}</div>
+        <div class="muted" title="${escHtml(e.source.ua || '')}">
+          ${escHtml(auditSource(e.source))} ${error ? `<span class="buy-color">${escHtml(tr('audit.failed', { error }))}</span>`
+            : unconfirmed ? `<span class="buy-color">${tr('audit.unconfirmed')}</span> ${escHtml(auditAfter(e.after))}`
+            : escHtml(auditAfter(e.after))}
+        </div>
+      </div>
+    </div>`;
+  }).join('') : `<div class="device-placeholder">${tr('common.noHistory')}</div>`;
+}
+
+// ── Charts ────────────────────────────────────────────────────────────────────
+// Drawn as inline SVG so they need no library and work offline in the installed
+// app. Today: 1-minute averages of generation and consumption, the gap between
+// them shaded green while selling and red while buying. 30 days / months: kWh
+// bars from the server's daily archive. Tap or hover to read a point.
+const chartEl     = $('chart');
+const chartLegend = $('chart-legend');
+const chartTip    = $('chart-tip');
+
+const CHART            = { w: 320, h: 160, l: 30, r: 6, t: 8, b: 18 };   // viewBox size and plot margins
+const CHART_REFRESH_MS = 60_000;
+
+let chartKind     = 'today';
+let chartPoints   = [];   // { x, text } per point or bar of the drawn chart, for the tooltip
+let chartLoadedAt = 0;
+
+function localDay(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Round the top of the y axis up to 1, 2, 2.5 or 5 × 10^n
+function niceMax(v) {
+  if (!(v > 0)) return 1;
+  const mag = 10 ** Math.floor(Math.log10(v));
+  return [1, 2, 2.5, 5, 10].map(m => m * mag).find(m => m >= v * 0.999);
+}
+
+const cx = v => v.toFixed(1);
+
+// Grid, y labels at 0, half and max, and x labels [{ x, text }]
+function chartFrame(y, max, xLabels) {
+  const { w, h, l, r } = CHART;
+  return [0, max / 2, max].map(v =>
+    `<line class="chart-grid" x1="${l}" x2="${w - r}" y1="${cx(y(v))}" y2="${cx(y(v))}"/>
+     <text class="chart-axis" x="${l - 4}" y="${cx(y(v) + 3)}" text-anchor="end">${+v.toFixed(2)}</text>`
+  ).join('') + xLabels.map(({ x, text }) =>
+    `<text class="chart-axis" x="${cx(x)}" y="${h - 5}" text-anchor="${x <= l ? 'start' : x >= w - r ? 'end' : 'middle'}">${text}</text>`
+  ).join('');
+}
+
+function chartSvg(body) {
+  const { w, h, t, b } = CHART;
+  return `<svg viewBox="0 0 ${w} ${h}" role="img">${body}
+    <line class="chart-cursor" x1="0" x2="0" y1="${t}" y2="${h - b}" visibility="hidden"/></svg>`;
+}
+
+function chartLegendHtml(items, unit) {
+  return items.map(([cls, label]) => `<span><i class="${cls}"></i>${label}</span>`).join('') +
+    `<span class="chart-unit">${unit}</span>`;
+}
+
+function renderTodayChart({ samples }, dayStart) {
+  const { w, h, l, r, t, b } = CHART;
+  chartLegend.innerHTML = chartLegendHtml(['solar', 'use', 'sell', 'buy'].map(k => [k, tr(`energy.${k}`)]), 'kW');
+  if (!samples.length) { chartPoints = []; chartEl.innerHTML = `<div class="skeleton">${tr('chart.noToday')}</div>`; return; }
+
+  const max = niceMax(Math.max(...samples.flatMap(s => [s.gen_kw, s.use_kw])));
+  const x   = ts => l + (w - l - r) * (ts - dayStart) / 86_400_000;
+  const y   = v => t + (h - t - b) * (1 - v / max);
+
+  // Split where samples are more than 5 minutes apart so outages show as gaps
+  const runs = [];
+  for (const s of samples) {
+    const run = runs.at(-1);
+    if (run && s.t - run.at(-1).t <= 300_000) run.push(s);
+    else runs.push([s]);
+  }
+  const pts  = (run, f) => run.map(s => `${cx(x(s.t))},${cx(y(f(s)))}`);
+  const line = (run, f) => 'M' + pts(run, f).join('L');
+  const low  = s => Math.min(s.gen_kw, s.use_kw);
+  const area = (run, f) => 'M' + [...pts(run, f), ...pts(run, low).reverse()].join('L') + 'Z';
+
+  const xLabels = [0, 6, 12, 18, 24].map(hr => ({ x: x(dayStart + hr * 3_600_000), text: tr('chart.hour', { h: hr }) }));
+  chartEl.innerHTML = chartSvg(chartFrame(y, max, xLabels) + runs.map(run =>
+    `<path class="chart-sell" d="${area(run, s => s.gen_kw)}"/>
+     <path class="chart-buy" d="${area(run, s => s.use_kw)}"/>
+     <path class="chart-line solar" d="${line(run, s => s.gen_kw)}"/>
+     <path class="chart-line use" d="${line(run, s => s.use_kw)}"/>`
+  ).join(''));
+
+  chartPoints = samples.map(s => ({
+    x:    x(s.t),
+    text: `${new Date(s.t).toLocaleTimeString(locale(), { hour: '2-digit', minute: '2-digit' })}　` +
+      `${tr('energy.solar')} ${s.gen_kw.toFixed(2)} kW${tr('common.sep')}${tr('energy.use')} ${s.use_kw.toFixed(2)} kW`,
+  }));
+}
+
+// slots: [{ label, axis, row }] where row is an archive row or undefined
+function renderBarChart(slots) {
+  const { w, h, l, r, t, b } = CHART;
+  chartLegend.innerHTML = chartLegendHtml(['solar', 'use'].map(k => [k, tr(`energy.${k}`)]), 'kWh');
+  if (!slots.some(s => s.row)) { chartPoints = []; chartEl.innerHTML = `<div class="skeleton">${tr('chart.noRecords')}</div>`; return; }
+
+  const max  = niceMax(Math.max(...slots.flatMap(s => [s.row?.solar ?? 0, s.row?.consumption ?? 0])));
+  const y    = v => t + (h - t - b) * (1 - v / max);
+  const slot = (w - l - r) / slots.length;
+  const bar  = (cls, i, off, v) => v == null ? '' :
+    `<rect class="chart-bar ${cls}" x="${cx(l + slot * (i + off))}" y="${cx(y(v))}" width="${cx(slot * 0.4)}" height="${cx(y(0) - y(v))}"/>`;
+
+  const xLabels = slots.flatMap((s, i) => s.axis ? [{ x: l + slot * (i + 0.5), text: s.axis }] : []);
+  chartEl.innerHTML = chartSvg(chartFrame(y, max, xLabels) + slots.map((s, i) =>
+    bar('solar', i, 0.1, s.row?.solar) + bar('use', i, 0.5, s.row?.consumption)
+  ).join(''));
+
+  const kwh = v => v != null ? v.toFixed(1) : '—';
+  const row = r => [['solar', r.solar], ['use', r.consumption], ['buy', r.purchase], ['sell', r.sold]]
+    .map(([k, v]) => `${tr(`energy.${k}`)} ${kwh(v)}`).join(tr('common.sep')) + ' kWh';
+  chartPoints = slots.map((s, i) => ({
+    x:    l + slot * (i + 0.5),
+    text: `${s.label}　${s.row ? row(s.row) : tr('chart.noRecord')}`,
+  }));
+}
+
+async function chartJson(url) {
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  return r.json();
+}
+
+const CHART_KINDS = {
+  async today() {
+    const dayStart = new Date().setHours(0, 0, 0, 0);
+    renderTodayChart(await chartJson(`/api/history?resolution=1m&from=${dayStart}`), dayStart);
+  },
+  async daily() {
+    const days = Array.from({ length: 30 }, (_, i) => { const d = new Date(); d.setDate(d.getDate() - 29 + i); return d; });
+    const rows = await chartJson(`/api/totals/daily?from=${localDay(days[0])}&to=${localDay(days[29])}`);
+    const byDate = Object.fromEntries(rows.map(row => [row.date, row]));
+    renderBarChart(days.map((d, i) => ({
+      label: `${d.getMonth() + 1}/${d.getDate()}`,
+      axis:  (29 - i) % 7 === 0 ? `${d.getMonth() + 1}/${d.getDate()}` : null,
+      row:   byDate[localDay(d)],
+    })));
+  },
+  async monthly() {
+    const year = new Date().getFullYear();
+    const rows = await chartJson(`/api/totals/monthly?year=${year}`);
+    const byMonth = Object.fromEntries(rows.map(row => [row.period, row]));
+    renderBarChart(Array.from({ length: 12 }, (_, i) => ({
+      label: new Date(year, i).toLocaleDateString(locale(), { year: 'numeric', month: 'long' }),
+      axis:  String(i + 1),
+      row:   byMonth[`${year}-${String(i + 1).padStart(2, '0')}`],
+    })));
+  },
+};
+
+async function loadChart() {
+  const kind = chartKind;
+  chartLoadedAt = Date.now();
+  try {
+    await CHART_KINDS[kind]();
+    if (kind === chartKind) chartTip.textContent = chartPoints.length ? tr('chart.hint') : '';
+  } catch {
+    if (kind !== chartKind) return;
+    chartPoints = [];
+    chartEl.innerHTML = `<div class="skeleton">${tr('chart.loadFailed')}</div>`;
+  }
+}
+
+function showChart(kind) {
+  chartKind = kind;
+  document.querySelectorAll('.chart-tabs .seg-btn').forEach(b => b.classList.toggle('active', b.dataset.chart === kind));
+  loadChart();
+}
+window.showChart = showChart;
+
+// Reload now and then while the energy tab is showing; totals arrive every minute
+function refreshChart() {
+  if (activeTab === 'energy' && Date.now() - chartLoadedAt > CHART_REFRESH_MS) loadChart();
+}
+
+function pointChart(evt) {
+  const svg = chartEl.querySelector('svg');
+  if (!svg || !chartPoints.length) return;
+  const box = svg.getBoundingClientRect();
+  const vx  = (evt.clientX - box.left) * CHART.w / box.width;
+  const p   = chartPoints.reduce((a, c) => Math.abs(c.x - vx) < Math.abs(a.x - vx) ? c : a);
+  const cursor = svg.querySelector('.chart-cursor');
+  cursor.setAttribute('x1', cx(p.x));
+  cursor.setAttribute('x2', cx(p.x));
+  cursor.setAttribute('visibility', 'visible');
+  chartTip.textContent = p.text;
+}
+
+chartEl.addEventListener('pointerdown', pointChart);
+chartEl.addEventListener('pointermove', pointChart);
+chartEl.addEventListener('pointerleave', evt => {
+  if (evt.pointerType !== 'mouse') return;   // keep a tapped value showing on phones
+  chartEl.querySelector('.chart-cursor')?.setAttribute('visibility', 'hidden');
+  chartTip.textContent = chartPoints.length ? tr('chart.hint') : '';
+});
+
+// ── Export ────────────────────────────────────────────────────────────────────
+// Fetched rather than linked so a bad range shows as a toast, not a JSON page
+function initExportRange() {
+  const to   = new Date();
+  const from = new Date(to); from.setDate(from.getDate() - 6);
+  $('export-from').value = localDay(from);
+  $('export-to').value   = localDay(to);
+}
+
+async function downloadExport(evt) {
+  evt.preventDefault();
+  const btn = $('export-btn');
+  const [dataset, resolution] = $('export-dataset').value.split(':');
+  const params = new URLSearchParams({ dataset, format: $('export-format').value, from: $('export-from').value, to: $('export-to').value });
+  if (resolution) params.set('resolution', resolution);
+
+  btn.disabled = true;
+  try {
+    const r = await fetch(`/api/export?${params}`);
+    if (!r.ok) throw new Error((await r.json().catch(() => ({}))).error || `HTTP ${r.status}`);
+    const name = /filename="?([^";]+)"?/.exec(r.headers.get('Content-Disposition') || '')?.[1] || 'aiseg2-export';
+    const url  = URL.createObjectURL(await r.blob());
+    const a    = Object.assign(document.createElement('a'), { href: url, download: name });
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10_000);
+  } catch (e) {
+    showToast(tr('export.failed', { error: e.message }));
+  } finally {
+    btn.disabled = false;
+  }
+}
+window.downloadExport = downloadExport;
+initExportRange();
+
+// ── Login and roles ───────────────────────────────────────────────────────────
+let loginRequired = false;
+let currentUser   = null;   // { name, role } or null while authentication is off
+
+function applyUser(user) {
+  currentUser = user;
+  document.body.classList.toggle('read-only', user?.role === 'viewer');
+  $('logout-btn').classList.toggle('hidden', !user);
+  $('logout-btn').title = user ? tr('login.logoutTitle', { name: user.name, role: user.role }) : '';
+}
+
+function showLogin() {
+  loginRequired = true;
+  applyUser(null);
+  stopPoll();
+  clearTimeout(reconnectTimer);
+  if (ws) ws.close();
+  $('login-overlay').classList.remove('hidden');
+  $('login-name').focus();
+}
+
+async function submitLogin(evt) {
+  evt.preventDefault();
+  $('login-error').textContent = '';
+  try {
+    const r = await sendJson('/api/auth/login', 'POST', { name: $('login-name').value.trim(), password: $('login-password').value });
+    const user = await r.json();
+    $('login-password').value = '';
+    $('login-overlay').classList.add('hidden');
+    loginRequired = false;
+    applyUser(user);
+    boot();
+  } catch (e) {
+    $('login-error').textContent = e.message;
+  }
+}
+window.submitLogin = submitLogin;
+
+async function logout() {
+  if (!confirm(tr('login.logoutConfirm'))) return;
+  await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+  showLogin();
+}
+window.logout = logout;
+
+// ── Language ──────────────────────────────────────────────────────────────────
+const langSelect = $('lang-select');
+langSelect.innerHTML = Object.entries(LANGUAGES).map(([v, l]) =>
+  `<option value="${v}"${v === lang ? ' selected' : ''}>${escHtml(l)}</option>`).join('');
+applyI18n();
+
+// Re-render everything drawn from data; applyI18n() has already redone the markup
+window.addEventListener('langchange', () => {
+  langSelect.value = lang;
+  updateClock();
+  if (lastRealtime) renderRealtime(lastRealtime);
+  if (lastTotals)   renderTotals(lastTotals);
+  if (lastCost)     renderCost(lastCost);
+  if (lastHealth)   renderHealth(lastHealth);
+  renderStale();
+  if (currentCircuits) {
+    renderCircuits(currentCircuits);
+    circuitsBtn.textContent = tr('common.refresh');
+  }
+  if (currentDevices)  renderDevices(currentDevices);
+  if (schedulesLoaded) renderSchedules();
+  if (rulesLoaded)     { renderRules(); renderRuleLog(ruleLogItems); }
+  renderAudit();
+  applyUser(currentUser);
+  loadChart();
+});
+
 // ── Service worker ────────────────────────────────────────────────────────────
 if ('serviceWorker' in navigator) {
   navigator.serviceWorker.register('/sw.js').catch(() => {});
 }
 
 // ── Boot: REST first for instant data, then WebSocket for live updates ─────────
-initialFetch();
-connect();
+function boot() {
+  initialFetch();
+  connect();
+  if (activeTab === 'devices') switchTab('devices');
+}
+
+fetch('/api/auth/me')
+  .then(async r => {
+    if (r.status === 401) return showLogin();
+    applyUser((await r.json()).user);
+    boot();
+  })
+  .catch(boot);   // offline: start anyway and let the reconnect logic take over
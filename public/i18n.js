@@ -0,0 +1,460 @@
+'use strict';
+
+// ── i18n ──────────────────────────────────────────────────────────────────────
+// One dictionary per language; tr() looks strings up, applyI18n() fills the
+// static markup: data-i18n="key" sets the text, data-i18n-placeholder and
+// data-i18n-title the attributes. A key missing from a language falls back to
+// Japanese. To add a language, add a dictionary and its name to LANGUAGES.
+
+const LANGUAGES = { ja: '日本語', en: 'English' };
+const LOCALES   = { ja: 'ja-JP', en: 'en-US' };
+
+const MESSAGES = {
+  ja: {
+    'login.name':            'ユーザー名',
+    'login.password':        'パスワード',
+    'login.submit':          'ログイン',
+    'login.logoutTitle':     '{name}（{role}）からログアウト',
+    'login.logoutConfirm':   'ログアウトしますか？',
+    'status.title':          '接続状態',
+    'health.unreachable':    'AiSEG2 に {time} から接続できません（最後に取得した値を表示中）',
+    'lang.title':            '表示言語',
+    'tab.energy':            '電力',
+    'tab.devices':           '機器',
+
+    'common.loading':        '読み込み中…',
+    'common.loadFailed':     '読み込み失敗',
+    'common.stale':          '更新停止中',
+    'common.retry':          '再試行',
+    'common.refresh':        '更新',
+    'common.noData':         'データなし',
+    'common.noHistory':      '履歴なし',
+    'common.add':            '追加',
+    'common.save':           '保存',
+    'common.saveFailed':     '保存できませんでした',
+    'common.cancel':         'キャンセル',
+    'common.edit':           '編集',
+    'common.delete':         '削除',
+    'common.enabled':        '有効',
+    'common.disabled':       '無効',
+    'common.failed':         '失敗',
+    'common.unspecified':    '指定なし',
+    'common.optional':       '（任意）',
+    'common.name':           '名前',
+    'common.sep':            '・',
+    'common.minutes':        '分',
+
+    'flow.title':            '現在の電力フロー',
+    'flow.generating':       'kW 発電中',
+    'flow.consuming':        'kW 消費中',
+    'flow.selling':          '↑ {w}W 売電',
+    'flow.buying':           '↓ {w}W 買電',
+    'source.solar':          '太陽光',
+    'source.enefarm':        'エネファーム',
+
+    'energy.solar':          '発電',
+    'energy.use':            '消費',
+    'energy.buy':            '買電',
+    'energy.sell':           '売電',
+    'totals.title':          '今日の電気',
+    'cost.today':            '電気代',
+    'cost.revenue':          '売電収入',
+    'cost.net':              '差引',
+    'cost.now':              'いま',
+    'cost.month':            '今月',
+    'cost.projected':        '見込み {cost}',
+    'cost.rate':             '{period} {price}円/kWh',
+    'period.base':           '通常',
+    'period.night':          '夜間',
+
+    'chart.title':           '推移',
+    'chart.today':           '今日',
+    'chart.daily':           '30日',
+    'chart.monthly':         '月別',
+    'chart.hint':            'グラフをタップすると値を表示します',
+    'chart.noToday':         '今日の記録はまだありません',
+    'chart.noRecords':       '記録がありません',
+    'chart.noRecord':        '記録なし',
+    'chart.hour':            '{h}時',
+    'chart.loadFailed':      '読み込めませんでした',
+
+    'circuits.title':        '回路別（今日のkWh）',
+    'circuits.load':         '読み込む',
+    'circuits.byCircuit':    '回路',
+    'circuits.byRoom':       '部屋別',
+    'circuits.byCategory':   '種類別',
+    'circuits.none':         '回路データなし',
+    'circuits.unassigned':   '未設定',
+    'circuits.count':        '{n}回路',
+    'circuits.edit':         '名前・部屋・種類',
+    'circuits.editing':      '回路 {id}：{name}',
+    'circuits.name':         '表示名',
+    'circuits.room':         '部屋',
+    'circuits.roomExample':  '例：リビング',
+    'circuits.category':     '種類',
+    'category.hvac':         '空調',
+    'category.kitchen':      'キッチン',
+    'category.water':        '給湯・水回り',
+    'category.laundry':      '洗濯',
+    'category.lighting':     '照明・コンセント',
+    'category.appliance':    '家電',
+    'category.ev':           'EV充電',
+    'category.always-on':    '常時稼働',
+    'category.other':        'その他',
+
+    'export.title':          'データのエクスポート',
+    'export.data':           'データ',
+    'export.realtime':       '電力の推移',
+    'export.totals':         '日別の集計',
+    'export.circuits':       '回路別（日別）',
+    'export.circuitsHour':   '回路別（時間別）',
+    'export.devices':        '機器の状態',
+    'export.range':          '期間',
+    'export.format':         '形式',
+    'export.csv':            'CSV（表計算）',
+    'export.submit':         'エクスポート',
+    'export.failed':         'エクスポートに失敗しました: {error}',
+
+    'devices.acTitle':       'エアコン',
+    'devices.fhTitle':       '床暖房',
+    'devices.enefarmTitle':  'エネファーム',
+    'device.ac':             'エアコン',
+    'device.fh':             '床暖房',
+    'device.enefarm':        'エネファーム',
+    'device.bath':           'ふろ自動',
+    'device.generate':       '発電',
+    'device.enefarmGenerate': 'エネファーム発電',
+    'device.rename':         '名前を変更',
+    'device.renamePrompt':   '「{name}」の表示名を入力\n（空欄でリセット）',
+    'device.settings':       '詳細設定',
+    'state.running':         '運転中',
+    'state.stopped':         '停止中',
+    'state.auto':            '自動運転中',
+    'state.generating':      '発電中',
+    'state.unknown':         '—',
+    'button.start':          '運転',
+    'button.stop':           '停止',
+    'button.startGenerate':  '発電 開始',
+    'button.stopGenerate':   '発電 停止',
+    'ac.inner':              '室内 {v}℃',
+    'ac.outer':              '室外 {v}℃',
+    'ac.humidity':           '湿度 {v}%',
+    'ac.mode':               'モード',
+    'ac.temp':               '温度',
+    'ac.fan':                '風量',
+    'fh.level':              'レベル',
+    'mode.auto':             '自動',
+    'mode.cool':             '冷房',
+    'mode.heat':             '暖房',
+    'mode.dry':              '除湿',
+    'mode.fan':              '送風',
+    'fan.auto':              '自動',
+    'control.unconfirmed':   '操作を確認できませんでした（機器の状態が変わりません）',
+    'control.failed':        '操作に失敗しました',
+
+    'target.device':         '機器',
+    'target.action':         '動作',
+    'target.on':             '運転',
+    'target.off':            '停止',
+    'target.fan':            '風量{v}',
+    'target.level':          'レベル{v}',
+
+    'schedules.title':       'スケジュール',
+    'schedules.none':        'スケジュールなし',
+    'schedules.weekdays':    '平日',
+    'schedules.everyDay':    '毎日',
+    'schedules.next':        '次回 {when}',
+    'schedules.noNext':      '予定なし',
+    'schedules.missed':      '前回：未実行',
+    'schedules.lastFailed':  '前回：失敗',
+    'schedules.repeat':      '繰返し',
+    'schedules.weekly':      '毎週',
+    'schedules.once':        '1回のみ',
+    'schedules.days':        '曜日',
+    'schedules.time':        '時刻',
+    'schedules.at':          '日時',
+    'schedules.confirmDelete': 'このスケジュールを削除しますか？',
+
+    'rules.title':           '自動化ルール',
+    'rules.log':             '実行履歴',
+    'rules.none':            'ルールなし',
+    'rules.forMinutes':      '（{n}分）',
+    'rules.holding':         '　条件成立中（{n}分）',
+    'rules.revert':          '元に戻す',
+    'rules.active':          '作動中',
+    'rules.idle':            '待機中',
+    'rules.started':         '開始',
+    'rules.ended':           '終了',
+    'rules.onCondition':     '開始条件',
+    'rules.offCondition':    '終了条件（元に戻す）',
+    'rules.actions':         '動作',
+    'rules.addAction':       '＋ 動作を追加',
+    'rules.confirmDelete':   'このルールを削除しますか？',
+    'rules.metricUnit':      '{metric}（{unit}）',
+    'metric.surplus_kw':     '売電（余剰）',
+    'metric.import_kw':      '買電',
+    'metric.gen_kw':         '発電',
+    'metric.use_kw':         '消費',
+    'metric.solar_w':        '太陽光',
+    'metric.battery_pct':    '蓄電池',
+
+    'audit.title':           '操作履歴',
+    'audit.more':            'さらに表示',
+    'audit.power':           '電源',
+    'audit.toggle':          '運転/停止',
+    'audit.setTemp':         '設定温度',
+    'audit.rename':          '名前変更',
+    'audit.on':              '入',
+    'audit.off':             '切',
+    'audit.unchanged':       '（変更なし）',
+    'audit.reset':           'リセット',
+    'audit.quoted':          '「{v}」',
+    'audit.schedule':        'スケジュール',
+    'audit.rule':            'ルール',
+    'audit.rejected':        '機器が拒否しました',
+    'audit.failed':          '失敗: {error}',
+    'audit.unconfirmed':     '未確認',
+  },
+
+  en: {
+    'login.name':            'User name',
+    'login.password':        'Password',
+    'login.submit':          'Log in',
+    'login.logoutTitle':     'Log out {name} ({role})',
+    'login.logoutConfirm':   'Log out?',
+    'status.title':          'Connection',
+    'health.unreachable':    'AiSEG2 unreachable since {time} — showing the last values received',
+    'lang.title':            'Language',
+    'tab.energy':            'Energy',
+    'tab.devices':           'Devices',
+
+    'common.loading':        'Loading…',
+    'common.loadFailed':     'Failed to load',
+    'common.stale':          'Not updating',
+    'common.retry':          'Retry',
+    'common.refresh':        'Refresh',
+    'common.noData':         'No data',
+    'common.noHistory':      'No history',
+    'common.add':            'Add',
+    'common.save':           'Save',
+    'common.saveFailed':     'Could not save',
+    'common.cancel':         'Cancel',
+    'common.edit':           'Edit',
+    'common.delete':         'Delete',
+    'common.enabled':        'On',
+    'common.disabled':       'Off',
+    'common.failed':         'failed',
+    'common.unspecified':    'Not set',
+    'common.optional':       '(optional)',
+    'common.name':           'Name',
+    'common.sep':            ', ',
+    'common.minutes':        'min',
+
+    'flow.title':            'Power flow now',
+    'flow.generating':       'kW generating',
+    'flow.consuming':        'kW consuming',
+    'flow.selling':          '↑ {w} W selling',
+    'flow.buying':           '↓ {w} W buying',
+    'source.solar':          'Solar',
+    'source.enefarm':        'Enefarm',
+
+    'energy.solar':          'Generated',
+    'energy.use':            'Used',
+    'energy.buy':            'Bought',
+    'energy.sell':           'Sold',
+    'totals.title':          'Today',
+    'cost.today':            'Electricity cost',
+    'cost.revenue':          'Sales revenue',
+    'cost.net':              'Net',
+    'cost.now':              'Now',
+    'cost.month':            'This month',
+    'cost.projected':        'projected {cost}',
+    'cost.rate':             '{period} ¥{price}/kWh',
+    'period.base':           'standard',
+    'period.night':          'night',
+
+    'chart.title':           'History',
+    'chart.today':           'Today',
+    'chart.daily':           '30 days',
+    'chart.monthly':         'Months',
+    'chart.hint':            'Tap the chart to read values',
+    'chart.noToday':         'Nothing recorded today yet',
+    'chart.noRecords':       'Nothing recorded',
+    'chart.noRecord':        'no record',
+    'chart.hour':            '{h}h',
+    'chart.loadFailed':      'Could not load',
+
+    'circuits.title':        'Circuits (kWh today)',
+    'circuits.load':         'Load',
+    'circuits.byCircuit':    'Circuits',
+    'circuits.byRoom':       'By room',
+    'circuits.byCategory':   'By type',
+    'circuits.none':         'No circuit data',
+    'circuits.unassigned':   'Unassigned',
+    'circuits.count':        '{n} circuits',
+    'circuits.edit':         'Name, room and type',
+    'circuits.editing':      'Circuit {id}: {name}',
+    'circuits.name':         'Name',
+    'circuits.room':         'Room',
+    'circuits.roomExample':  'e.g. Living room',
+    'circuits.category':     'Type',
+    'category.hvac':         'Heating & cooling',
+    'category.kitchen':      'Kitchen',
+    'category.water':        'Hot water & plumbing',
+    'category.laundry':      'Laundry',
+    'category.lighting':     'Lights & outlets',
+    'category.appliance':    'Appliances',
+    'category.ev':           'EV charging',
+    'category.always-on':    'Always on',
+    'category.other':        'Other',
+
+    'export.title':          'Export data',
+    'export.data':           'Data',
+    'export.realtime':       'Power history',
+    'export.totals':         'Daily totals',
+    'export.circuits':       'Circuits (daily)',
+    'export.circuitsHour':   'Circuits (hourly)',
+    'export.devices':        'Device states',
+    'export.range':          'Range',
+    'export.format':         'Format',
+    'export.csv':            'CSV (spreadsheet)',
+    'export.submit':         'Export',
+    'export.failed':         'Export failed: {error}',
+
+    'devices.acTitle':       'Air conditioning',
+    'devices.fhTitle':       'Floor heating',
+    'devices.enefarmTitle':  'Enefarm',
+    'device.ac':             'AC',
+    'device.fh':             'Floor heater',
+    'device.enefarm':        'Enefarm',
+    'device.bath':           'Bath auto-fill',
+    'device.generate':       'Generation',
+    'device.enefarmGenerate': 'Enefarm generation',
+    'device.rename':         'Rename',
+    'device.renamePrompt':   'Display name for "{name}"\n(leave empty to reset)',
+    'device.settings':       'Settings',
+    'state.running':         'Running',
+    'state.stopped':         'Stopped',
+    'state.auto':            'Auto-filling',
+    'state.generating':      'Generating',
+    'state.unknown':         '—',
+    'button.start':          'Start',
+    'button.stop':           'Stop',
+    'button.startGenerate':  'Start generating',
+    'button.stopGenerate':   'Stop generating',
+    'ac.inner':              'Indoor {v}℃',
+    'ac.outer':              'Outdoor {v}℃',
+    'ac.humidity':           'Humidity {v}%',
+    'ac.mode':               'Mode',
+    'ac.temp':               'Temp',
+    'ac.fan':                'Fan',
+    'fh.level':              'Level',
+    'mode.auto':             'Auto',
+    'mode.cool':             'Cool',
+    'mode.heat':             'Heat',
+    'mode.dry':              'Dry',
+    'mode.fan':              'Fan',
+    'fan.auto':              'Auto',
+    'control.unconfirmed':   'Could not confirm the command (the device state did not change)',
+    'control.failed':        'Command failed',
+
+    'target.device':         'Device',
+    'target.action':         'Action',
+    'target.on':             'On',
+    'target.off':            'Off',
+    'target.fan':            'fan {v}',
+    'target.level':          'level {v}',
+
+    'schedules.title':       'Schedules',
+    'schedules.none':        'No schedules',
+    'schedules.weekdays':    'Weekdays',
+    'schedules.everyDay':    'Every day',
+    'schedules.next':        'Next {when}',
+    'schedules.noNext':      'Nothing scheduled',
+    'schedules.missed':      'Last run: missed',
+    'schedules.lastFailed':  'Last run: failed',
+    'schedules.repeat':      'Repeat',
+    'schedules.weekly':      'Weekly',
+    'schedules.once':        'Once',
+    'schedules.days':        'Days',
+    'schedules.time':        'Time',
+    'schedules.at':          'Date',
+    'schedules.confirmDelete': 'Delete this schedule?',
+
+    'rules.title':           'Automation rules',
+    'rules.log':             'Run history',
+    'rules.none':            'No rules',
+    'rules.forMinutes':      ' for {n} min',
+    'rules.holding':         ' · condition met for {n} min',
+    'rules.revert':          'revert',
+    'rules.active':          'Active',
+    'rules.idle':            'Waiting',
+    'rules.started':         'started',
+    'rules.ended':           'ended',
+    'rules.onCondition':     'Start when',
+    'rules.offCondition':    'Revert when',
+    'rules.actions':         'Actions',
+    'rules.addAction':       '+ Add action',
+    'rules.confirmDelete':   'Delete this rule?',
+    'rules.metricUnit':      '{metric} ({unit})',
+    'metric.surplus_kw':     'Export (surplus)',
+    'metric.import_kw':      'Import',
+    'metric.gen_kw':         'Generation',
+    'metric.use_kw':         'Consumption',
+    'metric.solar_w':        'Solar',
+    'metric.battery_pct':    'Battery',
+
+    'audit.title':           'Activity',
+    'audit.more':            'Show more',
+    'audit.power':           'Power',
+    'audit.toggle':          'On/off',
+    'audit.setTemp':         'Set temperature',
+    'audit.rename':          'Rename',
+    'audit.on':              'on',
+    'audit.off':             'off',
+    'audit.unchanged':       ' (unchanged)',
+    'audit.reset':           'reset',
+    'audit.quoted':          '"{v}"',
+    'audit.schedule':        'Schedule',
+    'audit.rule':            'Rule',
+    'audit.rejected':        'rejected by the device',
+    'audit.failed':          'Failed: {error}',
+    'audit.unconfirmed':     'Unconfirmed',
+  },
+};
+
+function initialLang() {
+  const saved = localStorage.getItem('lang');
+  if (Object.hasOwn(LANGUAGES, saved || '')) return saved;
+  return (navigator.languages || [navigator.language]).some(l => /^ja\b/i.test(l)) ? 'ja' : 'en';
+}
+
+let lang = initialLang();
+
+/**
+ * The string for key in the current language, with {name} placeholders filled.
+ */
+function tr(key, params = {}) {
+  const s = MESSAGES[lang][key] ?? MESSAGES.ja[key] ?? key;
+  return s.replace(/\{(\w+)\}/g, (m, k) => params[k] ?? m);
+}
+
+const hasMessage = key => key in MESSAGES.ja;
+const locale     = () => LOCALES[lang] || lang;
+
+function applyI18n(root = document) {
+  document.documentElement.lang = lang;
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = tr(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = tr(el.dataset.i18nPlaceholder); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = tr(el.dataset.i18nTitle); });
+}
+
+// Switch language; app.js re-renders on the langchange event
+function setLang(l) {
+  if (!Object.hasOwn(LANGUAGES, l)) return;
+  lang = l;
+  localStorage.setItem('lang', l);
+  applyI18n();
+  window.dispatchEvent(new Event('langchange'));
+}
+window.setLang = setLang;
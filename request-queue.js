@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Scheduling of AiSEG2 requests.
+ *
+ * The AiSEG2 is a small box that slows down and drops requests when too many
+ * arrive at once. createQueue() runs at most `concurrency` jobs at a time and
+ * starts the most urgent waiting job first, in arrival order within a
+ * priority. singleFlight() lets concurrent callers of the same read share
+ * one call instead of each sending their own.
+ */
+
+// Most urgent first
+const PRIORITIES = ['control', 'realtime', 'devices', 'bulk'];
+
+function createQueue({ concurrency = 4 } = {}) {
+  const waiting = PRIORITIES.map(() => []);   // FIFO per priority
+  let active = 0;
+
+  function next() {
+    while (active < concurrency) {
+      const lane = waiting.find(w => w.length);
+      if (!lane) return;
+      const { fn, resolve, reject } = lane.shift();
+      active++;
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => { active--; next(); });
+    }
+  }
+
+  /**
+   * Run fn() once a slot is free; resolves or rejects with its result.
+   */
+  function run(fn, priority = 'bulk') {
+    const i = PRIORITIES.indexOf(priority);
+    if (i < 0) return Promise.reject(new Error(`unknown priority: ${priority}`));
+    return new Promise((resolve, reject) => {
+      waiting[i].push({ fn, resolve, reject });
+      next();
+    });
+  }
+
+  function stats() {
+    return {
+      concurrency,
+      active,
+      waiting: Object.fromEntries(PRIORITIES.map((p, i) => [p, waiting[i].length])),
+    };
+  }
+
+  return { run, stats };
+}
+
+/**
+ * fn wrapped so that calls made while one with the same key(...args) is in
+ * flight get that call's promise instead of starting another.
+ */
+function singleFlight(fn, key = () => '') {
+  const inflight = new Map();
+  return (...args) => {
+    const k = key(...args);
+    if (inflight.has(k)) return inflight.get(k);
+    const p = Promise.resolve()
+      .then(() => fn(...args))
+      .finally(() => inflight.delete(k));
+    inflight.set(k, p);
+    return p;
+  };
+}
+
+module.exports = { createQueue, singleFlight, PRIORITIES };
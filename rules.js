@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Automation rules over the realtime stream, persisted to data/rules.json.
+ *
+ * A rule has two conditions with separate thresholds — `on` and `off` — which
+ * gives it hysteresis: while inactive only `on` is watched, while active only
+ * `off`. A condition has to hold for its `minutes` without a break before the
+ * rule switches. Switching on applies the rule's target states (targets.js)
+ * and remembers whether each device was running; switching off puts back the
+ * power state of every device the rule changed. Settings such as the AC
+ * temperature are not restored.
+ *
+ * Every switch is appended to data/rules-log/, one NDJSON file per day.
+ *
+ *   { "name": "Surplus heating",
+ *     "on":  { "metric": "surplus_kw", "op": ">", "value": 1.5, "minutes": 10 },
+ *     "off": { "metric": "import_kw",  "op": ">", "value": 0.5, "minutes": 5 },
+ *     "actions": [{ "device": { "type": "bath" }, "power": true }] }
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./history');
+const { normalizeTarget } = require('./targets');
+const { createLog } = require('./event-log');
+
+const RULES_FILE = path.join(DATA_DIR, 'rules.json');
+
+const eventLog = createLog(path.join(DATA_DIR, 'rules-log'), 'Rules', {
+  keepDays: Number(process.env.RULES_LOG_DAYS) || 400,
+  legacy:   path.join(DATA_DIR, 'rules-log.ndjson'),
+});
+
+// A gap this long in the realtime stream restarts every hold timer
+const STALE_MS = 60_000;
+
+// Values a condition can watch, derived from a getRealtime() sample
+const METRICS = {
+  surplus_kw:  d => (d.selling ? Math.max(0, d.gen_kw - d.use_kw) : 0),
+  import_kw:   d => (d.selling ? 0 : Math.max(0, d.use_kw - d.gen_kw)),
+  gen_kw:      d => d.gen_kw,
+  use_kw:      d => d.use_kw,
+  solar_w:     d => d.solar_w,
+  battery_pct: d => d.battery_pct,
+};
+
+function load() {
+  try { return JSON.parse(fs.readFileSync(RULES_FILE, 'utf8')); } catch { return []; }
+}
+
+function save() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(RULES_FILE, JSON.stringify(rules, null, 2));
+}
+
+let rules     = load();
+let execute   = null;        // async (target, source) => wasRunning, set by start()
+let lastAt    = 0;           // time of the previous sample
+const held    = new Map();   // rule id → time its watched condition started holding
+const busy    = new Set();   // rule ids with actions in flight
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+function normalizeCondition(c, name) {
+  if (!c || !METRICS[c.metric]) throw new Error(`${name}.metric must be one of ${Object.keys(METRICS).join(', ')}`);
+  if (c.op !== '>' && c.op !== '<') throw new Error(`${name}.op must be > or <`);
+  const value   = Number(c.value);
+  const minutes = Number(c.minutes ?? 0);
+  if (!Number.isFinite(value)) throw new Error(`${name}.value must be a number`);
+  if (!Number.isFinite(minutes) || minutes < 0 || minutes > 1440) throw new Error(`${name}.minutes must be 0–1440`);
+  return { metric: c.metric, op: c.op, value, minutes };
+}
+
+/**
+ * Check and normalise a rule body; throws on invalid input.
+ */
+function normalize(body) {
+  const b = body || {};
+  if (!Array.isArray(b.actions) || !b.actions.length) throw new Error('actions must list at least one target');
+  return {
+    name:    String(b.name || '').trim().slice(0, 60),
+    enabled: b.enabled !== false,
+    on:      normalizeCondition(b.on, 'on'),
+    off:     normalizeCondition(b.off, 'off'),
+    actions: b.actions.map(normalizeTarget),
+  };
+}
+
+// ── Firing log ───────────────────────────────────────────────────────────────
+
+/**
+ * Most recent firings first.
+ */
+function log({ limit = 100, id } = {}) {
+  return eventLog.read({ limit, filter: e => !id || e.id === id });
+}
+
+// ── Evaluation ───────────────────────────────────────────────────────────────
+
+async function fire(r, value, t) {
+  const phase = r.active ? 'off' : 'on';
+  const entry = { t, id: r.id, name: r.name, phase, metric: r[phase].metric, value };
+  const restore = [];
+  const source  = { via: 'rule', id: r.id, name: r.name, phase };
+  // The rule may have been edited meanwhile; update the stored one
+  const settle = active => {
+    const cur = rules.find(x => x.id === r.id);
+    if (!cur) return;
+    Object.assign(cur, { active, restore, changedAt: t });
+    save();
+  };
+  busy.add(r.id);
+  try {
+    if (phase === 'on') {
+      for (const target of r.actions) {
+        const wasRunning = await execute(target, source);
+        // Only devices the rule actually switched are switched back
+        if (wasRunning !== target.power) restore.push({ device: target.device, power: wasRunning });
+      }
+    } else {
+      for (const target of r.restore || []) await execute(target, source);
+    }
+    settle(phase === 'on');
+    entry.status = 'ok';
+  } catch (e) {
+    // Devices switched before the failure must still be switched back, so
+    // the rule goes active with what it has done so far
+    if (phase === 'on' && restore.length) {
+      try { settle(true); } catch (e2) { console.error(`Rule ${r.id} save:`, e2.message); }
+    }
+    console.error(`Rule ${r.id} (${phase}):`, e.message);
+    entry.status = `error: ${e.message}`;
+  } finally {
+    busy.delete(r.id);
+  }
+  eventLog.append(entry);
+}
+
+/**
+ * Feed one realtime sample through every enabled rule.
+ * Actions run in the background; a rule is not re-evaluated until they finish.
+ * Resolves once the actions started by this sample are done.
+ */
+function evaluate(sample, t = Date.now()) {
+  if (!execute || !sample) return Promise.resolve();
+  const stale = t - lastAt > STALE_MS;
+  lastAt = t;
+
+  const fired = [];
+  for (const r of rules) {
+    if (!r.enabled || busy.has(r.id)) continue;
+    const cond  = r.active ? r.off : r.on;
+    const value = METRICS[cond.metric](sample);
+    const holds = value != null && (cond.op === '>' ? value > cond.value : value < cond.value);
+    if (!holds) { held.delete(r.id); continue; }
+
+    if (stale || !held.has(r.id)) held.set(r.id, t);
+    if (t - held.get(r.id) < cond.minutes * 60_000) continue;
+
+    held.delete(r.id);
+    fired.push(fire(r, value, t));
+  }
+  return Promise.all(fired);
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+const withHolding = r => ({ ...r, holdingSince: held.get(r.id) ?? null });
+
+function list() {
+  return rules.map(withHolding);
+}
+
+function get(id) {
+  const r = rules.find(x => x.id === id);
+  return r ? withHolding(r) : null;
+}
+
+function create(body) {
+  const r = { id: crypto.randomBytes(4).toString('hex'), ...normalize(body), active: false, restore: [] };
+  rules.push(r);
+  save();
+  return withHolding(r);
+}
+
+/**
+ * Replace a rule's definition, keeping whether it is active and what it
+ * would restore.
+ */
+function update(id, body) {
+  const i = rules.findIndex(x => x.id === id);
+  if (i < 0) return null;
+  const { active, restore, changedAt } = rules[i];
+  rules[i] = { id, ...normalize(body), active, restore, changedAt };
+  held.delete(id);
+  save();
+  return withHolding(rules[i]);
+}
+
+function remove(id) {
+  const before = rules.length;
+  rules = rules.filter(x => x.id !== id);
+  if (rules.length === before) return false;
+  held.delete(id);
+  save();
+  return true;
+}
+
+/**
+ * Start acting on evaluate(). execute(target, source) applies one target
+ * state and resolves to whether the device was running before; `source`
+ * names the rule for the audit log.
+ */
+function start(fn) {
+  execute = fn;
+}
+
+module.exports = { list, get, create, update, remove, log, prune: eventLog.prune, evaluate, start, METRICS };
@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * Weekly schedules and one-off timers for device control, persisted to
+ * data/schedules.json.
+ *
+ * A schedule carries a target state ("AC B on, heating, 22℃", see targets.js)
+ * rather than a toggle, so it is safe to run against whatever the device is doing.
+ *
+ * Catch-up: due schedules are checked every 30s. An occurrence missed by up to
+ * SCHEDULE_GRACE_MINUTES (default 15, e.g. while the server restarted) still
+ * runs; older ones are recorded as missed and skipped. Only the most recent
+ * occurrence is considered, so a long outage never replays a backlog.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./history');
+const { normalizeTarget } = require('./targets');
+
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const GRACE_MS       = (Number(process.env.SCHEDULE_GRACE_MINUTES) || 15) * 60_000;
+const TICK_MS        = 30_000;
+
+function load() {
+  try { return JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8')); } catch { return []; }
+}
+
+function save() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(SCHEDULES_FILE, JSON.stringify(schedules, null, 2));
+}
+
+let schedules = load();
+let execute   = null;    // async (schedule) => void, set by start()
+let timer     = null;
+let ticking   = false;
+
+// ── Occurrences ──────────────────────────────────────────────────────────────
+
+function occurrence(s, now, dayOffset) {
+  const [h, m] = s.time.split(':').map(Number);
+  const d = new Date(now);
+  d.setDate(d.getDate() + dayOffset);
+  d.setHours(h, m, 0, 0);
+  return s.days.includes(d.getDay()) ? d.getTime() : null;
+}
+
+/**
+ * Latest occurrence at or before now (epoch ms), or null.
+ */
+function lastOccurrence(s, now) {
+  if (s.repeat === 'once') return s.at <= now ? s.at : null;
+  for (let i = 0; i >= -7; i--) {
+    const t = occurrence(s, now, i);
+    if (t != null && t <= now) return t;
+  }
+  return null;
+}
+
+/**
+ * Next occurrence after now (epoch ms), or null.
+ */
+function nextOccurrence(s, now) {
+  if (!s.enabled) return null;
+  if (s.repeat === 'once') return s.at > now ? s.at : null;
+  for (let i = 0; i <= 7; i++) {
+    const t = occurrence(s, now, i);
+    if (t != null && t > now) return t;
+  }
+  return null;
+}
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Check and normalise a schedule body; throws on invalid input.
+ */
+function normalize(body) {
+  const b = body || {};
+  const s = {
+    name:    String(b.name || '').trim().slice(0, 60),
+    enabled: b.enabled !== false,
+    repeat:  b.repeat,
+  };
+
+  if (b.repeat === 'weekly') {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(b.time || '')) throw new Error('time must be HH:MM');
+    const days = [...new Set((b.days || []).map(Number))].sort();
+    if (!days.length || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error('days must list weekdays 0 (Sun) – 6 (Sat)');
+    }
+    Object.assign(s, { time: b.time, days });
+  } else if (b.repeat === 'once') {
+    const at = typeof b.at === 'number' ? b.at : Date.parse(b.at);
+    if (!Number.isFinite(at)) throw new Error('at must be a timestamp');
+    // tick() only runs what became due after the last edit, so a past time would never fire
+    if (s.enabled && at <= Date.now()) throw new Error('at must be in the future');
+    s.at = at;
+  } else {
+    throw new Error('repeat must be weekly or once');
+  }
+
+  return { ...s, ...normalizeTarget(b) };
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+const withNext = (s, now = Date.now()) => ({ ...s, next: nextOccurrence(s, now) });
+
+function list() {
+  return schedules.map(s => withNext(s));
+}
+
+function get(id) {
+  const s = schedules.find(x => x.id === id);
+  return s ? withNext(s) : null;
+}
+
+function create(body) {
+  const now = Date.now();
+  const s = { id: crypto.randomBytes(4).toString('hex'), ...normalize(body), createdAt: now, updatedAt: now };
+  schedules.push(s);
+  save();
+  return withNext(s);
+}
+
+/**
+ * Replace a schedule's definition. Run history is kept; occurrences before
+ * the update never fire.
+ */
+function update(id, body) {
+  const i = schedules.findIndex(x => x.id === id);
+  if (i < 0) return null;
+  const { createdAt, lastRun, lastStatus } = schedules[i];
+  schedules[i] = { id, ...normalize(body), createdAt, updatedAt: Date.now(), lastRun, lastStatus };
+  save();
+  return withNext(schedules[i]);
+}
+
+function remove(id) {
+  const before = schedules.length;
+  schedules = schedules.filter(x => x.id !== id);
+  if (schedules.length === before) return false;
+  save();
+  return true;
+}
+
+function finish(id, due, status) {
+  const s = schedules.find(x => x.id === id);
+  if (!s) return;                         // deleted while running
+  s.lastRun    = due;
+  s.lastStatus = status;
+  if (s.repeat === 'once') s.enabled = false;
+  save();
+}
+
+/**
+ * Run every schedule that fell due since its last run (see catch-up above).
+ */
+async function tick(now = Date.now()) {
+  if (ticking || !execute) return;
+  ticking = true;
+  try {
+    for (const s of [...schedules]) {
+      if (!s.enabled) continue;
+      const due = lastOccurrence(s, now);
+      if (due == null || due <= Math.max(s.lastRun || 0, s.updatedAt || 0)) continue;
+
+      if (now - due > GRACE_MS) {
+        console.warn(`Schedule ${s.id}: missed run at ${new Date(due).toISOString()}, skipped`);
+        finish(s.id, due, 'missed');
+        continue;
+      }
+      try {
+        await execute(s);
+        finish(s.id, due, 'ok');
+      } catch (e) {
+        console.error(`Schedule ${s.id}:`, e.message);
+        finish(s.id, due, `error: ${e.message}`);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start checking schedules. execute(schedule) performs one run.
+ */
+function start(fn) {
+  execute = fn;
+  if (timer) return;
+  tick();
+  timer = setInterval(tick, TICK_MS);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  list, get, create, update, remove,
+  tick, start, stop,
+  nextOccurrence, GRACE_MS,
+};
@@ -6,10 +6,28 @@ const http    = require('http');
 const path    = require('path');
 const fs      = require('fs');
 const aiseg2  = require('./aiseg2');
+const backend = require('./devices-backend');
+const history = require('./history');
+const archive = require('./archive');
+const circuitHistory = require('./circuit-history');
+const circuitMeta    = require('./circuit-meta');
+const deviceLog = require('./device-log');
+const exporter  = require('./export');
+const metrics = require('./metrics');
+const scheduler = require('./scheduler');
+const targets = require('./targets');
+const rules   = require('./rules');
+const tariff  = require('./tariff');
+const alerts  = require('./alerts');
+const auth    = require('./auth');
+const audit   = require('./audit');
+const commands = require('./commands');
+const { singleFlight } = require('./request-queue');
+const { createMqttBridge } = require('./mqtt-bridge');
 
 // ── Nicknames (persisted to nicknames.json) ───────────────────────────────────
 
-const NICKNAMES_FILE = path.join(__dirname, 'nicknames.json');
+const NICKNAMES_FILE = process.env.NICKNAMES_FILE || path.join(__dirname, 'nicknames.json');
 
 function loadNicknames() {
   try { return JSON.parse(fs.readFileSync(NICKNAMES_FILE, 'utf8')); } catch { return {}; }
@@ -27,10 +45,59 @@ const PORT = process.env.PORT || 3000;
 
 const app    = express();
 const server = http.createServer(app);
-const wss    = new WebSocketServer({ server, path: '/ws' });
+const wss    = new WebSocketServer({
+  server,
+  path: '/ws',
+  // Unauthenticated upgrades are refused before a socket exists
+  verifyClient: ({ req }, done) => (!auth.enabled() || auth.authenticate(req) ? done(true) : done(false, 401, 'Unauthorized')),
+});
 
+// Static assets are public so the PWA can show its login screen
 app.use(express.static(path.join(__dirname, 'public')));
 
+// ── Authentication ───────────────────────────────────────────────────────────
+
+const PUBLIC_ROUTES = ['/api/auth/login', '/api/auth/logout', '/api/auth/me', '/api/health'];
+
+// Reads need a viewer, user and token management an admin, anything else a controller
+function requiredRole(req) {
+  if (req.path.startsWith('/api/auth/users') || req.path.startsWith('/api/auth/tokens')) return 'admin';
+  return req.method === 'GET' || req.method === 'HEAD' ? 'viewer' : 'controller';
+}
+
+app.use((req, res, next) => {
+  if (!req.path.startsWith('/api/') && req.path !== '/metrics') return next();
+  if (!auth.enabled() || PUBLIC_ROUTES.includes(req.path)) return next();
+  req.user = auth.authenticate(req);
+  if (!req.user) return res.status(401).json({ error: 'login required' });
+  if (!auth.allowed(req.user.role, requiredRole(req))) return res.status(403).json({ error: 'not allowed for ' + req.user.role });
+  next();
+});
+
+app.post('/api/auth/login', express.json(), (req, res) => {
+  const { name, password } = req.body || {};
+  try {
+    const { sid, user } = auth.login(name, password, req.socket.remoteAddress);
+    res.setHeader('Set-Cookie', auth.sessionCookie(sid, { secure: req.secure }));
+    res.json(user);
+  } catch (e) {
+    res.status(e.status || 400).json({ error: e.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.logout(auth.sessionId(req));
+  res.setHeader('Set-Cookie', auth.sessionCookie(null, { secure: req.secure }));
+  res.status(204).end();
+});
+
+app.get('/api/auth/me', (req, res) => {
+  if (!auth.enabled()) return res.json({ enabled: false, user: null });
+  const user = auth.authenticate(req);
+  if (!user) return res.status(401).json({ enabled: true, user: null });
+  res.json({ enabled: true, user });
+});
+
 // ── In-memory cache ──────────────────────────────────────────────────────────
 
 const cache = {
@@ -43,6 +110,7 @@ const cache = {
   circuitKwhAt: 0,
   devices:    null,
   devicesAt:  0,
+  failingSince: 0,    // first failed realtime poll of the current outage, 0 while reachable
 };
 
 const TTL = {
@@ -53,24 +121,31 @@ const TTL = {
 };
 
 // ── AiSEG2 helpers with cache ────────────────────────────────────────────────
+// REST routes, polls and command confirmation often refresh the same data at
+// once; concurrent calls share one fetch, so each result is recorded once
 
-async function fetchRealtime() {
+const fetchRealtime = singleFlight(async () => {
   const data = await aiseg2.getRealtime();
   cache.realtime   = data;
   cache.realtimeAt = Date.now();
+  cache.failingSince = 0;
+  try { history.record(data, cache.realtimeAt); } catch (e) { console.error('History write:', e.message); }
+  rules.evaluate(data, cache.realtimeAt).catch(e => console.error('Rules:', e.message));
   return data;
-}
+});
 
-async function fetchTotals() {
+const fetchTotals = singleFlight(async () => {
+  const startedAt = Date.now();   // archive under the day the request was made
   const data = await aiseg2.getTotals();
   cache.totals   = data;
   cache.totalsAt = Date.now();
+  try { archive.snapshot(data, startedAt); } catch (e) { console.error('Archive write:', e.message); }
   return data;
-}
+});
 
 function applyNicknames(data) {
   if (!data) return data;
-  const applyName = d => {
+  const applyName = ({ nickname, ...d }) => {   // drop a stale nickname when re-applying to the cache
     const key = `${d.nodeId}_${d.eoj}`;
     return nicknames[key] ? { ...d, nickname: nicknames[key] } : d;
   };
@@ -81,92 +156,523 @@ function applyNicknames(data) {
   };
 }
 
-async function fetchDevices() {
-  const raw  = await aiseg2.getDevices();
+const fetchDevices = singleFlight(async () => {
+  const raw  = await backend.getDevices();
   const data = applyNicknames(raw);
   cache.devices   = data;
   cache.devicesAt = Date.now();
+  try { deviceLog.record(data, cache.devicesAt); } catch (e) { console.error('Device log write:', e.message); }
   return data;
-}
+});
 
-async function fetchCircuits() {
+const fetchCircuits = singleFlight(async () => {
   if (!cache.circuits) {
     cache.circuits = await aiseg2.getCircuits();
   }
   if (Date.now() - cache.circuitKwhAt > TTL.circuitKwh) {
     console.log(`Fetching kWh for ${cache.circuits.length} circuits...`);
     const kwh = await aiseg2.getAllCircuitKwh(cache.circuits);
-    cache.circuitKwh   = cache.circuits.map((c, i) => ({ ...c, kwh: kwh[i] }));
+    cache.circuitKwh   = circuitMeta.apply(cache.circuits.map((c, i) => ({ ...c, kwh: kwh[i] })));
     cache.circuitKwhAt = Date.now();
     console.log('Circuit kWh fetch complete.');
+    try { circuitHistory.record(cache.circuitKwh, cache.circuitKwhAt); } catch (e) { console.error('Circuit history write:', e.message); }
   }
   return cache.circuitKwh;
+});
+
+// Display name per circuit id, for routes that only have ids at hand
+function circuitNames() {
+  return circuitMeta.names(cache.circuits || []);
+}
+
+// ── Freshness ────────────────────────────────────────────────────────────────
+
+// Cached data older than this is stale; so is anything read from the AiSEG2
+// while it is unreachable
+const MAX_AGE = {
+  realtime: 15_000,
+  totals:   180_000,
+  cost:     180_000,
+  circuits: 900_000,
+  devices:  30_000,
+};
+
+// The AiSEG2 is unreachable while its circuit breaker is open, counted from
+// the first failed request
+function reachability() {
+  const b = aiseg2.breakerStatus();
+  return b.state === 'closed' ? { reachable: true, since: null } : { reachable: false, since: b.failingSince };
+}
+
+/**
+ * { age, stale } of data fetched at `at`; age in ms.
+ */
+function freshness(kind, at, now = Date.now()) {
+  const age       = now - at;
+  const viaAiseg2 = kind !== 'devices' || backend.name === 'aiseg2';
+  return { age, stale: age > MAX_AGE[kind] || (viaAiseg2 && !reachability().reachable) };
+}
+
+function setFreshness(res, kind, at) {
+  const { age, stale } = freshness(kind, at);
+  res.set({ 'X-Data-Age': String(age), 'X-Data-Stale': String(stale) });
 }
 
 // ── REST API ─────────────────────────────────────────────────────────────────
 
+// AiSEG2 routes answer from the cache when a refresh fails, flagged stale,
+// and only fail when nothing is cached yet
+
 app.get('/api/realtime', async (req, res) => {
   try {
     if (Date.now() - cache.realtimeAt > TTL.realtime) await fetchRealtime();
-    res.json(cache.realtime);
   } catch (e) {
     console.error('GET /api/realtime:', e.message);
-    res.status(502).json({ error: e.message });
+    if (!cache.realtime) return res.status(502).json({ error: e.message });
   }
+  setFreshness(res, 'realtime', cache.realtimeAt);
+  res.json(cache.realtime);
 });
 
 app.get('/api/totals', async (req, res) => {
   try {
     if (Date.now() - cache.totalsAt > TTL.totals) await fetchTotals();
-    res.json(cache.totals);
   } catch (e) {
     console.error('GET /api/totals:', e.message);
-    res.status(502).json({ error: e.message });
+    if (!cache.totals) return res.status(502).json({ error: e.message });
+  }
+  setFreshness(res, 'totals', cache.totalsAt);
+  res.json(cache.totals);
+});
+
+app.get('/api/totals/daily', (req, res) => {
+  res.json(archive.daily({ from: req.query.from, to: req.query.to }));
+});
+
+app.get('/api/totals/monthly', (req, res) => {
+  res.json(archive.monthly({ year: req.query.year }));
+});
+
+app.get('/api/totals/yearly', (req, res) => {
+  res.json(archive.yearly());
+});
+
+// from/to accept epoch ms or anything Date.parse understands
+function parseTime(v, fallback) {
+  if (v == null || v === '') return fallback;
+  const n = /^\d+$/.test(v) ? Number(v) : Date.parse(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+app.get('/api/history', (req, res) => {
+  const to   = parseTime(req.query.to, Date.now());
+  const from = parseTime(req.query.from, to - 86_400_000);
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'invalid from/to' });
+  }
+  try {
+    res.json(history.query({ from, to, resolution: req.query.resolution || 'auto' }));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
   }
 });
 
 app.get('/api/devices', async (req, res) => {
   try {
     if (Date.now() - cache.devicesAt > TTL.devices) await fetchDevices();
-    res.json(cache.devices);
   } catch (e) {
     console.error('GET /api/devices:', e.message);
-    res.status(502).json({ error: e.message });
+    if (!cache.devices) return res.status(502).json({ error: e.message });
   }
+  setFreshness(res, 'devices', cache.devicesAt);
+  res.json(cache.devices);
 });
 
 app.use(express.json());
 
-app.post('/api/devices/control', async (req, res) => {
-  const { action, nodeId, eoj, state, value } = req.body || {};
+app.post('/api/devices/rediscover', async (req, res) => {
+  try {
+    const found = await backend.discoverDevices({ force: true });
+    res.json(found.all);
+    const data = await fetchDevices();
+    broadcast('devices', data);
+  } catch (e) {
+    console.error('POST /api/devices/rediscover:', e.message);
+    if (!res.headersSent) res.status(502).json({ error: e.message });
+  }
+});
+
+// ── Users and API tokens (admin) ─────────────────────────────────────────────
+
+app.get('/api/auth/users', (req, res) => {
+  res.json(auth.listUsers());
+});
+
+// Only the machine itself may create the first admin while auth is off;
+// anyone else on the LAN could otherwise claim the dashboard
+const LOOPBACK = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+app.post('/api/auth/users', (req, res) => {
+  if (!auth.enabled() && !LOOPBACK.includes(req.socket.remoteAddress)) {
+    return res.status(403).json({ error: 'create the first user on the server itself (npm run user -- add-user <name> admin)' });
+  }
   try {
-    const token = cache.devices?.token || await aiseg2.getToken();
+    res.status(201).json(auth.addUser(req.body));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.put('/api/auth/users/:name', (req, res) => {
+  try {
+    const u = auth.updateUser(req.params.name, req.body);
+    if (!u) return res.status(404).json({ error: 'unknown user' });
+    res.json(u);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/auth/users/:name', (req, res) => {
+  try {
+    if (!auth.removeUser(req.params.name)) return res.status(404).json({ error: 'unknown user' });
+    res.status(204).end();
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get('/api/auth/tokens', (req, res) => {
+  res.json(auth.listTokens());
+});
+
+app.post('/api/auth/tokens', (req, res) => {
+  try {
+    res.status(201).json(auth.createToken(req.body));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/auth/tokens/:id', (req, res) => {
+  if (!auth.removeToken(req.params.id)) return res.status(404).json({ error: 'unknown token' });
+  res.status(204).end();
+});
+
+// ── Tariff and cost ──────────────────────────────────────────────────────────
+
+app.get('/api/cost', async (req, res) => {
+  try {
+    if (Date.now() - cache.totalsAt > TTL.totals) await fetchTotals();
+  } catch (e) {
+    console.error('GET /api/cost:', e.message);
+    if (!cache.totals) return res.status(502).json({ error: e.message });
+  }
+  setFreshness(res, 'cost', cache.totalsAt);
+  res.json(tariff.cost({ realtime: cache.realtime, totals: cache.totals }));
+});
+
+app.get('/api/tariff', (req, res) => {
+  res.json(tariff.get());
+});
+
+app.put('/api/tariff', (req, res) => {
+  try {
+    res.json(tariff.set(req.body));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// ── Device control ───────────────────────────────────────────────────────────
+
+const CONTROL_ACTIONS = [
+  'setACPower', 'setFHPower', 'setBathPower', 'setGeneratePower',
+  'toggleAC', 'toggleFH', 'toggleBath', 'toggleGenerate',
+  'setACMode', 'setACTemp', 'setACFan', 'setFHLevel',
+];
+const { POWER_ACTIONS } = commands;
+
+// Commands to one device run one after another, and each waits until the
+// previous one is confirmed (or given up on), so a second tap sees the state
+// the first one left behind instead of racing it
+const deviceQueues = new Map();   // device key → tail of its command chain
+const confirming   = new Map();   // device key → outcome of its last tracked command
+
+function serialize(key, fn) {
+  const run = (deviceQueues.get(key) || Promise.resolve()).then(fn, fn);
+  const tail = run.then(() => {}, () => {});
+  deviceQueues.set(key, tail);
+  tail.then(() => { if (deviceQueues.get(key) === tail) deviceQueues.delete(key); });
+  return run;
+}
+
+// Commands are confirmed against fresh device states; each outcome is pushed
+// to clients as `command-result`, kept for GET /api/commands/:id and written
+// to the audit log
+const COMMAND_RESULTS = 100;       // most recent outcomes kept
+const commandResults  = new Map(); // commandId → command-result
+
+const commandTracker = commands.createTracker({
+  read: async () => {
+    const data = await fetchDevices();
+    broadcast('devices', data);
+    return data;
+  },
+  onResult: (cmd, { status, state, error }) => {
+    const result = {
+      id: cmd.id, action: cmd.entry.action, device: cmd.entry.device, status, state, error,
+      elapsedMs: Date.now() - cmd.entry.t,
+    };
+    commandResults.set(cmd.id, result);
+    if (commandResults.size > COMMAND_RESULTS) commandResults.delete(commandResults.keys().next().value);
+    broadcast('command-result', result);
+    broadcast('audit', audit.record({ ...cmd.entry, response: cmd.response, status, after: state }));
+  },
+});
+
+/**
+ * Run one control command ({ action, nodeId, eoj, state, value }, as posted to
+ * /api/devices/control). Every control source (REST, MQTT, …) goes through
+ * here, one command per device at a time. Resolves to the AiSEG2 response
+ * plus the `commandId` its confirmation is reported under.
+ */
+async function runControl(body, source) {
+  const { action, nodeId, eoj, state, value } = body;
+  const id     = commands.newId();
+  const device = audit.deviceOf(body, cache.devices);
+  const key    = device.nodeId ? `${device.nodeId}_${device.eoj}` : device.type;
+  const entry  = { t: Date.now(), commandId: id, source, action, device, value: value ?? null };
+  return serialize(key, async () => {
+    await confirming.get(key);
+    entry.t = Date.now();   // when it actually ran
+    const before = cache.devices;
     let result;
-    if      (action === 'toggleAC')       result = await aiseg2.controlAC(nodeId, eoj, state, token);
-    else if (action === 'toggleFH')       result = await aiseg2.controlFH(nodeId, eoj, state, token);
-    else if (action === 'toggleBath')     result = await aiseg2.controlBath(token);
-    else if (action === 'toggleGenerate') result = await aiseg2.controlGenerate(token);
-    else if (action === 'setACMode')      result = await aiseg2.setACSettings(nodeId, eoj, 1, value, token);
-    else if (action === 'setACTemp')      result = await aiseg2.setACSettings(nodeId, eoj, 2, value, token);
-    else if (action === 'setACFan')       result = await aiseg2.setACSettings(nodeId, eoj, 3, value, token);
-    else if (action === 'setFHLevel')     result = await aiseg2.setFHLevel(nodeId, eoj, state, value, token);
-    else return res.status(400).json({ error: 'unknown action' });
-
-    res.json(result);
-
-    // Re-fetch device status after a short delay and broadcast
-    setTimeout(async () => {
-      try {
-        const data = await fetchDevices();
-        broadcast('devices', data);
-      } catch { /* ignore */ }
-    }, 2_500);
+    try {
+      const token = cache.devices?.token || await backend.getToken();
+      if      (POWER_ACTIONS.includes(action)) result = await backend.setPower(device, value, token);
+      else if (action === 'toggleAC')          result = await backend.controlAC(nodeId, eoj, state, token);
+      else if (action === 'toggleFH')          result = await backend.controlFH(nodeId, eoj, state, token);
+      else if (action === 'toggleBath')        result = await backend.controlBath(token);
+      else if (action === 'toggleGenerate')    result = await backend.controlGenerate(token);
+      else if (action === 'setACMode')         result = await backend.setACSettings(nodeId, eoj, 1, value, token);
+      else if (action === 'setACTemp')         result = await backend.setACSettings(nodeId, eoj, 2, value, token);
+      else if (action === 'setACFan')          result = await backend.setACSettings(nodeId, eoj, 3, value, token);
+      else if (action === 'setFHLevel')        result = await backend.setFHLevel(nodeId, eoj, state, value, token);
+      else throw new Error(`unknown action: ${action}`);
+    } catch (e) {
+      commandTracker.fail({ id, entry, response: { error: e.message } }, e.message);
+      throw e;
+    }
+
+    const cmd = { id, device, entry, response: result, check: commands.expectation(body, device, before) };
+    if (result?.result === '0') {
+      const outcome = commandTracker.track(cmd);
+      confirming.set(key, outcome);
+      outcome.then(() => { if (confirming.get(key) === outcome) confirming.delete(key); });
+    } else {
+      commandTracker.fail(cmd, result?.message || `AiSEG2 answered ${JSON.stringify(result)}`);
+    }
+    return { ...result, commandId: id };
+  });
+}
+
+// Who sent an HTTP request, for the audit log
+function requestSource(req) {
+  return { via: 'api', user: req.user?.name ?? null, ip: req.ip, ua: req.get('user-agent') || null };
+}
+
+app.post('/api/devices/control', async (req, res) => {
+  const body = req.body || {};
+  if (!CONTROL_ACTIONS.includes(body.action)) return res.status(400).json({ error: 'unknown action' });
+  if (POWER_ACTIONS.includes(body.action) && typeof body.value !== 'boolean') {
+    return res.status(400).json({ error: 'value must be true (on) or false (off)' });
+  }
+  const { type } = audit.deviceOf(body);
+  if ((type === 'ac' || type === 'fh') && !(body.nodeId && body.eoj)) {
+    return res.status(400).json({ error: 'nodeId and eoj are required for ' + body.action });
+  }
+  try {
+    res.json(await runControl(body, requestSource(req)));
   } catch (e) {
     console.error('POST /api/devices/control:', e.message);
     res.status(502).json({ error: e.message });
   }
 });
 
+// The outcome of a command, for clients without a WebSocket
+app.get('/api/commands/:id', (req, res) => {
+  const result = commandResults.get(req.params.id);
+  if (result) return res.json(result);
+  if (commandTracker.has(req.params.id)) return res.json({ id: req.params.id, status: 'pending' });
+  res.status(404).json({ error: 'unknown command' });
+});
+
+/**
+ * Bring one device to a target state (see targets.js) through runControl.
+ * Reads fresh device state so only what needs toggling is toggled.
+ * Resolves to whether the device was running before.
+ */
+async function applyTarget(target, source) {
+  const devices = await fetchDevices();
+  const before  = targets.powerOf(target.device, devices);
+  for (const body of targets.controlBodies(target, devices)) await runControl(body, source);
+  return before;
+}
+
+// ── Schedules ────────────────────────────────────────────────────────────────
+
+app.get('/api/schedules', (req, res) => {
+  res.json(scheduler.list());
+});
+
+app.post('/api/schedules', (req, res) => {
+  try {
+    res.status(201).json(scheduler.create(req.body));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get('/api/schedules/:id', (req, res) => {
+  const s = scheduler.get(req.params.id);
+  if (!s) return res.status(404).json({ error: 'unknown schedule' });
+  res.json(s);
+});
+
+app.put('/api/schedules/:id', (req, res) => {
+  try {
+    const s = scheduler.update(req.params.id, req.body);
+    if (!s) return res.status(404).json({ error: 'unknown schedule' });
+    res.json(s);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/schedules/:id', (req, res) => {
+  if (!scheduler.remove(req.params.id)) return res.status(404).json({ error: 'unknown schedule' });
+  res.status(204).end();
+});
+
+// ── Automation rules ─────────────────────────────────────────────────────────
+
+app.get('/api/rules', (req, res) => {
+  res.json(rules.list());
+});
+
+// Registered before /:id so "log" is not taken for a rule id
+app.get('/api/rules/log', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  res.json(rules.log({ limit, id: req.query.id }));
+});
+
+app.post('/api/rules', (req, res) => {
+  try {
+    res.status(201).json(rules.create(req.body));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get('/api/rules/:id', (req, res) => {
+  const r = rules.get(req.params.id);
+  if (!r) return res.status(404).json({ error: 'unknown rule' });
+  res.json(r);
+});
+
+app.put('/api/rules/:id', (req, res) => {
+  try {
+    const r = rules.update(req.params.id, req.body);
+    if (!r) return res.status(404).json({ error: 'unknown rule' });
+    res.json(r);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/rules/:id', (req, res) => {
+  if (!rules.remove(req.params.id)) return res.status(404).json({ error: 'unknown rule' });
+  res.status(204).end();
+});
+
+// ── Alerts ───────────────────────────────────────────────────────────────────
+
+// Evaluated after every realtime poll, reachable or not
+function checkAlerts() {
+  const unreachable = cache.failingSince > 0;
+  alerts.evaluate({
+    realtime:  unreachable ? null : cache.realtime,
+    totals:    cache.totals,
+    circuits:  cache.circuitKwh,
+    devices:   cache.devices,
+    unreachable,
+  }).then(events => events.forEach(e => broadcast('alert', e)))
+    .catch(e => console.warn('Alerts:', e.message));
+}
+
+app.get('/api/alerts', (req, res) => {
+  res.json(alerts.list());
+});
+
+// Registered before /:id so "log" is not taken for an alert id
+app.get('/api/alerts/log', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  res.json(alerts.log({ limit, id: req.query.id }));
+});
+
+app.post('/api/alerts', (req, res) => {
+  try {
+    res.status(201).json(alerts.create(req.body));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get('/api/alerts/:id', (req, res) => {
+  const a = alerts.get(req.params.id);
+  if (!a) return res.status(404).json({ error: 'unknown alert' });
+  res.json(a);
+});
+
+app.put('/api/alerts/:id', (req, res) => {
+  try {
+    const a = alerts.update(req.params.id, req.body);
+    if (!a) return res.status(404).json({ error: 'unknown alert' });
+    res.json(a);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/alerts/:id', (req, res) => {
+  if (!alerts.remove(req.params.id)) return res.status(404).json({ error: 'unknown alert' });
+  res.status(204).end();
+});
+
+app.post('/api/alerts/:id/test', async (req, res) => {
+  try {
+    const r = await alerts.sendTest(req.params.id);
+    if (!r) return res.status(404).json({ error: 'unknown alert' });
+    res.json(r);
+  } catch (e) {
+    console.error('POST /api/alerts/:id/test:', e.message);
+    res.status(502).json({ error: e.message });
+  }
+});
+
+// ── Audit log ────────────────────────────────────────────────────────────────
+
+app.get('/api/audit', (req, res) => {
+  const from = parseTime(req.query.from, 0);
+  const to   = parseTime(req.query.to, Date.now());
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'invalid from/to' });
+  }
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  res.json(audit.query({ from, to, before: req.query.before, limit, device: req.query.device, via: req.query.via, user: req.query.user }));
+});
+
 // ── Nickname endpoints ────────────────────────────────────────────────────────
 
 app.get('/api/nicknames', (req, res) => res.json(nicknames));
@@ -174,7 +680,8 @@ app.get('/api/nicknames', (req, res) => res.json(nicknames));
 app.post('/api/nicknames', (req, res) => {
   const { nodeId, eoj, name } = req.body || {};
   if (!nodeId || !eoj) return res.status(400).json({ error: 'nodeId and eoj required' });
-  const key = `${nodeId}_${eoj}`;
+  const key    = `${nodeId}_${eoj}`;
+  const device = audit.deviceOf({ action: 'rename', nodeId, eoj }, cache.devices);
   if (name && name.trim()) {
     nicknames[key] = name.trim();
   } else {
@@ -183,28 +690,190 @@ app.post('/api/nicknames', (req, res) => {
   saveNicknames(nicknames);
   // Rebuild cache with new nicknames
   if (cache.devices) cache.devices = applyNicknames(cache.devices);
+  const renamed = audit.deviceOf({ action: 'rename', nodeId, eoj }, cache.devices);
+  broadcast('audit', audit.record({
+    source:   requestSource(req),
+    action:   'rename',
+    device,
+    value:    nicknames[key] ?? null,
+    response: { ok: true },
+    after:    { name: renamed.name },
+  }));
   res.json({ ok: true });
 });
 
 app.get('/api/circuits', async (req, res) => {
   try {
-    const data = await fetchCircuits();
-    res.json(data);
+    await fetchCircuits();
   } catch (e) {
     console.error('GET /api/circuits:', e.message);
-    res.status(502).json({ error: e.message });
+    if (!cache.circuitKwh) return res.status(502).json({ error: e.message });
   }
+  setFreshness(res, 'circuits', cache.circuitKwhAt);
+  res.json(cache.circuitKwh);
+});
+
+// ── Circuit names, rooms and categories ──────────────────────────────────────
+
+app.get('/api/circuits/meta', (req, res) => {
+  res.json({
+    categories: circuitMeta.CATEGORIES,
+    rooms:      circuitMeta.rooms(),
+    circuits:   circuitMeta.get(),
+  });
+});
+
+// Re-apply to the cached rows and push them, so every client regroups
+function circuitMetaChanged() {
+  if (!cache.circuitKwh) return;
+  cache.circuitKwh = circuitMeta.apply(cache.circuitKwh);
+  broadcast('circuits', cache.circuitKwh);
+}
+
+app.put('/api/circuits/meta/:id', (req, res) => {
+  const { id } = req.params;
+  if (cache.circuits && !cache.circuits.some(c => c.id === id)) return res.status(404).json({ error: 'unknown circuit' });
+  let entry;
+  try {
+    entry = circuitMeta.set(id, req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  circuitMetaChanged();
+  res.json(entry);
+});
+
+app.delete('/api/circuits/meta/:id', (req, res) => {
+  if (!circuitMeta.remove(req.params.id)) return res.status(404).json({ error: 'no settings for this circuit' });
+  circuitMetaChanged();
+  res.status(204).end();
+});
+
+app.get('/api/circuits/trends', (req, res) => {
+  // Both windows have to fit in the retention
+  const days  = Math.min(Math.max(1, parseInt(req.query.days, 10) || 7), Math.floor(circuitHistory.KEEP_DAYS / 2));
+  const names = circuitNames();
+  res.json(circuitHistory.trends({ days }).map(t => ({ ...t, name: names[t.id] ?? null })));
+});
+
+app.get('/api/circuits/:id/history', (req, res) => {
+  const to   = parseTime(req.query.to, Date.now());
+  const from = parseTime(req.query.from, to - 86_400_000);
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'invalid from/to' });
+  }
+  const { id } = req.params;
+  res.json({
+    id,
+    name:    circuitNames()[id] ?? null,
+    from, to,
+    samples: circuitHistory.samples(id, from, to),
+    hourly:  circuitHistory.hourly(id, from, to),
+  });
+});
+
+// ── Export ───────────────────────────────────────────────────────────────────
+
+app.get('/api/export', (req, res) => {
+  let out;
+  try {
+    out = exporter.build(req.query, { circuitNames: circuitNames() });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  res.attachment(out.filename).type(out.type).send(out.body);   // attachment() guesses a type from the extension
+});
+
+// ── Health ───────────────────────────────────────────────────────────────────
+
+// 503 while the AiSEG2 is unreachable, so it can back a container health check.
+// Public for that reason; with login on, anonymous probes only get the status
+app.get('/api/health', (req, res) => {
+  const { reachable, since } = reachability();
+  const endpoints = aiseg2.upstreamStats();
+  const now  = Date.now();
+  const data = Object.fromEntries(Object.entries({
+    realtime: cache.realtimeAt, totals: cache.totalsAt, circuits: cache.circuitKwhAt, devices: cache.devicesAt,
+  }).map(([kind, at]) => [kind, at ? { updatedAt: at, ...freshness(kind, at, now) } : null]));
+  const failing = Object.values(endpoints).some(s => s.lastErrorAt > (s.lastSuccessAt ?? 0));
+  const status  = !reachable ? 'unreachable' : failing ? 'degraded' : 'ok';
+
+  res.status(reachable ? 200 : 503);
+  if (auth.enabled() && !auth.authenticate(req)) return res.json({ status });
+  res.json({
+    status,
+    aiseg2:  { reachable, since, breaker: aiseg2.breakerStatus(), queue: aiseg2.queueStats(), endpoints },
+    backend: backend.name,
+    data,
+  });
+});
+
+// ── Prometheus ───────────────────────────────────────────────────────────────
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render({
+    cache,
+    upstream:  aiseg2.upstreamStats(),
+    breaker:   aiseg2.breakerStatus(),
+    wsClients: wss.clients.size,
+  }));
 });
 
 // ── WebSocket — live push ─────────────────────────────────────────────────────
 
-let pollHandle   = null;
-let totalsHandle = null;
-let devicesHandle = null;
+let pollHandle     = null;
+let totalsHandle   = null;
+let devicesHandle  = null;
+let circuitsHandle = null;
+
+// ── MQTT bridge (optional, enabled by MQTT_URL) ───────────────────────────────
+
+let mqttBridge = null;
+
+function startMqtt() {
+  if (!process.env.MQTT_URL || mqttBridge) return;
+  mqttBridge = createMqttBridge({
+    url:             process.env.MQTT_URL,
+    username:        process.env.MQTT_USERNAME,
+    password:        process.env.MQTT_PASSWORD,
+    prefix:          process.env.MQTT_PREFIX,
+    discoveryPrefix: process.env.MQTT_DISCOVERY_PREFIX,
+    onCommand:       body => runControl(body, { via: 'mqtt' }),
+  });
+  console.log(`  MQTT:    ${process.env.MQTT_URL}`);
+}
+
+// Frames of AiSEG2 data carry their age (ms) and whether they are stale
+function frame(type, data, ts = Date.now()) {
+  return JSON.stringify(Object.hasOwn(MAX_AGE, type) ? { type, data, ts, ...freshness(type, ts) } : { type, data, ts });
+}
 
 function broadcast(type, data) {
-  const msg = JSON.stringify({ type, data, ts: Date.now() });
+  const msg = frame(type, data);
   wss.clients.forEach(ws => { if (ws.readyState === 1) ws.send(msg); });
+  mqttBridge?.publish(type, data);
+}
+
+// Session each socket was opened with, closed when that session ends
+const wsSessions = new Map();
+
+auth.onSessionEnd(keys => {
+  for (const [ws, key] of wsSessions) if (key && keys.includes(key)) ws.close(4001, 'session ended');
+});
+
+// Polls keep running while the breaker is open, but their requests fail at
+// once; only the change of state is logged, not every refused poll
+const logPollError = (what, e) => { if (e.code !== 'BREAKER_OPEN') console.error(`${what} poll:`, e.message); };
+
+let wasReachable = true;
+
+// Tell clients when the AiSEG2 drops off or comes back
+function checkReachability() {
+  const r = reachability();
+  if (r.reachable === wasReachable) return;
+  wasReachable = r.reachable;
+  console.log(r.reachable ? 'AiSEG2 reachable again.' : `AiSEG2 unreachable since ${new Date(r.since).toLocaleTimeString()}.`);
+  broadcast('health', r);
 }
 
 async function pollRealtime() {
@@ -212,16 +881,29 @@ async function pollRealtime() {
     const data = await fetchRealtime();
     broadcast('realtime', data);
   } catch (e) {
-    console.error('Realtime poll:', e.message);
+    logPollError('Realtime', e);
+    if (!cache.failingSince) cache.failingSince = Date.now();
   }
+  checkReachability();
+  checkAlerts();
 }
 
 async function pollTotals() {
   try {
     const data = await fetchTotals();
     broadcast('totals', data);
+    broadcast('cost', tariff.cost({ realtime: cache.realtime, totals: data }));
+  } catch (e) {
+    logPollError('Totals', e);
+  }
+}
+
+async function pollCircuits() {
+  try {
+    const data = await fetchCircuits();
+    broadcast('circuits', data);
   } catch (e) {
-    console.error('Totals poll:', e.message);
+    logPollError('Circuits', e);
   }
 }
 
@@ -230,36 +912,66 @@ async function pollDevices() {
     const data = await fetchDevices();
     broadcast('devices', data);
   } catch (e) {
-    console.error('Devices poll:', e.message);
+    logPollError('Devices', e);
   }
 }
 
-function startPolling() {
+// One last totals read just before the AiSEG2 counters reset at midnight
+function scheduleDayEndSnapshot() {
+  const at = new Date();
+  at.setHours(23, 59, 0, 0);
+  if (at <= Date.now()) at.setDate(at.getDate() + 1);
+  setTimeout(() => {
+    pollTotals().finally(scheduleDayEndSnapshot);
+  }, at - Date.now());
+}
+
+// Realtime, totals and circuits are polled even with no clients so history
+// and the archives keep recording
+function startRecording() {
   if (pollHandle) return;
+  pollHandle     = setInterval(pollRealtime,  5_000);
+  totalsHandle   = setInterval(pollTotals,   60_000);
+  circuitsHandle = setInterval(pollCircuits, TTL.circuitKwh);
+  scheduleDayEndSnapshot();
+  scheduler.start(s => applyTarget(s, { via: 'schedule', id: s.id, name: s.name }));
+  rules.start(applyTarget);
+  // The device log and device alerts need device states even with no clients
+  // polling them: every 5 minutes, every minute while a device alert is on
+  setInterval(() => {
+    const watched = alerts.list().some(a => a.enabled && a.metric === 'device_running');
+    if (Date.now() - cache.devicesAt > (watched ? 60_000 : 300_000)) pollDevices();
+  }, 60_000);
+  const prune = () => { history.prune(); circuitHistory.prune(); deviceLog.prune(); audit.prune(); rules.prune(); alerts.prune(); };
+  prune();
+  setInterval(prune, 3_600_000);
+}
+
+function startPolling() {
+  if (devicesHandle) return;
   console.log('Starting live polling.');
   pollRealtime();                                           // immediate
-  pollHandle    = setInterval(pollRealtime,  5_000);
-  totalsHandle  = setInterval(pollTotals,   60_000);
   devicesHandle = setInterval(pollDevices,  10_000);
 }
 
 function stopPolling() {
-  if (!pollHandle) return;
-  clearInterval(pollHandle);
-  clearInterval(totalsHandle);
+  if (!devicesHandle) return;
   clearInterval(devicesHandle);
-  pollHandle = totalsHandle = devicesHandle = null;
+  devicesHandle = null;
   console.log('Live polling stopped (no clients).');
 }
 
-wss.on('connection', ws => {
+wss.on('connection', (ws, req) => {
   console.log(`WS connected  (${wss.clients.size} clients)`);
+  wsSessions.set(ws, auth.sessionKey(req));
 
   // Send cached data immediately so the UI isn't blank
-  if (cache.realtime)   ws.send(JSON.stringify({ type: 'realtime', data: cache.realtime,   ts: cache.realtimeAt }));
-  if (cache.totals)     ws.send(JSON.stringify({ type: 'totals',   data: cache.totals,     ts: cache.totalsAt }));
-  if (cache.circuitKwh) ws.send(JSON.stringify({ type: 'circuits', data: cache.circuitKwh, ts: cache.circuitKwhAt }));
-  if (cache.devices)    ws.send(JSON.stringify({ type: 'devices',  data: cache.devices,    ts: cache.devicesAt }));
+  ws.send(frame('health', reachability()));
+  if (cache.realtime)   ws.send(frame('realtime', cache.realtime,   cache.realtimeAt));
+  if (cache.totals)     ws.send(frame('totals',   cache.totals,     cache.totalsAt));
+  if (cache.circuitKwh) ws.send(frame('circuits', cache.circuitKwh, cache.circuitKwhAt));
+  if (cache.devices)    ws.send(frame('devices',  cache.devices,    cache.devicesAt));
+  if (cache.totals)     ws.send(frame('cost',     tariff.cost({ realtime: cache.realtime, totals: cache.totals }), cache.totalsAt));
 
   startPolling();
 
@@ -268,21 +980,26 @@ wss.on('connection', ws => {
       const { action } = JSON.parse(msg);
       if (action === 'loadCircuits') {
         fetchCircuits()
-          .then(data => ws.send(JSON.stringify({ type: 'circuits', data, ts: Date.now() })))
+          .then(data => ws.send(frame('circuits', data, cache.circuitKwhAt)))
           .catch(e  => ws.send(JSON.stringify({ type: 'error', message: e.message })));
       }
     } catch { /* ignore bad frames */ }
   });
 
   ws.on('close', () => {
+    wsSessions.delete(ws);
     console.log(`WS disconnected (${wss.clients.size} clients)`);
-    if (wss.clients.size === 0) stopPolling();
+    if (wss.clients.size === 0 && !mqttBridge) stopPolling();
   });
 });
 
 // ── Startup ──────────────────────────────────────────────────────────────────
 
-server.listen(PORT, '0.0.0.0', async () => {
+function start() {
+  server.listen(PORT, '0.0.0.0', onListening);
+}
+
+async function onListening() {
   const { networkInterfaces } = require('os');
   const nets = networkInterfaces();
   const lanIPs = Object.values(nets).flat()
@@ -294,6 +1011,7 @@ server.listen(PORT, '0.0.0.0', async () => {
   console.log('  ─────────────────────────────');
   console.log(`  Local:   http://localhost:${PORT}`);
   lanIPs.forEach(ip => console.log(`  Network: http://${ip}:${PORT}`));
+  if (backend.name !== 'aiseg2') console.log(`  Devices: ${backend.name}`);
   console.log('');
 
   // Pre-warm caches on startup
@@ -303,4 +1021,18 @@ server.listen(PORT, '0.0.0.0', async () => {
   } catch (e) {
     console.warn('  Warning: initial fetch failed:', e.message);
   }
-});
+  startRecording();
+
+  // Device states only poll for clients; the MQTT bridge counts as one
+  startMqtt();
+  if (mqttBridge) {
+    for (const type of ['realtime', 'totals', 'devices']) mqttBridge.publish(type, cache[type]);
+    mqttBridge.publish('circuits', cache.circuitKwh);
+    startPolling();
+  }
+}
+
+// Only listen when run directly; tests require the module and drive `server`
+if (require.main === module) start();
+
+module.exports = { app, server };
@@ -0,0 +1,383 @@
+'use strict';
+
+/**
+ * Mock AiSEG2 for offline development and tests.
+ * Enforces HTTP Digest auth and serves the pages/endpoints aiseg2.js uses,
+ * with device state that follows toggles and setting changes.
+ *
+ *   npm run sim                                    # listens on :8216
+ *   AISEG2_URL=http://localhost:8216 npm start     # point the dashboard at it
+ */
+
+const http   = require('http');
+const crypto = require('crypto');
+
+const USER  = process.env.AISEG2_USER || 'aiseg';
+const PASS  = process.env.AISEG2_PASS || '0123456789';
+const REALM = 'AiSEG';
+const TOKEN = '32140';
+
+// Days of graph history the simulated unit retains (older days read as 0)
+const RETAIN_DAYS = 400;
+
+// Nonces are rotated; a request with the previous one gets stale=true
+const NONCE_TTL = 300_000;
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function md5(s) {
+  return crypto.createHash('md5').update(s).digest('hex');
+}
+
+// Stable pseudo-random number in [0, 1) for a string seed
+function seeded(seed) {
+  return parseInt(md5(seed).slice(0, 8), 16) / 0x1_0000_0000;
+}
+
+function parseAuthHeader(header) {
+  const r = {};
+  header.replace(/(\w+)=(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g, (_, k, q, t) => {
+    r[k] = q !== undefined ? q.replace(/\\(.)/g, '$1') : t;
+  });
+  return r;
+}
+
+const ymd = d => `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+
+// ── Initial state ────────────────────────────────────────────────────────────
+
+const CIRCUIT_NAMES = [
+  'エアコンA', 'エアコンB', 'エアコンC', 'キッチン', 'IHクッキングヒーター', '食洗機', '冷蔵庫',
+  '電子レンジ', '洗濯機', '浴室乾燥機', 'エコキュート', '床暖房', 'リビング照明', 'リビングコンセント',
+  '寝室1', '寝室2', '子供部屋', '書斎', '玄関', '廊下', 'トイレ1', 'トイレ2', '洗面所', '和室',
+  'ダイニング', 'ガレージ', '外灯', '24時間換気', 'インターホン', 'ネットワーク', 'テレビ',
+  '回路32', '回路33', '回路34', '回路35', '回路36', '回路37', '回路38',
+];
+
+function initialState() {
+  const node = '1073741826';
+  return {
+    acs: [
+      { nodeId: '1073741827', eoj: '0x013001', type: '0x33', name: 'エアコンA', on: false, mode: '0x43', temp: 22, fan: '0x41', inner: 21, outer: 8,  humidity: 45 },
+      { nodeId: '1073741828', eoj: '0x013001', type: '0x33', name: 'エアコンB', on: true,  mode: '0x43', temp: 23, fan: '0x33', inner: 22, outer: 8,  humidity: 42 },
+      { nodeId: '1073741829', eoj: '0x013001', type: '0x33', name: 'エアコンC', on: false, mode: '0x42', temp: 26, fan: '0x41', inner: 20, outer: 8,  humidity: 50 },
+    ],
+    fhs: [
+      { nodeId: node, eoj: '0x0f7001', type: '0x34', name: '床暖房A', on: false, level: 5 },
+      { nodeId: node, eoj: '0x0f7002', type: '0x34', name: '床暖房B', on: true,  level: 3 },
+    ],
+    enefarm: { nodeId: node, eoj: '0x027c01', type: '0x32', name: 'エネファーム', generating: true },
+    bath:    { nodeId: node, eoj: '0x027201', type: '0x37', name: 'ふろ', on: false },
+    circuits: CIRCUIT_NAMES.map((name, i) => ({ id: String(i + 1), name, kw: 0.02 + seeded(name) * 0.4 })),
+  };
+}
+
+// ── Simulated readings ───────────────────────────────────────────────────────
+
+function solarKw(now) {
+  const h = now.getHours() + now.getMinutes() / 60;
+  if (h < 6 || h > 18) return 0;
+  return 4.5 * Math.sin(((h - 6) / 12) * Math.PI) * (0.85 + seeded(ymd(now)) * 0.15);
+}
+
+function realtime(state, now = new Date()) {
+  const solar   = solarKw(now);
+  const enefarm = state.enefarm.generating ? 0.7 : 0;
+  const use = 0.45
+    + state.acs.filter(a => a.on).length * 0.75
+    + state.fhs.filter(f => f.on).length * 0.4
+    + (state.bath.on ? 0.1 : 0)
+    + Math.random() * 0.2;
+  const gen = solar + enefarm;
+  const top = [...state.circuits].sort((a, b) => b.kw - a.kw).slice(0, 3);
+  return {
+    g_capacity:     gen.toFixed(1),
+    u_capacity:     use.toFixed(1),
+    g_d_1_capacity: Math.round(solar * 1000),
+    g_d_2_capacity: Math.round(enefarm * 1000),
+    lo_buy_sell:    gen > use ? 1 : 0,
+    u_d_1_title: top[0].name, u_d_1_capacity: Math.round(top[0].kw * 1000), best1: 1,
+    u_d_2_title: top[1].name, u_d_2_capacity: Math.round(top[1].kw * 1000), best2: 1,
+    u_d_3_title: top[2].name, u_d_3_capacity: Math.round(top[2].kw * 1000), best3: 1,
+    connEv: 0,
+    connSb: 0,
+    percent: 0,
+    connFc: 1,
+  };
+}
+
+// Daily kWh for a graph page: today grows through the day, past days are stable
+function dayKwh(kind, date, now = new Date()) {
+  const ageDays = Math.floor((now - date) / 86_400_000);
+  if (ageDays > RETAIN_DAYS) return 0;
+  const full = {
+    solar:       18 * (0.4 + seeded(`s${ymd(date)}`) * 0.6),
+    consumption: 14 + seeded(`c${ymd(date)}`) * 10,
+  };
+  full.purchase = Math.max(0, full.consumption - full.solar * 0.5) * 0.6;
+  full.sold     = Math.max(0, full.solar - full.consumption * 0.3) * 0.7;
+  const share = ymd(date) === ymd(now) ? (now.getHours() * 60 + now.getMinutes()) / 1440 : 1;
+  return +(full[kind] * share).toFixed(2);
+}
+
+function circuitKwh(circuit, date, now = new Date()) {
+  const ageDays = Math.floor((now - date) / 86_400_000);
+  if (ageDays > RETAIN_DAYS) return 0;
+  const hours = ymd(date) === ymd(now) ? now.getHours() + now.getMinutes() / 60 : 24;
+  return +(circuit.kw * hours * (0.8 + seeded(circuit.id + ymd(date)) * 0.4)).toFixed(3);
+}
+
+// ── Page builders ────────────────────────────────────────────────────────────
+
+const GRAPH_KINDS = { 51111: 'solar', 52111: 'consumption', 53111: 'purchase', 54111: 'sold' };
+
+function graphPage(kwh) {
+  return `<!DOCTYPE html><html><body><div class="graph">
+<div class="total"><span class="lbl">合計</span><span class="num" id="val_kwh">${kwh.toLocaleString('en-US', { maximumFractionDigits: 3 })}</span><span>kWh</span></div>
+</div></body></html>`;
+}
+
+function circuitSettingPage(state) {
+  const list = state.circuits.map(c => ({ strId: c.id, strCircuit: c.name, strBtnType: '1' }));
+  // A couple of unused circuit slots, as on a real unit
+  list.push({ strId: '39', strCircuit: '', strBtnType: '0' }, { strId: '40', strCircuit: '', strBtnType: '0' });
+  return `<!DOCTYPE html><html><head>
+<script src="/js/common.js"></script>
+<script>
+init(${JSON.stringify({ arrayCircuitNameList: list })});
+</script></head><body></body></html>`;
+}
+
+function devicePage(devices) {
+  const list = devices.map(({ nodeId, eoj, type, name }) => ({ nodeId, eoj, type, name }));
+  return `<!DOCTYPE html><html><head><script>
+window.onload = function () { init(1, 0, 0, ${TOKEN}, ${JSON.stringify(list)}); };
+</script></head><body></body></html>`;
+}
+
+function acLink(ac) {
+  return {
+    nodeId: ac.nodeId, eoj: ac.eoj, type: ac.type, name: ac.name,
+    state:             ac.on ? '0x30' : '0x31',
+    state_str:         ac.on ? '運転中' : '停止中',
+    index_mode_button: ac.on ? '停止' : '運転',
+    inner:    `${ac.inner}℃`,
+    outer:    `${ac.outer}℃`,
+    humidity: `${ac.humidity}%`,
+  };
+}
+
+function fhLink(fh) {
+  return {
+    nodeId: fh.nodeId, eoj: fh.eoj, type: fh.type, name: fh.name,
+    state:             fh.on ? '0x30' : '0x31',
+    state_str:         fh.on ? '運転中' : '停止中',
+    index_mode_button: fh.on ? '停止' : '運転',
+    templevel:         `温度レベル：${fh.level}`,
+  };
+}
+
+function enefarmStatus(state) {
+  return {
+    lanEnefarm: {
+      bath_onoff:      state.bath.on ? 'on' : 'off',
+      bath_state:      state.bath.on ? '自動運転中' : '停止中',
+      bath_button:     'ふろ自動',
+      generate_onoff:  state.enefarm.generating ? 'on' : 'off',
+      generate_state:  state.enefarm.generating ? '発電中' : '停止中',
+      generate_button: state.enefarm.generating ? '発電<br>停止' : '発電<br>開始',
+    },
+  };
+}
+
+function acDetail(ac) {
+  return {
+    mode: ac.mode,
+    temp: '0x' + ac.temp.toString(16),
+    modify_items: [{ id_str: 's_img_ac', current: { value: ac.fan } }],
+  };
+}
+
+// ── Server ───────────────────────────────────────────────────────────────────
+
+/**
+ * Create (but do not start) a simulator HTTP server.
+ * The live device state is exposed as server.state, request counts as
+ * server.stats. algorithm may be 'MD5' or 'MD5-sess'.
+ */
+function createSimulator({ user = USER, pass = PASS, algorithm = 'MD5', nonceTtl = NONCE_TTL } = {}) {
+  const state = initialState();
+  let nonce = crypto.randomBytes(16).toString('hex');
+  let prevNonce = null;
+  let nonceAt = Date.now();
+  let seenNc = new Set();   // nc values already used with the current nonce
+  const opaque = crypto.randomBytes(8).toString('hex');
+
+  // Server-side counters, handy for checking how chatty a client is
+  const stats = { requests: 0, challenges: 0 };
+
+  function rotateNonce() {
+    if (Date.now() - nonceAt <= nonceTtl) return;
+    prevNonce = nonce;
+    nonce = crypto.randomBytes(16).toString('hex');
+    nonceAt = Date.now();
+    seenNc = new Set();
+  }
+
+  function challenge(res, stale = false) {
+    stats.challenges++;
+    let h = `Digest realm="${REALM}", nonce="${nonce}", qop="auth", opaque="${opaque}", algorithm=${algorithm}`;
+    if (stale) h += ', stale=true';
+    res.writeHead(401, { 'WWW-Authenticate': h, 'Content-Type': 'text/html' });
+    res.end('<html><body>401 Unauthorized</body></html>');
+  }
+
+  // Returns true if authorised; otherwise sends the 401 itself
+  function authorise(req, res) {
+    rotateNonce();
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Digest ')) { challenge(res); return false; }
+    const a = parseAuthHeader(header.slice(7));
+    if (a.username !== user || a.uri !== req.url) { challenge(res); return false; }
+
+    let ha1 = md5(`${user}:${REALM}:${pass}`);
+    if (algorithm === 'MD5-sess') ha1 = md5(`${ha1}:${a.nonce}:${a.cnonce}`);
+    const ha2 = md5(`${req.method}:${a.uri}`);
+    const expected = a.qop
+      ? md5(`${ha1}:${a.nonce}:${a.nc}:${a.cnonce}:${a.qop}:${ha2}`)
+      : md5(`${ha1}:${a.nonce}:${ha2}`);
+    if (a.response !== expected) { challenge(res); return false; }
+    if (a.nonce !== nonce) { challenge(res, a.nonce === prevNonce); return false; }
+    // A repeated nc with the same nonce is a replay
+    if (a.qop) {
+      if (seenNc.has(a.nc)) { challenge(res); return false; }
+      seenNc.add(a.nc);
+    }
+    return true;
+  }
+
+  function json(res, obj) {
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(obj));
+  }
+
+  function html(res, body) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(body);
+  }
+
+  const findDevice = (list, p) => list.find(d => d.nodeId === p.nodeId && d.eoj === p.eoj);
+  const tokenOk    = p => String(p.token) === TOKEN;
+  const ok         = res => json(res, { result: '0' });
+  const rejected   = res => json(res, { result: '1', message: 'invalid request' });
+
+  function route(req, res, body) {
+    const url  = new URL(req.url, 'http://aiseg');
+    const path = url.pathname;
+    let params = {};
+    if (body) {
+      const form = new URLSearchParams(body);
+      try { params = JSON.parse(form.get('data') || '{}'); } catch { params = {}; }
+    }
+    let date = new Date();
+    if (url.searchParams.has('data')) {
+      try {
+        const q = JSON.parse(Buffer.from(url.searchParams.get('data'), 'base64').toString());
+        if (Array.isArray(q.day)) date = new Date(q.day[0], q.day[1] - 1, q.day[2], 23, 59);
+        params = q;
+      } catch { /* fall back to today */ }
+    }
+
+    if (path === '/data/electricflow/111/update') return json(res, realtime(state));
+
+    const graph = path.match(/^\/page\/graph\/(\d+)$/);
+    if (graph && GRAPH_KINDS[graph[1]]) return html(res, graphPage(dayKwh(GRAPH_KINDS[graph[1]], date)));
+    if (graph && graph[1] === '584') {
+      const c = state.circuits.find(x => x.id === String(params.circuitid));
+      return html(res, c ? graphPage(circuitKwh(c, date)) : '<html><body>回路が見つかりません</body></html>');
+    }
+
+    if (path === '/page/setting/installation/734') return html(res, circuitSettingPage(state));
+
+    // Group page lists ACs, Enefarm, floor heaters, bath — in that order
+    if (path === '/page/devices/device/32')  return html(res, devicePage([...state.acs, state.enefarm, ...state.fhs, state.bath]));
+    if (path === '/page/devices/device/321') return html(res, devicePage(state.acs));
+    if (path === '/page/devices/device/32b') return html(res, devicePage(state.fhs));
+
+    if (path === '/data/devices/device/321/auto_update') {
+      return json(res, { links: (params.list || []).map(p => findDevice(state.acs, p)).filter(Boolean).map(acLink) });
+    }
+    if (path === '/data/devices/device/32b/auto_update') {
+      return json(res, { links: (params.list || []).map(p => findDevice(state.fhs, p)).filter(Boolean).map(fhLink) });
+    }
+    if (path === '/data/devices/device/32/auto_update') return json(res, { list2: enefarmStatus(state) });
+    if (path === '/data/devices/device/3211/update') {
+      const ac = findDevice(state.acs, params);
+      return json(res, ac ? acDetail(ac) : {});
+    }
+
+    if (path === '/action/devices/device/321/change') {
+      const ac = findDevice(state.acs, params);
+      if (!ac || !tokenOk(params)) return rejected(res);
+      ac.on = params.state !== '0x30';   // client sends the current state; we toggle
+      return ok(res);
+    }
+    if (path === '/action/devices/device/3211/change') {
+      const ac = findDevice(state.acs, params);
+      if (!ac || !tokenOk(params)) return rejected(res);
+      const type = String(params.setting_type);
+      if      (type === '1') ac.mode = params.value;
+      else if (type === '2') ac.temp = Math.max(16, Math.min(30, parseInt(params.value, 10)));
+      else if (type === '3') ac.fan  = params.value;
+      else return rejected(res);
+      return ok(res);
+    }
+    if (path === '/action/devices/device/32b/change') {
+      const fh = findDevice(state.fhs, params);
+      if (!fh || !tokenOk(params)) return rejected(res);
+      if (params.templevel) fh.level = parseInt(params.templevel.slice(3), 10);
+      else                  fh.on    = params.state !== '0x30';
+      return ok(res);
+    }
+    if (path === '/action/devices/device/301') {
+      if (url.searchParams.get('token') !== TOKEN) return rejected(res);
+      state.bath.on = !state.bath.on;
+      return ok(res);
+    }
+    if (path === '/action/devices/device/32/ctrl_lanEnefirm_generate') {
+      if (!tokenOk(params)) return rejected(res);
+      state.enefarm.generating = !state.enefarm.generating;
+      return ok(res);
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end('<html><body>404 Not Found</body></html>');
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stats.requests++;
+      if (!authorise(req, res)) return;
+      try {
+        route(req, res, body);
+      } catch (e) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(e.message);
+      }
+    });
+  });
+  server.state = state;
+  server.stats = stats;
+  return server;
+}
+
+module.exports = { createSimulator, TOKEN };
+
+if (require.main === module) {
+  const port = Number(process.env.SIM_PORT) || 8216;
+  createSimulator().listen(port, () => {
+    console.log(`AiSEG2 simulator on http://localhost:${port}  (user "${USER}")`);
+  });
+}
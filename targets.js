@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Device target states shared by schedules and automation rules.
+ *
+ * A target names a device and the state it should end up in, e.g.
+ *   { device: { type: 'ac', nodeId, eoj }, power: true, mode: '0x43', temp: 22 }
+ * and is turned into control bodies against the device's current state, so
+ * nothing is switched that is already where it should be.
+ */
+
+const DEVICE_TYPES = ['ac', 'fh', 'bath', 'generate'];
+const AC_MODES     = ['0x41', '0x42', '0x43', '0x44', '0x45'];
+const AC_FANS      = ['0x41', '0x31', '0x32', '0x33', '0x34', '0x35', '0x36'];
+
+/**
+ * Check and normalise the target fields of a body; throws on invalid input.
+ */
+function normalizeTarget(b = {}) {
+  const device = b.device || {};
+  if (!DEVICE_TYPES.includes(device.type)) throw new Error('device.type must be one of ' + DEVICE_TYPES.join(', '));
+  const addressed = device.type === 'ac' || device.type === 'fh';
+  if (addressed && !(device.nodeId && device.eoj)) throw new Error('device.nodeId and device.eoj are required');
+  if (typeof b.power !== 'boolean') throw new Error('power must be true or false');
+
+  const t = {
+    device: addressed
+      ? { type: device.type, nodeId: String(device.nodeId), eoj: String(device.eoj) }
+      : { type: device.type },
+    power:  b.power,
+  };
+
+  if (b.power && device.type === 'ac') {
+    if (b.mode != null) {
+      if (!AC_MODES.includes(b.mode)) throw new Error('invalid mode');
+      t.mode = b.mode;
+    }
+    if (b.temp != null) {
+      const v = Number(b.temp);
+      if (!Number.isInteger(v) || v < 16 || v > 30) throw new Error('temp must be 16–30');
+      t.temp = v;
+    }
+    if (b.fan != null) {
+      if (!AC_FANS.includes(b.fan)) throw new Error('invalid fan');
+      t.fan = b.fan;
+    }
+  }
+  if (b.power && device.type === 'fh' && b.level != null) {
+    const v = Number(b.level);
+    if (!Number.isInteger(v) || v < 1 || v > 9) throw new Error('level must be 1–9');
+    t.level = v;
+  }
+  return t;
+}
+
+function findDevice({ type, nodeId, eoj }, devices) {
+  const d = ((type === 'ac' ? devices?.acs : devices?.fhs) || []).find(x => x.nodeId === nodeId && x.eoj === eoj);
+  if (!d) throw new Error(`device not found: ${nodeId}_${eoj}`);
+  return d;
+}
+
+/**
+ * Whether the target's device is currently running.
+ */
+function powerOf(device, devices) {
+  if (device.type === 'bath' || device.type === 'generate') {
+    const ene = devices?.enefarm;
+    if (!ene) throw new Error('no Enefarm found');
+    return device.type === 'bath' ? ene.bathRunning : ene.generateRunning;
+  }
+  return findDevice(device, devices).running;
+}
+
+/**
+ * Control bodies (as accepted by POST /api/devices/control) that bring the
+ * device from its current state in `devices` to the target state.
+ */
+function controlBodies(target, devices) {
+  const { type, nodeId, eoj } = target.device;
+  const running = powerOf(target.device, devices);
+
+  if (type === 'bath' || type === 'generate') {
+    return running === target.power ? [] : [{ action: type === 'bath' ? 'setBathPower' : 'setGeneratePower', value: target.power }];
+  }
+
+  const ids = { nodeId, eoj };
+  const out = [];
+  if (running !== target.power) out.push({ action: type === 'ac' ? 'setACPower' : 'setFHPower', ...ids, value: target.power });
+  if (!target.power) return out;
+
+  if (target.mode  != null) out.push({ action: 'setACMode',  ...ids, value: target.mode });
+  if (target.temp  != null) out.push({ action: 'setACTemp',  ...ids, value: target.temp });
+  if (target.fan   != null) out.push({ action: 'setACFan',   ...ids, value: target.fan });
+  if (target.level != null) out.push({ action: 'setFHLevel', ...ids, state: '0x30', value: target.level });
+  return out;
+}
+
+module.exports = { normalizeTarget, powerOf, controlBodies, DEVICE_TYPES };
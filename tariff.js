@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * Electricity tariff and cost/revenue calculation, tariff in data/tariff.json.
+ *
+ * Purchase rates are time-of-use: `periods` are checked in order and the first
+ * one covering the time wins, `baseRate` applies otherwise. Fuel adjustment
+ * and the renewable surcharge are added per purchased kWh, the basic charge
+ * once per month. Sold kWh earn `sellRate`. All prices are in yen.
+ *
+ * The AiSEG2 only reports purchased kWh per day, so each day's purchase is
+ * split over the periods in proportion to the import recorded in history
+ * (history.js). Days without history are split by the hours each period covers.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const history = require('./history');
+const archive = require('./archive');
+
+const TARIFF_FILE = path.join(history.DATA_DIR, 'tariff.json');
+
+const DEFAULT_TARIFF = {
+  basicCharge:        1180,    // 円/月
+  baseRate:           35.76,   // 円/kWh outside every period
+  periods: [
+    { name: 'night', from: '01:00', to: '06:00', rate: 27.86 },
+  ],
+  fuelAdjustment:     0,       // 円/kWh purchased
+  renewableSurcharge: 3.98,    // 円/kWh purchased
+  sellRate:           16,      // 円/kWh sold
+};
+
+const BASE_PERIOD = 'base';
+
+function load() {
+  try { return { ...DEFAULT_TARIFF, ...JSON.parse(fs.readFileSync(TARIFF_FILE, 'utf8')) }; } catch { return { ...DEFAULT_TARIFF }; }
+}
+
+let tariff = load();
+const dayCache = new Map();   // "YYYY-MM-DD:purchase:sold" → cost of a finished day
+
+const round = v => +v.toFixed(2);
+const toMinutes = hhmm => { const [h, m] = hhmm.split(':').map(Number); return h * 60 + m; };
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Check and normalise a tariff body; fields left out keep their current
+ * value. Throws on invalid input.
+ */
+function normalize(body) {
+  const b = { ...tariff, ...(body || {}) };
+  const price = (v, name, { negative = false } = {}) => {
+    const n = Number(v);
+    if (!Number.isFinite(n) || (!negative && n < 0)) throw new Error(`${name} must be a ${negative ? '' : 'non-negative '}number`);
+    return n;
+  };
+  if (!Array.isArray(b.periods)) throw new Error('periods must be a list');
+
+  return {
+    basicCharge:        price(b.basicCharge, 'basicCharge'),
+    baseRate:           price(b.baseRate, 'baseRate'),
+    periods:            b.periods.map((p, i) => {
+      for (const k of ['from', 'to']) {
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(p?.[k] || '')) throw new Error(`periods[${i}].${k} must be HH:MM`);
+      }
+      if (p.from === p.to) throw new Error(`periods[${i}] is empty`);
+      const out = { name: String(p.name || `period${i + 1}`), from: p.from, to: p.to, rate: price(p.rate, `periods[${i}].rate`) };
+      if (p.days != null) {
+        if (!Array.isArray(p.days) || p.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+          throw new Error(`periods[${i}].days must list weekdays 0 (Sun) – 6 (Sat)`);
+        }
+        out.days = [...new Set(p.days)].sort();
+      }
+      return out;
+    }),
+    fuelAdjustment:     price(b.fuelAdjustment, 'fuelAdjustment', { negative: true }),
+    renewableSurcharge: price(b.renewableSurcharge, 'renewableSurcharge'),
+    sellRate:           price(b.sellRate, 'sellRate'),
+  };
+}
+
+// ── Rates ────────────────────────────────────────────────────────────────────
+
+/**
+ * Purchase period at time t: { name, rate }.
+ */
+function periodAt(t, tr = tariff) {
+  const d = new Date(t);
+  const m = d.getHours() * 60 + d.getMinutes();
+  for (const p of tr.periods) {
+    const from = toMinutes(p.from), to = toMinutes(p.to);
+    const inside = from < to ? m >= from && m < to : m >= from || m < to;   // may wrap midnight
+    if (inside && (!p.days || p.days.includes(d.getDay()))) return { name: p.name, rate: p.rate };
+  }
+  return { name: BASE_PERIOD, rate: tr.baseRate };
+}
+
+// Per-kWh charges added to every purchased kWh
+const extras = (tr = tariff) => tr.fuelAdjustment + tr.renewableSurcharge;
+
+/**
+ * Share of a day's purchase per period, from recorded import or, without
+ * history, from the minutes each period covers.
+ */
+function periodShares(date) {
+  const start = new Date(`${date}T00:00:00`).getTime();
+  const end   = new Date(start); end.setDate(end.getDate() + 1);
+
+  let samples = history.query({ from: start, to: end.getTime() - 1, resolution: '1m' }).samples;
+  if (!samples.length) samples = history.query({ from: start, to: end.getTime() - 1, resolution: '15m' }).samples;
+
+  const weights = {};
+  for (const s of samples) {
+    const imp = Math.max(0, s.use_kw - s.gen_kw);
+    if (imp > 0) {
+      const { name } = periodAt(s.t);
+      weights[name] = (weights[name] || 0) + imp;
+    }
+  }
+  if (!Object.keys(weights).length) {
+    for (let t = start; t < end.getTime(); t += 60_000) {
+      const { name } = periodAt(t);
+      weights[name] = (weights[name] || 0) + 1;
+    }
+  }
+  const total = Object.values(weights).reduce((a, b) => a + b, 0);
+  return Object.fromEntries(Object.entries(weights).map(([k, v]) => [k, v / total]));
+}
+
+function rateOf(name) {
+  return name === BASE_PERIOD ? tariff.baseRate : tariff.periods.find(p => p.name === name)?.rate ?? tariff.baseRate;
+}
+
+// ── Costs ────────────────────────────────────────────────────────────────────
+
+/**
+ * Cost and revenue of one day's totals ({ purchase, sold }).
+ */
+function dayCost(date, totals) {
+  const purchase = totals?.purchase ?? 0;
+  const sold     = totals?.sold ?? 0;
+  const byPeriod = {};
+  let energy = 0;
+  for (const [name, share] of Object.entries(purchase > 0 ? periodShares(date) : {})) {
+    const kwh  = purchase * share;
+    const cost = kwh * rateOf(name);
+    byPeriod[name] = { kwh: +kwh.toFixed(3), rate: rateOf(name), cost: round(cost) };
+    energy += cost;
+  }
+  const surcharges = purchase * extras();
+  const revenue    = sold * tariff.sellRate;
+  const cost       = energy + surcharges;
+  return {
+    date,
+    purchase,
+    sold,
+    byPeriod,
+    surcharges: round(surcharges),
+    cost:       round(cost),
+    revenue:    round(revenue),
+    net:        round(cost - revenue),
+  };
+}
+
+/**
+ * Live rate and cost per hour from a getRealtime() sample.
+ */
+function live(realtime, t = Date.now()) {
+  const { name, rate } = periodAt(t);
+  const buyPrice = rate + extras();
+  const net = realtime ? realtime.gen_kw - realtime.use_kw : 0;
+  const import_kw = realtime && !realtime.selling ? Math.max(0, -net) : 0;
+  const export_kw = realtime &&  realtime.selling ? Math.max(0,  net) : 0;
+  return {
+    period:         name,
+    rate,
+    buyPrice:       round(buyPrice),
+    sellPrice:      tariff.sellRate,
+    import_kw:      +import_kw.toFixed(3),
+    export_kw:      +export_kw.toFixed(3),
+    costPerHour:    round(import_kw * buyPrice),
+    revenuePerHour: round(export_kw * tariff.sellRate),
+  };
+}
+
+/**
+ * { live, today, month } for the current realtime sample and today's totals.
+ * Month-to-date uses the archived days of this month plus today; the
+ * projection scales the energy part of the days covered so far to the whole
+ * month and adds the basic charge once.
+ */
+function cost({ realtime, totals, now = Date.now() }) {
+  const todayKey = history.dayKey(now);
+  const today    = dayCost(todayKey, totals);
+
+  const monthStart = new Date(now); monthStart.setDate(1); monthStart.setHours(0, 0, 0, 0);
+  const monthEnd   = new Date(monthStart); monthEnd.setMonth(monthEnd.getMonth() + 1);
+  const days = archive.daily({ from: history.dayKey(monthStart), to: todayKey })
+    .filter(d => d.date !== todayKey)
+    .map(d => {
+      const key = `${d.date}:${d.purchase}:${d.sold}`;
+      if (!dayCache.has(key)) dayCache.set(key, dayCost(d.date, d));
+      return dayCache.get(key);
+    });
+  days.push(today);
+
+  const sum     = k => days.reduce((a, d) => a + d[k], 0);
+  const energy  = sum('cost');
+  const todayStart = new Date(now); todayStart.setHours(0, 0, 0, 0);
+  const covered = days.length - 1 + (now - todayStart) / 86_400_000;
+  const length  = (monthEnd - monthStart) / 86_400_000;
+  return {
+    live:  live(realtime, now),
+    today,
+    month: {
+      month:         todayKey.slice(0, 7),
+      days:          days.length,
+      purchase:      +sum('purchase').toFixed(3),
+      sold:          +sum('sold').toFixed(3),
+      basicCharge:   tariff.basicCharge,
+      cost:          round(energy + tariff.basicCharge),
+      revenue:       round(sum('revenue')),
+      net:           round(energy + tariff.basicCharge - sum('revenue')),
+      projectedCost: round(energy / Math.max(covered, 1 / 24) * length + tariff.basicCharge),
+    },
+  };
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+function get() {
+  return tariff;
+}
+
+function set(body) {
+  tariff = normalize(body);
+  dayCache.clear();
+  fs.mkdirSync(history.DATA_DIR, { recursive: true });
+  fs.writeFileSync(TARIFF_FILE, JSON.stringify(tariff, null, 2));
+  return tariff;
+}
+
+module.exports = { get, set, cost, dayCost, live, periodAt, DEFAULT_TARIFF };
@@ -0,0 +1,517 @@
+'use strict';
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { fixture, loadAiseg2, mockFetch, formData } = require('./helpers');
+const { createSimulator } = require('../simulator');
+
+const md5 = s => crypto.createHash('md5').update(s).digest('hex');
+
+let mock = null;
+afterEach(() => { mock?.restore(); mock = null; });
+
+// Serve device-page fixtures; everything else falls through to `extra`
+function deviceRoutes(extra = () => ({})) {
+  return call => {
+    if (call.pathname === '/page/devices/device/32')  return fixture('device-group-32.html');
+    if (call.pathname.startsWith('/page/devices/device/')) return '<html></html>';
+    if (call.pathname === '/data/devices/device/321/auto_update') return JSON.parse(fixture('auto-update-321.json'));
+    if (call.pathname === '/data/devices/device/32b/auto_update') return JSON.parse(fixture('auto-update-32b.json'));
+    if (call.pathname === '/data/devices/device/32/auto_update')  return JSON.parse(fixture('auto-update-32.json'));
+    if (call.pathname === '/data/devices/device/3211/update')     return JSON.parse(fixture('ac-detail-3211.json'));
+    return extra(call);
+  };
+}
+
+// ── Digest auth ──────────────────────────────────────────────────────────────
+
+describe('digest auth', () => {
+  function digestServer(challenge) {
+    return call => {
+      const auth = call.headers.Authorization;
+      if (!auth) {
+        return new Response('', { status: 401, headers: { 'WWW-Authenticate': challenge } });
+      }
+      return { auth };
+    };
+  }
+
+  function parseAuth(header) {
+    const r = {};
+    header.slice(7).replace(/(\w+)=(?:"([^"]*)"|([^\s,]+))/g, (_, k, q, t) => { r[k] = q ?? t; });
+    return r;
+  }
+
+  test('answers a qop=auth challenge with a valid response', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(digestServer('Digest realm="AiSEG", nonce="abc123", qop="auth", opaque="op9"'));
+    await aiseg2.getRealtime();
+
+    assert.equal(mock.calls.length, 2);
+    const a = parseAuth(mock.calls[1].headers.Authorization);
+    assert.equal(a.username, 'aiseg');
+    assert.equal(a.uri, '/data/electricflow/111/update');
+    assert.equal(a.opaque, 'op9');
+    assert.equal(a.qop, 'auth');
+    const ha1 = md5('aiseg:AiSEG:0123456789');
+    const ha2 = md5('POST:/data/electricflow/111/update');
+    assert.equal(a.response, md5(`${ha1}:abc123:${a.nc}:${a.cnonce}:auth:${ha2}`));
+  });
+
+  test('answers a challenge without qop (RFC 2069)', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(digestServer('Digest realm="AiSEG", nonce="n0"'));
+    await aiseg2.getCircuitKwh('7');
+
+    const a = parseAuth(mock.calls[1].headers.Authorization);
+    assert.equal(a.qop, undefined);
+    assert.equal(a.opaque, undefined);
+    const ha1 = md5('aiseg:AiSEG:0123456789');
+    const ha2 = md5(`GET:${a.uri}`);
+    assert.equal(a.response, md5(`${ha1}:n0:${ha2}`));
+    assert.equal(a.uri, mock.calls[1].path);
+  });
+
+  test('signs device POSTs the same way', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(digestServer('Digest realm="AiSEG", nonce="n1", qop="auth"'));
+    await aiseg2.controlAC('1', '0x013001', '0x30', '99');
+
+    const a = parseAuth(mock.calls[1].headers.Authorization);
+    assert.equal(a.uri, '/action/devices/device/321/change');
+    assert.equal(mock.calls[1].headers['X-Requested-With'], 'XMLHttpRequest');
+    const ha1 = md5('aiseg:AiSEG:0123456789');
+    const ha2 = md5('POST:/action/devices/device/321/change');
+    assert.equal(a.response, md5(`${ha1}:n1:${a.nc}:${a.cnonce}:auth:${ha2}`));
+  });
+
+  test('reuses the challenge and counts nc up', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(digestServer('Digest realm="AiSEG", nonce="n2", qop="auth,auth-int"'));
+    await aiseg2.getRealtime();
+    await aiseg2.getRealtime();
+    await aiseg2.getCircuitKwh('1');
+
+    assert.equal(mock.calls.length, 4);   // one 401, then every request signed up front
+    assert.deepEqual(mock.calls.slice(1).map(c => parseAuth(c.headers.Authorization).nc),
+      ['00000001', '00000002', '00000003']);
+    assert.equal(parseAuth(mock.calls[3].headers.Authorization).nonce, 'n2');
+  });
+
+  test('takes the new nonce after stale=true and restarts nc', async () => {
+    const aiseg2 = loadAiseg2();
+    let nonce = 'old';
+    mock = mockFetch(call => {
+      const auth = call.headers.Authorization;
+      if (!auth || parseAuth(auth).nonce !== nonce) {
+        const stale = auth ? ', stale=true' : '';
+        return new Response('', { status: 401, headers: { 'WWW-Authenticate': `Digest realm="AiSEG", nonce="${nonce}", qop="auth"${stale}` } });
+      }
+      return {};
+    });
+    await aiseg2.getRealtime();
+    nonce = 'new';
+    await aiseg2.getRealtime();
+
+    const last = parseAuth(mock.calls.at(-1).headers.Authorization);
+    assert.equal(mock.calls.length, 4);
+    assert.equal(last.nonce, 'new');
+    assert.equal(last.nc, '00000001');
+  });
+
+  test('supports MD5-sess', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(digestServer('Digest realm="AiSEG", nonce="s1", qop="auth", algorithm=MD5-sess'));
+    await aiseg2.getRealtime();
+
+    const a = parseAuth(mock.calls[1].headers.Authorization);
+    assert.equal(a.algorithm, 'MD5-sess');
+    const ha1 = md5(`${md5('aiseg:AiSEG:0123456789')}:s1:${a.cnonce}`);
+    const ha2 = md5('POST:/data/electricflow/111/update');
+    assert.equal(a.response, md5(`${ha1}:s1:${a.nc}:${a.cnonce}:auth:${ha2}`));
+  });
+
+  test('escapes quoted-string fields', async () => {
+    process.env.AISEG2_USER = 'ai"seg';
+    const aiseg2 = loadAiseg2();
+    delete process.env.AISEG2_USER;
+    mock = mockFetch(digestServer('Digest realm="Ai\\"SEG", nonce="n3"'));
+    await aiseg2.getRealtime();
+
+    const header = mock.calls[1].headers.Authorization;
+    assert.match(header, /username="ai\\"seg"/);
+    assert.match(header, /realm="Ai\\"SEG"/);
+  });
+
+  test('gets one challenge from the simulator for many requests', async () => {
+    const sim = createSimulator({ algorithm: 'MD5-sess' });
+    await new Promise(r => sim.listen(0, '127.0.0.1', r));
+    process.env.AISEG2_URL = `http://127.0.0.1:${sim.address().port}`;
+    const aiseg2 = loadAiseg2();
+    delete process.env.AISEG2_URL;
+    try {
+      await aiseg2.getDevices();
+      await aiseg2.getTotals();
+      assert.equal(sim.stats.challenges, 1);
+    } finally {
+      await new Promise(r => sim.close(r));
+    }
+  });
+});
+
+// ── getRealtime ──────────────────────────────────────────────────────────────
+
+describe('getRealtime', () => {
+  test('maps the electricflow JSON', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => JSON.parse(fixture('electricflow.json')));
+    const d = await aiseg2.getRealtime();
+
+    assert.equal(mock.calls[0].method, 'POST');
+    assert.equal(d.gen_kw, 3.2);
+    assert.equal(d.use_kw, 1.4);
+    assert.equal(d.solar_w, 2480);
+    assert.equal(d.enefarm_w, 700);
+    assert.equal(d.selling, true);
+    assert.deepEqual(d.top, [
+      { name: 'エアコンB', watts: 640, visible: true },
+      { name: '冷蔵庫',   watts: 120, visible: true },
+    ]);
+    assert.equal(d.ev_connected, false);
+    assert.equal(d.battery_pct, null);
+    assert.equal(d.fc_connected, true);
+  });
+
+  test('handles battery/EV firmware without Enefarm', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => JSON.parse(fixture('electricflow-battery.json')));
+    const d = await aiseg2.getRealtime();
+
+    assert.equal(d.selling, false);
+    assert.equal(d.enefarm_w, 0);
+    assert.equal(d.battery_pct, 78);
+    assert.equal(d.ev_connected, true);
+    assert.equal(d.fc_connected, false);
+    assert.equal(d.top.length, 1);
+  });
+
+  test('defaults missing fields', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => JSON.parse(fixture('electricflow-empty.json')));
+    const d = await aiseg2.getRealtime();
+    assert.equal(d.gen_kw, 0);
+    assert.equal(d.use_kw, 0);
+    assert.equal(d.solar_w, 0);
+    assert.deepEqual(d.top, []);
+  });
+
+  test('throws on HTTP errors', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => new Response('', { status: 500 }));
+    await assert.rejects(aiseg2.getRealtime(), /AiSEG2 HTTP 500/);
+  });
+});
+
+// ── Graph pages ──────────────────────────────────────────────────────────────
+
+describe('getTotals', () => {
+  test('scrapes all four graph pages', async () => {
+    const aiseg2 = loadAiseg2();
+    const pages = {
+      51111: 'graph-kwh.html', 52111: 'graph-kwh-comma.html',
+      53111: 'graph-kwh-missing.html', 54111: 'graph-kwh.html',
+    };
+    mock = mockFetch(call => fixture(pages[call.pathname.split('/').pop()]));
+    const t = await aiseg2.getTotals();
+
+    assert.deepEqual(t, { solar: 12.34, consumption: 1234.5, purchase: null, sold: 12.34 });
+    assert.ok(mock.calls.every(c => !c.path.includes('?')));
+  });
+
+  test('returns null for pages that fail', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(call => {
+      if (call.pathname.endsWith('53111')) throw new Error('ECONNRESET');
+      return fixture('graph-kwh.html');
+    });
+    const t = await aiseg2.getTotals();
+    assert.equal(t.purchase, null);
+    assert.equal(t.solar, 12.34);
+  });
+
+  test('throws when every page fails', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => { throw new Error('ECONNRESET'); });
+    await assert.rejects(aiseg2.getTotals(), /ECONNRESET/);
+  });
+
+  test('throws on any failed page when strict', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(call => {
+      if (call.pathname.endsWith('53111')) throw new Error('ECONNRESET');
+      return fixture('graph-kwh.html');
+    });
+    await assert.rejects(aiseg2.getTotals({ strict: true }), /ECONNRESET/);
+  });
+
+  test('selects a past day through ?data=', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => fixture('graph-kwh.html'));
+    await aiseg2.getTotals({ date: '2025-03-07' });
+
+    for (const c of mock.calls) {
+      const q = JSON.parse(Buffer.from(new URL(c.url).searchParams.get('data'), 'base64').toString());
+      assert.deepEqual(q.day, [2025, 3, 7]);
+      assert.equal(q.term, '2025/03/07');
+    }
+  });
+});
+
+describe('getCircuitKwh / getAllCircuitKwh', () => {
+  test('sends the circuit id and parses kWh', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => fixture('graph-kwh.html'));
+    assert.equal(await aiseg2.getCircuitKwh(12), 12.34);
+
+    const q = JSON.parse(Buffer.from(new URL(mock.calls[0].url).searchParams.get('data'), 'base64').toString());
+    assert.deepEqual(q, { circuitid: '12' });
+  });
+
+  test('keeps order, nulls failures and caps concurrency at 10', async () => {
+    const aiseg2 = loadAiseg2();
+    let inFlight = 0, peak = 0;
+    mock = mockFetch(async call => {
+      inFlight++; peak = Math.max(peak, inFlight);
+      await new Promise(r => setTimeout(r, 5));
+      inFlight--;
+      const { circuitid } = JSON.parse(Buffer.from(new URL(call.url).searchParams.get('data'), 'base64').toString());
+      if (circuitid === '3') return new Response('', { status: 500 });
+      return `<span id="val_kwh">${circuitid}.5</span>`;
+    });
+    const circuits = Array.from({ length: 25 }, (_, i) => ({ id: String(i + 1) }));
+    const kwh = await aiseg2.getAllCircuitKwh(circuits);
+
+    assert.equal(kwh.length, 25);
+    assert.equal(kwh[0], 1.5);
+    assert.equal(kwh[2], null);
+    assert.equal(kwh[24], 25.5);
+    assert.ok(peak <= 10);
+  });
+});
+
+// ── getCircuits ──────────────────────────────────────────────────────────────
+
+describe('getCircuits', () => {
+  test('extracts active circuits from arrayCircuitNameList', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => fixture('installation-734.html'));
+    assert.deepEqual(await aiseg2.getCircuits(), [
+      { id: '1', name: 'エアコンA' },
+      { id: '2', name: 'キッチン' },
+      { id: '3', name: 'Circuit 3' },
+    ]);
+  });
+
+  test('skips scripts that mention the list but do not parse', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => fixture('installation-734-broken-first.html'));
+    assert.deepEqual(await aiseg2.getCircuits(), [{ id: '12', name: '回路12' }]);
+  });
+
+  test('returns an empty list for malformed pages', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => fixture('installation-734-malformed.html'));
+    assert.deepEqual(await aiseg2.getCircuits(), []);
+  });
+});
+
+// ── Token and discovery ──────────────────────────────────────────────────────
+
+describe('getToken', () => {
+  test('reads the token from init() and caches it', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => fixture('device-group-32.html'));
+    assert.equal(await aiseg2.getToken(), '40213');
+    assert.equal(await aiseg2.getToken(), '40213');
+    assert.equal(mock.calls.length, 1);
+  });
+
+  test('falls back to the default token', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => fixture('device-group-32-empty.html'));
+    assert.equal(await aiseg2.getToken(), '32140');
+  });
+});
+
+describe('discoverDevices', () => {
+  test('classifies the group page devices in order', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(deviceRoutes());
+    const d = await aiseg2.discoverDevices();
+
+    assert.deepEqual(d.all.map(x => x.type), ['0x33', '0x33', '0x32', '0x34', '0x37']);
+    assert.deepEqual(d.acs.map(x => x.name), ['エアコンA', 'エアコンB']);
+    assert.equal(d.fhs.length, 1);
+    assert.equal(d.enefarm.eoj, '0x027c01');
+    assert.equal(d.bath.name, 'ふろ (給湯)');
+  });
+
+  test('accepts JS object literals with alternate key names', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(call =>
+      call.pathname === '/page/devices/device/32' ? fixture('device-group-32-literal.html') : '<html></html>');
+    const d = await aiseg2.discoverDevices();
+
+    assert.deepEqual(d.acs, [{ nodeId: '20', eoj: '0x013001', type: '0x33', name: 'Living AC' }]);
+    assert.deepEqual(d.fhs, [{ nodeId: '21', eoj: '0x0f7001', type: '0x34', name: null }]);
+    assert.equal(d.enefarm, null);
+  });
+
+  test('caches until forced', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(deviceRoutes());
+    await aiseg2.discoverDevices();
+    const n = mock.calls.length;
+    await aiseg2.discoverDevices();
+    assert.equal(mock.calls.length, n);
+    await aiseg2.discoverDevices({ force: true });
+    assert.equal(mock.calls.length, 2 * n);
+  });
+
+  test('throws when no page lists devices', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => fixture('device-group-32-empty.html'));
+    await assert.rejects(aiseg2.discoverDevices(), /found no devices/);
+  });
+});
+
+// ── getDevices ───────────────────────────────────────────────────────────────
+
+describe('getDevices', () => {
+  test('maps AC, floor heating and Enefarm status', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(deviceRoutes());
+    const d = await aiseg2.getDevices();
+
+    assert.equal(d.token, '40213');
+    assert.equal(d.acs.length, 2);
+    assert.deepEqual(d.acs[0], {
+      nodeId: '1073741827', eoj: '0x013001', type: '0x33', name: 'エアコンA',
+      state: '0x30', running: true, stateLabel: '運転中', buttonLabel: '停止',
+      inner: '21℃', outer: null, humidity: '45%',
+      mode: '0x43', tempC: 22, fan: '0x33',
+    });
+    assert.equal(d.acs[1].running, false);
+    assert.equal(d.acs[1].inner, null);
+    assert.equal(d.acs[1].humidity, null);
+    assert.equal(d.fhs[0].templevel, '温度レベル：5');
+    assert.deepEqual(d.enefarm, {
+      bathRunning: true, bathLabel: '自動運転中', bathButton: 'ふろ自動',
+      generateRunning: false, generateLabel: '停止中', generateButton: '発電 開始',
+    });
+
+    const grp = mock.calls.find(c => c.pathname === '/data/devices/device/32/auto_update');
+    assert.deepEqual(formData(grp.body).list.map(x => x.eoj),
+      ['0x013001', '0x013001', '0x027c01', '0x0f7001', '0x027201']);
+  });
+
+  test('matches AC details by device, not by position', async () => {
+    const aiseg2 = loadAiseg2();
+    const routes = deviceRoutes();
+    mock = mockFetch(call => {
+      if (call.pathname === '/data/devices/device/3211/update') {
+        return { mode: formData(call.body).nodeId === '1073741828' ? '0x42' : '0x43', temp: '0x16', modify_items: [] };
+      }
+      if (call.pathname === '/data/devices/device/321/auto_update') {
+        return { links: JSON.parse(fixture('auto-update-321.json')).links.reverse() };
+      }
+      return routes(call);
+    });
+    const d = await aiseg2.getDevices();
+    assert.deepEqual(d.acs.map(a => [a.name, a.mode]), [['エアコンB', '0x42'], ['エアコンA', '0x43']]);
+  });
+
+  test('survives failing status endpoints', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(call => {
+      if (call.pathname.startsWith('/data/')) return new Response('', { status: 503 });
+      return deviceRoutes()(call);
+    });
+    const d = await aiseg2.getDevices();
+    assert.deepEqual(d.acs, []);
+    assert.deepEqual(d.fhs, []);
+    assert.equal(d.enefarm.bathLabel, '—');
+  });
+});
+
+// ── Control ──────────────────────────────────────────────────────────────────
+
+describe('device control', () => {
+  test('controlAC / controlFH send the current state', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => ({ result: '0' }));
+    assert.deepEqual(await aiseg2.controlAC('1', '0x013001', '0x30', 'T'), { result: '0' });
+    await aiseg2.controlFH('2', '0x0f7001', '0x31', 'T');
+
+    assert.equal(mock.calls[0].pathname, '/action/devices/device/321/change');
+    assert.deepEqual(formData(mock.calls[0].body), { nodeId: '1', eoj: '0x013001', type: '0x33', state: '0x30', token: 'T' });
+    assert.equal(mock.calls[1].pathname, '/action/devices/device/32b/change');
+    assert.deepEqual(formData(mock.calls[1].body), { nodeId: '2', eoj: '0x0f7001', type: '0x34', state: '0x31', token: 'T' });
+  });
+
+  test('setACSettings sends the setting type and value as strings', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => ({ result: '0' }));
+    await aiseg2.setACSettings('1', '0x013001', 2, 24, 'T');
+    const p = formData(mock.calls[0].body);
+    assert.equal(mock.calls[0].pathname, '/action/devices/device/3211/change');
+    assert.equal(p.setting_type, '2');
+    assert.equal(p.value, '24');
+  });
+
+  test('setFHLevel clamps to 1–9', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => ({ result: '0' }));
+    await aiseg2.setFHLevel('2', '0x0f7001', '0x30', 12, 'T');
+    await aiseg2.setFHLevel('2', '0x0f7001', '0x30', 0, 'T');
+    assert.equal(formData(mock.calls[0].body).templevel, '0x39');
+    assert.equal(formData(mock.calls[1].body).templevel, '0x31');
+  });
+
+  test('controlBath / controlGenerate use the discovered Enefarm', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(deviceRoutes(() => ({ result: '0' })));
+    await aiseg2.controlBath('T');
+    await aiseg2.controlGenerate('T');
+
+    const bath = mock.calls.find(c => c.pathname === '/action/devices/device/301');
+    const q = new URL(bath.url).searchParams;
+    assert.equal(q.get('eoj'), '0x027201');
+    assert.equal(q.get('devtype'), '0x37');
+    assert.equal(q.get('bathcmd'), '0x41');
+    const gen = mock.calls.find(c => c.pathname === '/action/devices/device/32/ctrl_lanEnefirm_generate');
+    assert.deepEqual(formData(gen.body), { token: 'T', generatecmd: '0x42' });
+  });
+
+  test('getPower throws upstream errors and reports a missing device only on success', async () => {
+    const aiseg2 = loadAiseg2();
+    const ac = { type: 'ac', nodeId: '1073741827', eoj: '0x013001' };
+    let status = 503;
+    mock = mockFetch(call => {
+      if (call.pathname.endsWith('/auto_update')) return status === 200 ? {} : new Response('', { status });
+      return deviceRoutes()(call);
+    });
+    await assert.rejects(aiseg2.getPower(ac, 'T'), /AiSEG2 HTTP 503/);
+    await assert.rejects(aiseg2.getPower({ type: 'bath' }, 'T'), /AiSEG2 HTTP 503/);
+    status = 200;
+    await assert.rejects(aiseg2.getPower(ac, 'T'), /device not found: 1073741827_0x013001/);
+    await assert.rejects(aiseg2.getPower({ type: 'bath' }, 'T'), /no Enefarm status/);
+  });
+
+  test('reports HTTP errors as result objects', async () => {
+    const aiseg2 = loadAiseg2();
+    mock = mockFetch(() => new Response('', { status: 403 }));
+    assert.deepEqual(await aiseg2.controlAC('1', '0x013001', '0x30', 'T'), { result: 'error', status: 403 });
+  });
+});
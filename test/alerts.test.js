@@ -0,0 +1,129 @@
+'use strict';
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const http = require('http');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-alerts-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const alerts = require('../alerts');
+
+// Webhook receiver recording every request body
+let hook, hookUrl;
+const received = [];
+
+before(async () => {
+  hook = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      received.push({ method: req.method, auth: req.headers.authorization, body: JSON.parse(body) });
+      res.statusCode = req.url === '/fail' ? 500 : 204;
+      res.end();
+    });
+  });
+  await new Promise(r => hook.listen(0, '127.0.0.1', r));
+  hookUrl = `http://127.0.0.1:${hook.address().port}`;
+});
+
+after(async () => {
+  await new Promise(r => hook.close(r));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  for (const a of alerts.list()) alerts.remove(a.id);
+  received.length = 0;
+});
+
+const MIN = 60_000;
+const using = kw => ({ realtime: { gen_kw: 0, use_kw: kw, selling: false } });
+
+// Evaluate the same snapshot every 5s from `from` for `minutes`
+async function feed(snapshot, from, minutes) {
+  const events = [];
+  for (let t = from; t <= from + minutes * MIN; t += 5_000) events.push(...await alerts.evaluate(snapshot, t));
+  return events;
+}
+
+describe('validation', () => {
+  test('rejects malformed alerts', () => {
+    assert.throws(() => alerts.create({ metric: 'nope' }), /metric/);
+    assert.throws(() => alerts.create({ metric: 'use_kw', op: '>' }), /value/);
+    assert.throws(() => alerts.create({ metric: 'circuit_kwh', op: '>', value: 3 }), /circuit/);
+    assert.throws(() => alerts.create({ metric: 'device_running', device: { type: 'ac' } }), /nodeId/);
+    assert.throws(() => alerts.create({ metric: 'unreachable', webhooks: [{ url: 'ftp://x' }] }), /http/);
+    assert.throws(() => alerts.create({ metric: 'unreachable', between: { from: '1:00', to: '06:00' } }), /HH:MM/);
+  });
+});
+
+describe('evaluate', () => {
+  test('fires after the hold time and resolves, delivering templated payloads', async () => {
+    alerts.create({
+      name: 'High use', metric: 'use_kw', op: '>', value: 5, minutes: 2,
+      webhooks: [
+        { url: `${hookUrl}/a`, headers: { Authorization: 'Bearer x' }, body: { text: '{{event}}: {{name}} at {{value}} kW' } },
+        { url: `${hookUrl}/fail` },
+      ],
+    });
+    assert.deepEqual(await feed(using(6), 0, 1.9), []);
+
+    const [fired] = await feed(using(6), 2 * MIN, 0);
+    assert.equal(fired.event, 'firing');
+    assert.deepEqual(fired.delivery, ['ok', 'HTTP 500']);
+    assert.deepEqual(received[0], { method: 'POST', auth: 'Bearer x', body: { text: 'firing: High use at 6 kW' } });
+    assert.equal(received[1].body.event, 'firing');     // default payload
+    assert.equal(alerts.list()[0].firing, true);
+
+    const [resolved] = await feed(using(1), 3 * MIN, 0);
+    assert.equal(resolved.event, 'resolved');
+    assert.equal(received[2].body.text, 'resolved: High use at 1 kW');
+    assert.deepEqual(alerts.log().map(e => e.event), ['resolved', 'firing']);
+  });
+
+  test('cooldown suppresses a repeated firing and its resolve', async () => {
+    alerts.create({ metric: 'use_kw', op: '>', value: 5, cooldown: 30, webhooks: [{ url: hookUrl }] });
+    await feed(using(6), 0, 0);
+    await feed(using(1), MIN, 0);
+    const [again] = await feed(using(6), 2 * MIN, 0);
+    assert.equal(again.suppressed, true);
+    assert.deepEqual(await feed(using(1), 3 * MIN, 0), []);
+    assert.equal(received.length, 2);
+
+    const [late] = await feed(using(6), 31 * MIN, 0);
+    assert.equal(late.suppressed, undefined);
+  });
+
+  test('circuit, device and reachability metrics; unknown data changes nothing', async () => {
+    alerts.create({ metric: 'circuit_kwh', circuit: 'エコキュート', op: '>', value: 3 });
+    alerts.create({ metric: 'device_running', device: { type: 'bath' }, between: { from: '01:00', to: '05:00' } });
+    alerts.create({ metric: 'unreachable', minutes: 5 });
+
+    const night = new Date('2025-06-02T02:00:00').getTime();
+    const snapshot = {
+      circuits:    [{ id: 7, name: 'エコキュート', kwh: 3.5 }],
+      devices:     { enefarm: { bathRunning: true } },
+      unreachable: true,
+    };
+    let events = await feed(snapshot, night, 4.9);
+    assert.deepEqual(events.map(e => e.metric), ['circuit_kwh', 'device_running']);
+
+    events = await feed(snapshot, night + 5 * MIN, 0);
+    assert.deepEqual(events.map(e => e.metric), ['unreachable']);
+
+    // Data going missing does not resolve anything
+    assert.deepEqual(await feed({ unreachable: true }, night + 6 * MIN, 0), []);
+    assert.ok(alerts.list().every(a => a.firing));
+  });
+
+  test('sendTest posts a test event', async () => {
+    const a = alerts.create({ metric: 'unreachable', webhooks: [{ url: hookUrl, method: 'put' }] });
+    assert.deepEqual(await alerts.sendTest(a.id), { delivery: ['ok'] });
+    assert.equal(received[0].method, 'PUT');
+    assert.equal(received[0].body.event, 'test');
+  });
+});
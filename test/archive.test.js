@@ -0,0 +1,42 @@
+'use strict';
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-archive-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const archive = require('../archive');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const at = (day, h, m) => new Date(`${day}T${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:00`).getTime();
+const row = day => archive.daily({ from: day, to: day })[0];
+
+describe('snapshot', () => {
+  test('keeps the highest reading of the day', () => {
+    archive.snapshot({ solar: 10, consumption: 8, purchase: 2, sold: 5 }, at('2025-06-01', 12, 0));
+    archive.snapshot({ solar: 9, consumption: 7, purchase: 2, sold: 4 }, at('2025-06-01', 13, 0));
+    assert.deepEqual(row('2025-06-01'), { date: '2025-06-01', solar: 10, consumption: 8, purchase: 2, sold: 5 });
+  });
+
+  test("just after midnight, stores today's row only once the totals fall below yesterday's", () => {
+    archive.snapshot({ solar: 20, consumption: 15, purchase: 4, sold: 9 }, at('2025-06-02', 23, 59));
+
+    // The AiSEG2 has not rolled over yet
+    assert.equal(archive.snapshot({ solar: 20, consumption: 15.1, purchase: 4, sold: 9 }, at('2025-06-03', 0, 1)), false);
+    assert.equal(row('2025-06-03'), undefined);
+
+    // Now it has
+    assert.equal(archive.snapshot({ solar: 0, consumption: 0.2, purchase: 0.2, sold: 0 }, at('2025-06-03', 0, 2)), true);
+    assert.equal(row('2025-06-03').consumption, 0.2);
+  });
+
+  test('accepts any reading once the first minutes have passed', () => {
+    assert.equal(archive.snapshot({ solar: 1, consumption: 1 }, at('2025-07-01', 0, 5)), false);   // no previous day to compare
+    assert.equal(archive.snapshot({ solar: 1, consumption: 1 }, at('2025-07-01', 0, 10)), true);
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const { test, describe, after, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-audit-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const audit = require('../audit');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const T = new Date('2025-06-01T12:00:00').getTime();
+const AC   = { type: 'ac', nodeId: '1', eoj: '0x013001', name: 'Living' };
+const BATH = { type: 'bath' };
+
+before(() => {
+  audit.record({ t: T,         source: { via: 'api', user: 'alice' }, action: 'setACPower', device: AC,   status: 'ok' });
+  audit.record({ t: T + 1_000, source: { via: 'mqtt' },               action: 'toggleBath', device: BATH, status: 'ok' });
+  // Five entries in the same millisecond
+  for (let i = 0; i < 5; i++) {
+    audit.record({ t: T + 2_000, source: { via: 'schedule', id: 's1' }, action: 'setACTemp', device: AC, value: 20 + i, status: 'ok' });
+  }
+});
+
+describe('query', () => {
+  test('lists newest first and filters by device, source and user', () => {
+    assert.equal(audit.query().length, 7);
+    assert.equal(audit.query()[6].action, 'setACPower');
+    assert.equal(audit.query({ device: 'bath' }).length, 1);
+    assert.equal(audit.query({ device: '1_0x013001' }).length, 6);
+    assert.equal(audit.query({ via: 'schedule' }).length, 5);
+    assert.deepEqual(audit.query({ user: 'alice' }).map(e => e.action), ['setACPower']);
+  });
+
+  test('keeps to a time range', () => {
+    assert.deepEqual(audit.query({ from: T + 500, to: T + 1_500 }).map(e => e.action), ['toggleBath']);
+  });
+
+  test('pages through entries of the same time without skipping or repeating any', () => {
+    const seen = [];
+    let page = audit.query({ limit: 2 });
+    while (page.length) {
+      seen.push(...page);
+      const last = page.at(-1);
+      page = audit.query({ limit: 2, to: last.t, before: last.id });
+    }
+    assert.deepEqual(seen.map(e => e.id), audit.query().map(e => e.id));
+    assert.equal(new Set(seen.map(e => e.id)).size, 7);
+  });
+});
+
+describe('deviceOf', () => {
+  const devices = { acs: [{ nodeId: '1', eoj: '0x013001', name: 'AC1', nickname: 'Living' }], fhs: [] };
+
+  test('names the addressed device from the device list', () => {
+    assert.deepEqual(audit.deviceOf({ action: 'setACMode', nodeId: '1', eoj: '0x013001' }, devices), AC);
+    assert.deepEqual(audit.deviceOf({ action: 'toggleGenerate' }, devices), { type: 'generate' });
+    assert.equal(audit.deviceOf({ action: 'setACMode', nodeId: '9', eoj: '0x013001' }, devices).name, null);
+  });
+});
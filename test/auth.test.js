@@ -0,0 +1,94 @@
+'use strict';
+
+const { test, describe, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-auth-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const auth = require('../auth');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Requests as auth.authenticate() sees them
+const withCookie = sid => ({ headers: { cookie: `other=1; ${auth.sessionCookie(sid).split(';')[0]}` } });
+const withToken  = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+const realNow = Date.now;
+const setNow  = t => { Date.now = () => t; };
+afterEach(() => { Date.now = realNow; });
+
+const ended = [];
+auth.onSessionEnd(keys => ended.push(...keys));
+
+auth.addUser({ name: 'admin', password: 'secret', role: 'admin' });
+auth.addUser({ name: 'kid', password: 'crayon', role: 'viewer' });
+
+describe('login', () => {
+  test('locks an address out after five failures and resets after a success', () => {
+    const fail = (name, addr) => assert.throws(() => auth.login(name, 'wrong', addr), e => e.status === 401);
+    for (let i = 0; i < 4; i++) fail('admin', '10.0.0.1');
+    auth.login('admin', 'secret', '10.0.0.1');          // resets the count
+    for (let i = 0; i < 4; i++) fail('admin', '10.0.0.1');
+    fail('nobody', '10.0.0.1');                         // unknown users count too
+    assert.throws(() => auth.login('admin', 'secret', '10.0.0.1'), e => e.status === 429);
+    auth.login('admin', 'secret', '10.0.0.2');          // other addresses are not locked out
+
+    setNow(realNow() + 61_000);
+    auth.login('admin', 'secret', '10.0.0.1');
+  });
+
+  test('rejects a missing password without throwing anything else', () => {
+    assert.throws(() => auth.login('admin', undefined, '10.0.0.3'), e => e.status === 401);
+    assert.throws(() => auth.login(undefined, 'secret', '10.0.0.3'), e => e.status === 401);
+  });
+});
+
+describe('sessions', () => {
+  test('authenticate a cookie until the session expires', () => {
+    const { sid, user } = auth.login('kid', 'crayon');
+    assert.deepEqual(user, { name: 'kid', role: 'viewer' });
+    assert.deepEqual(auth.authenticate(withCookie(sid)), { name: 'kid', role: 'viewer', via: 'session' });
+
+    setNow(realNow() + 31 * 86_400_000);
+    assert.equal(auth.authenticate(withCookie(sid)), null);
+  });
+
+  test('logout and password changes end sessions and report their keys', () => {
+    const a = auth.login('kid', 'crayon').sid;
+    const b = auth.login('kid', 'crayon').sid;
+    const other = auth.login('admin', 'secret').sid;
+    ended.length = 0;
+
+    auth.logout(a);
+    assert.equal(auth.authenticate(withCookie(a)), null);
+    assert.deepEqual(ended, [auth.sessionKey(withCookie(a))]);
+
+    auth.updateUser('kid', { password: 'marker' });
+    assert.equal(auth.authenticate(withCookie(b)), null);
+    assert.ok(ended.includes(auth.sessionKey(withCookie(b))));
+    assert.ok(!ended.includes(auth.sessionKey(withCookie(other))));
+    assert.equal(auth.authenticate(withCookie(other)).name, 'admin');
+  });
+});
+
+describe('tokens', () => {
+  test('carry their own role until removed', () => {
+    const t = auth.createToken({ name: 'grafana', role: 'viewer' });
+    assert.match(t.token, /^aiseg2_/);
+    assert.deepEqual(auth.listTokens(), [{ id: t.id, name: 'grafana', role: 'viewer', createdAt: t.createdAt }]);
+
+    const who = auth.authenticate(withToken(t.token));
+    assert.deepEqual(who, { name: 'grafana', role: 'viewer', via: 'token' });
+    assert.ok(auth.allowed(who.role, 'viewer'));
+    assert.ok(!auth.allowed(who.role, 'controller'));
+    assert.equal(auth.authenticate(withToken('aiseg2_nope')), null);
+
+    assert.equal(auth.removeToken(t.id), true);
+    assert.equal(auth.authenticate(withToken(t.token)), null);
+    assert.throws(() => auth.createToken({ name: 'x', role: 'root' }), /role must be one of/);
+  });
+});
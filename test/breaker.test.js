@@ -0,0 +1,62 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createBreaker } = require('../breaker');
+
+describe('createBreaker', () => {
+  const setup = () => {
+    let t = 1_000;
+    const breaker = createBreaker({ threshold: 2, baseMs: 100, maxMs: 300, now: () => t });
+    const fail    = () => breaker.run(async () => { throw new Error('down'); });
+    return { breaker, fail, tick: ms => { t += ms; } };
+  };
+
+  test('opens after consecutive failures and refuses calls until the backoff passes', async () => {
+    const { breaker, fail, tick } = setup();
+    await assert.rejects(fail(), /down/);
+    assert.equal(breaker.status().state, 'closed');
+    tick(10);
+    await assert.rejects(fail(), /down/);
+    assert.deepEqual(breaker.status(), { state: 'open', failures: 2, failingSince: 1_000, openedAt: 1_010, retryAt: 1_110, backoffMs: 100 });
+
+    let calls = 0;
+    await assert.rejects(breaker.run(async () => { calls++; }), e => e.code === 'BREAKER_OPEN');
+    assert.equal(calls, 0);
+
+    tick(100);
+    assert.equal(await breaker.run(async () => 'ok'), 'ok');
+    assert.equal(breaker.status().state, 'closed');
+    assert.equal(breaker.status().failingSince, null);
+  });
+
+  test('a failed probe doubles the backoff up to the maximum', async () => {
+    const { breaker, fail, tick } = setup();
+    await assert.rejects(fail());
+    await assert.rejects(fail());
+    for (const backoff of [200, 300, 300]) {
+      tick(breaker.status().backoffMs);
+      await assert.rejects(fail(), /down/);
+      assert.equal(breaker.status().state, 'open');
+      assert.equal(breaker.status().backoffMs, backoff);
+    }
+  });
+
+  test('lets one probe through at a time and counts flagged results as failures', async () => {
+    const { breaker, tick } = setup();
+    const http500 = () => breaker.run(async () => ({ status: 500 }), r => r.status >= 500);
+    await http500();
+    await http500();
+    assert.equal(breaker.status().state, 'open');
+
+    tick(100);
+    let release;
+    const probe = breaker.run(() => new Promise(r => { release = r; }));
+    assert.equal(breaker.status().state, 'half-open');
+    await assert.rejects(breaker.run(async () => 'second'), e => e.code === 'BREAKER_OPEN');
+    release('back');
+    assert.equal(await probe, 'back');
+    assert.equal(breaker.status().state, 'closed');
+  });
+});
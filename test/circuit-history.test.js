@@ -0,0 +1,61 @@
+'use strict';
+
+const { test, describe, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-circuits-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const circuitHistory = require('../circuit-history');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+beforeEach(() => fs.rmSync(path.join(dataDir, 'circuits'), { recursive: true, force: true }));
+
+// Local-time timestamp on `day` at hh:mm
+const at = (day, hhmm) => new Date(`${day}T${hhmm}:00`).getTime();
+const DAY = 86_400_000;
+
+describe('record', () => {
+  test('keeps the highest reading of each day', () => {
+    circuitHistory.record([{ id: '1', kwh: 2 }, { id: '2', kwh: null }], at('2025-06-01', '12:00'));
+    circuitHistory.record([{ id: '1', kwh: 5 }], at('2025-06-01', '18:00'));
+    assert.deepEqual(circuitHistory.dailyTotals(at('2025-06-01', '00:00'), at('2025-06-01', '23:59')),
+      { '2025-06-01': { 1: 5 } });
+  });
+
+  test("drops a reading just after midnight that is still yesterday's", () => {
+    circuitHistory.record([{ id: '1', kwh: 8 }, { id: '2', kwh: 3 }], at('2025-06-01', '23:55'));
+    circuitHistory.record([{ id: '1', kwh: 8.1 }, { id: '2', kwh: 0.1 }], at('2025-06-02', '00:02'));
+    circuitHistory.record([{ id: '1', kwh: 0.2 }], at('2025-06-02', '00:07'));
+    assert.deepEqual(circuitHistory.samples('1', at('2025-06-02', '00:00'), at('2025-06-02', '23:59')).map(s => s.kwh), [0.2]);
+    assert.deepEqual(circuitHistory.samples('2', at('2025-06-02', '00:00'), at('2025-06-02', '23:59')).map(s => s.kwh), [0.1]);
+  });
+
+  test('hourly usage counts the first hour of a day from zero', () => {
+    circuitHistory.record([{ id: '1', kwh: 0.5 }], at('2025-06-03', '00:30'));
+    circuitHistory.record([{ id: '1', kwh: 1.5 }], at('2025-06-03', '01:30'));
+    assert.deepEqual(circuitHistory.hourly('1', at('2025-06-03', '00:00'), at('2025-06-03', '23:59')).map(h => h.kwh), [0.5, 1]);
+  });
+});
+
+describe('trends', () => {
+  test('ranks by growth and lists circuits without earlier readings last', () => {
+    const now = at('2025-06-15', '12:00');
+    for (let d = 1; d <= 14; d++) {
+      const t = now - d * DAY;
+      circuitHistory.record([
+        { id: 'steady', kwh: 1 },
+        { id: 'growing', kwh: d <= 7 ? 3 : 1 },
+        ...(d <= 7 ? [{ id: 'new', kwh: 10 }] : []),
+      ], t);
+    }
+    const trends = circuitHistory.trends({ days: 7, now });
+    assert.deepEqual(trends.map(x => x.id), ['growing', 'steady', 'new']);
+    assert.deepEqual(trends[0], { id: 'growing', current: 21, previous: 7, delta: 14, ratio: 3 });
+    assert.deepEqual(trends[2], { id: 'new', current: 70, previous: null, delta: null, ratio: null });
+  });
+});
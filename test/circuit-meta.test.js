@@ -0,0 +1,64 @@
+'use strict';
+
+const { test, describe, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-circuit-meta-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const circuitMeta = require('../circuit-meta');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  for (const id of Object.keys(circuitMeta.get())) circuitMeta.remove(id);
+});
+
+describe('set', () => {
+  test('trims and persists entries to circuit-meta.json', () => {
+    assert.deepEqual(circuitMeta.set('12', { name: ' Kitchen outlets ', room: 'Kitchen', category: 'kitchen' }),
+      { id: '12', name: 'Kitchen outlets', room: 'Kitchen', category: 'kitchen' });
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'circuit-meta.json'), 'utf8'));
+    assert.deepEqual(saved, { 12: { name: 'Kitchen outlets', room: 'Kitchen', category: 'kitchen' } });
+  });
+
+  test('keeps fields left out, clears null ones and drops an emptied entry', () => {
+    circuitMeta.set('3', { name: 'EV', room: 'Garage', category: 'ev' });
+    assert.deepEqual(circuitMeta.set('3', { room: null }), { id: '3', name: 'EV', category: 'ev' });
+    circuitMeta.set('3', { name: '', category: '' });
+    assert.deepEqual(circuitMeta.get(), {});
+  });
+
+  test('rejects bad ids and values', () => {
+    assert.throws(() => circuitMeta.set('abc', { name: 'x' }), /circuit id/);
+    assert.throws(() => circuitMeta.set('1', []), /object/);
+    assert.throws(() => circuitMeta.set('1', { name: 5 }), /name must be a string/);
+    assert.throws(() => circuitMeta.set('1', { room: 'x'.repeat(41) }), /at most 40/);
+    assert.throws(() => circuitMeta.set('1', { category: 'garden' }), /category must be one of/);
+  });
+});
+
+describe('apply', () => {
+  test('adds nickname, room and category and drops stale ones', () => {
+    circuitMeta.set('1', { name: 'Aircon', room: 'Living' });
+    circuitMeta.set('4', { room: 'Bedroom' });
+    const rows = circuitMeta.apply([
+      { id: '1', name: '回路1', kwh: 2 },
+      { id: '2', name: '回路2', kwh: 1, nickname: 'old', category: 'other' },
+    ]);
+    assert.deepEqual(rows, [
+      { id: '1', name: '回路1', kwh: 2, nickname: 'Aircon', room: 'Living' },
+      { id: '2', name: '回路2', kwh: 1 },
+    ]);
+    assert.deepEqual(circuitMeta.names(rows), { 1: 'Aircon', 2: '回路2' });
+    assert.deepEqual(circuitMeta.rooms(), ['Bedroom', 'Living']);
+  });
+
+  test('ignores ids that are Object.prototype keys', () => {
+    assert.deepEqual(circuitMeta.apply([{ id: 'constructor', name: 'x' }]), [{ id: 'constructor', name: 'x' }]);
+    assert.equal(circuitMeta.remove('toString'), false);
+  });
+});
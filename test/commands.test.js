@@ -0,0 +1,67 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { expectation, createTracker } = require('../commands');
+
+const ac      = { type: 'ac', nodeId: '1', eoj: '0x013001' };
+const devices = (running, temp = 22) => ({ acs: [{ nodeId: '1', eoj: '0x013001', running, tempC: temp }] });
+
+describe('expectation', () => {
+  test('matches the state each action asks for', () => {
+    assert.equal(expectation({ action: 'setACPower', value: true }, ac)({ running: true }), true);
+    assert.equal(expectation({ action: 'setACPower', value: true }, ac)({ running: false }), false);
+    assert.equal(expectation({ action: 'toggleAC', state: '0x31' }, ac)({ running: true }), true);
+    assert.equal(expectation({ action: 'toggleAC', state: '0x30' }, ac)({ running: true }), false);
+    assert.equal(expectation({ action: 'setACTemp', value: '25' }, ac)({ temp: 25 }), true);
+
+    const before = { enefarm: { bathRunning: false } };
+    const check  = expectation({ action: 'toggleBath' }, { type: 'bath' }, before);
+    assert.equal(check({ running: false }), false);
+    assert.equal(check({ running: true }), true);
+  });
+});
+
+describe('createTracker', () => {
+  // The tracker's timer is unref'd, so hold the event loop open meanwhile
+  const run = (reads, cmds, timeoutMs) => new Promise(resolve => {
+    const results = [];
+    const keep    = setInterval(() => {}, 1_000);
+    const tracker = createTracker({
+      read:     async () => { const r = reads.shift(); if (r instanceof Error) throw r; return r; },
+      onResult: (cmd, outcome) => { results.push({ id: cmd.id, ...outcome }); if (!tracker.pending()) { clearInterval(keep); resolve(results); } },
+      pollMs:   5,
+      timeoutMs,
+    });
+    for (const c of cmds) tracker.track(c);
+  });
+
+  test('settles commands as success once confirmed, timeout past the deadline', async () => {
+    const results = await run([devices(false), new Error('down'), devices(true, 22)], [
+      { id: 'on',   device: ac, check: expectation({ action: 'setACPower', value: true }, ac) },
+      { id: 'temp', device: ac, check: expectation({ action: 'setACTemp', value: 30 }, ac) },
+    ], 100);
+    assert.equal(results[0].id, 'on');
+    assert.equal(results[0].status, 'success');
+    assert.deepEqual(results[0].state, { running: true, mode: undefined, temp: 22, fan: undefined });
+    assert.equal(results[1].id, 'temp');
+    assert.equal(results[1].status, 'timeout');
+  });
+
+  test('track resolves to the outcome', async () => {
+    const keep    = setInterval(() => {}, 1_000);
+    const tracker = createTracker({ read: async () => devices(true), onResult: () => {}, pollMs: 5 });
+    const outcome = await tracker.track({ id: 'on', device: ac, check: expectation({ action: 'setACPower', value: true }, ac) });
+    clearInterval(keep);
+    assert.equal(outcome.status, 'success');
+  });
+
+  test('fail settles at once', () => {
+    const seen = [];
+    const tracker = createTracker({ read: async () => null, onResult: (cmd, o) => seen.push([cmd.id, o]) });
+    tracker.fail({ id: 'x' }, 'refused');
+    assert.deepEqual(seen, [['x', { status: 'failed', state: null, error: 'refused' }]]);
+    assert.equal(tracker.pending(), 0);
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-devices-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const deviceLog = require('../device-log');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const T   = new Date('2025-06-01T12:00:00').getTime();
+const DAY = 86_400_000;
+
+const devices = (acRunning, bathRunning) => ({
+  acs:     [{ nodeId: '1', eoj: '0x013001', name: 'AC1', nickname: 'Living', running: acRunning, mode: '0x42', tempC: 26, fan: '0x41' }],
+  fhs:     [{ nodeId: '2', eoj: '0x027b01', name: 'FH1', running: false, templevel: '温度レベル：5' }],
+  enefarm: { bathRunning, generateRunning: true },
+});
+
+describe('record', () => {
+  test('logs every device once as a baseline, then only changes', () => {
+    const first = deviceLog.record(devices(false, false), T);
+    assert.deepEqual(first.map(r => r.device.type), ['ac', 'fh', 'bath', 'generate']);
+    assert.deepEqual(first[1], {
+      t: T, device: { type: 'fh', nodeId: '2', eoj: '0x027b01', name: 'FH1' }, state: { running: false, level: 5 },
+    });
+
+    assert.deepEqual(deviceLog.record(devices(false, false), T + 60_000), []);
+
+    const changed = deviceLog.record(devices(true, false), T + 120_000);
+    assert.deepEqual(changed, [{
+      t: T + 120_000,
+      device: { type: 'ac', nodeId: '1', eoj: '0x013001', name: 'Living' },
+      state:  { running: true, mode: '0x42', temp: 26, fan: '0x41' },
+    }]);
+  });
+
+  test('query returns the logged rows in a range, oldest first', () => {
+    const rows = deviceLog.query(T + 1, T + DAY);
+    assert.deepEqual(rows.map(r => r.t), [T + 120_000]);
+    assert.equal(deviceLog.query(T, T + DAY).length, 5);
+  });
+});
+
+describe('prune', () => {
+  test('deletes the day files older than the retention', () => {
+    const now = T + 401 * DAY;
+    deviceLog.record(devices(false, true), now);
+    deviceLog.prune(now);
+    assert.deepEqual(deviceLog.query(T, T + DAY), []);
+    assert.equal(deviceLog.query(now, now).length, 2);
+  });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalize } = require('../device-states');
+
+const ac = fields => normalize({ acs: [{ running: true, ...fields }] }).acs[0];
+
+describe('normalize', () => {
+  test('adds enum and number fields next to the AiSEG2 ones', () => {
+    const d = normalize({
+      acs:     [{ running: true, mode: '0x43', fan: '0x33', inner: '21℃', outer: '-3.5℃', humidity: '45%' }],
+      fhs:     [{ running: false, templevel: '温度レベル：5' }],
+      enefarm: { bathLabel: '自動', bathRunning: true, generateLabel: '発電中', generateRunning: false },
+    });
+    assert.deepEqual(d.acs[0], {
+      running: true, mode: '0x43', fan: '0x33', inner: '21℃', outer: '-3.5℃', humidity: '45%',
+      status: 'running', modeName: 'heat', fanSpeed: 3, innerC: 21, outerC: -3.5, humidityPct: 45,
+    });
+    assert.equal(d.fhs[0].status, 'stopped');
+    assert.equal(d.fhs[0].level, 5);
+    assert.equal(d.enefarm.bathStatus, 'auto');
+    assert.equal(d.enefarm.generateStatus, 'stopped');
+  });
+
+  test('maps unknown modes, fan speeds and readings to null', () => {
+    assert.equal(ac({ mode: '0x40' }).modeName, null);
+    assert.equal(ac({ mode: '冷房' }).modeName, null);
+    assert.equal(ac({ fan: '0x41' }).fanSpeed, 'auto');
+    assert.equal(ac({ fan: '0x39' }).fanSpeed, null);
+    assert.equal(ac({ fan: 'strong' }).fanSpeed, null);
+    assert.equal(ac({ inner: '-' }).innerC, null);
+    assert.equal(ac({}).humidityPct, null);
+    assert.equal(normalize({ fhs: [{ templevel: '切' }] }).fhs[0].level, null);
+  });
+
+  test('reports an Enefarm without a state label as unknown', () => {
+    const { enefarm } = normalize({ enefarm: { bathLabel: '—', bathRunning: false, generateRunning: true } });
+    assert.equal(enefarm.bathStatus, 'unknown');
+    assert.equal(enefarm.generateStatus, 'unknown');
+  });
+
+  test('passes a missing result through and fills missing lists', () => {
+    assert.equal(normalize(null), null);
+    assert.deepEqual(normalize({}), { acs: [], fhs: [], enefarm: undefined });
+  });
+});
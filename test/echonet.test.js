@@ -0,0 +1,93 @@
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const echonet = require('../echonet');
+const { createEchonetBackend } = require('../echonet-backend');
+const { createEchonetSimulator } = require('../echonet-simulator');
+
+let sim, host, client, backend;
+
+before(async () => {
+  sim  = createEchonetSimulator();
+  host = `127.0.0.1:${(await sim.listen(0, '127.0.0.1')).port}`;
+  client  = echonet.createClient({ port: 0, address: '127.0.0.1', timeoutMs: 500 });
+  backend = createEchonetBackend({ client, nodes: [host], multicast: false, discoveryMs: 100 });
+});
+
+after(async () => {
+  client.close();
+  await sim.close();
+});
+
+describe('frames', () => {
+  test('encode and decode round-trip; junk decodes to null', () => {
+    const frame = { tid: 0x1234, seoj: '0x05ff01', deoj: '0x013001', esv: echonet.ESV.SetC, props: [{ epc: 0x80, edt: [0x30] }, { epc: 0xb3, edt: [22] }] };
+    const buf   = echonet.encode(frame);
+    assert.equal(buf.toString('hex'), ['1081', '1234', '05ff01', '013001', '61', '02', '800130', 'b30116'].join(''));
+    const back = echonet.decode(buf);
+    assert.deepEqual({ ...back, props: back.props.map(p => ({ epc: p.epc, edt: [...p.edt] })) }, frame);
+
+    assert.equal(echonet.decode(Buffer.from('hello world!')), null);
+    assert.equal(echonet.decode(buf.subarray(0, buf.length - 1)), null);
+    assert.deepEqual(echonet.parseInstanceList(Buffer.from([2, 0x01, 0x30, 0x01, 0x02, 0x7b, 0x01])), ['0x013001', '0x027b01']);
+  });
+});
+
+describe('client', () => {
+  test('discovers instances, gets and sets properties', async () => {
+    const [node] = await client.discover({ nodes: [host], multicast: false, waitMs: 100 });
+    assert.equal(node.host, host);
+    assert.deepEqual(node.eojs, ['0x013001', '0x013002', '0x027b01', '0x027c01', '0x027201']);
+
+    assert.deepEqual(await client.set(host, '0x013002', { 0xb3: [24] }), { ok: true, rejected: [] });
+    const props = await client.get(host, '0x013002', [0x80, 0xb3, 0xf0]);
+    assert.deepEqual(Object.keys(props).map(Number), [0x80, 0xb3]);   // 0xF0 is unknown: Get_SNA
+    assert.equal(props[0xb3][0], 24);
+
+    assert.deepEqual(await client.set(host, '0x013002', { 0xb3: [24], 0xbb: [30] }), { ok: false, rejected: [0xbb] });
+    await assert.rejects(client.get(host, '0x013009', [0x80]), /no response/);
+  });
+});
+
+describe('backend', () => {
+  test('getDevices has the aiseg2.js shape plus ECHONET-only readings', async () => {
+    const d = await backend.getDevices();
+    assert.equal(d.token, null);
+    assert.deepEqual(d.acs.map(a => a.name), ['エアコン1', 'エアコン2']);
+    assert.deepEqual(d.acs[0], {
+      nodeId: host, eoj: '0x013001', type: '0x33', name: 'エアコン1',
+      state: '0x30', running: true, stateLabel: '運転中', buttonLabel: '停止',
+      inner: '21℃', outer: '8℃', humidity: '45%', mode: '0x43', tempC: 22, fan: '0x41',
+      setHumidity: 50, powerW: 650, energyKwh: 12.345,
+    });
+    assert.equal(d.fhs[0].templevel, '温度レベル：5');
+    assert.equal(d.enefarm.generateRunning, true);
+    assert.equal(d.enefarm.bathRunning, false);
+  });
+
+  test('control calls change the simulated devices', async () => {
+    const fh = (await backend.discoverDevices()).fhs[0];
+
+    assert.deepEqual(await backend.setPower({ type: 'fh', nodeId: fh.nodeId, eoj: fh.eoj }, true),
+      { result: '0', changed: true });
+    assert.deepEqual(await backend.setPower({ type: 'fh', nodeId: fh.nodeId, eoj: fh.eoj }, true),
+      { result: '0', changed: false });
+    assert.deepEqual(await backend.setFHLevel(fh.nodeId, fh.eoj, '0x30', 7), { result: '0' });
+    assert.deepEqual(sim.state['0x027b01'][0xe1], [0x37]);
+
+    assert.deepEqual(await backend.setACSettings(host, '0x013001', 1, '0x42'), { result: '0' });
+    assert.deepEqual(await backend.setACSettings(host, '0x013001', 2, 99), { result: '1' });   // refused by the device
+    assert.deepEqual(await backend.controlAC(host, '0x013001', '0x30'), { result: '0' });
+    assert.deepEqual(sim.state['0x013001'][0x80], [0x31]);
+
+    await backend.controlGenerate();
+    await backend.setPower({ type: 'bath' }, true);
+    const d = await backend.getDevices();
+    assert.equal(d.enefarm.generateRunning, false);
+    assert.equal(d.enefarm.bathRunning, true);
+    assert.equal(d.acs[0].mode, '0x42');
+    assert.equal(d.acs[0].powerW, 0);
+  });
+});
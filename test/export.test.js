@@ -0,0 +1,84 @@
+'use strict';
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-export-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const history        = require('../history');
+const archive        = require('../archive');
+const circuitHistory = require('../circuit-history');
+const deviceLog      = require('../device-log');
+const exporter       = require('../export');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const at = (day, hhmm = '00:00') => new Date(`${day}T${hhmm}:00`).getTime();
+
+describe('range', () => {
+  test('days run from their start through their end; bad ranges throw', () => {
+    assert.deepEqual(exporter.range({ from: '2025-06-01', to: '2025-06-02' }),
+      { from: at('2025-06-01'), to: at('2025-06-03') - 1 });
+    assert.deepEqual(exporter.range({}, 1_000_000_000), { from: 1_000_000_000 - 7 * 86_400_000, to: 1_000_000_000 });
+    assert.throws(() => exporter.range({ from: '2025-06-03', to: '2025-06-01' }), /from\/to/);
+    assert.throws(() => exporter.range({ from: 'soon' }), /from\/to/);
+  });
+});
+
+describe('build', () => {
+  test('realtime and totals as CSV', () => {
+    history.record({ gen_kw: 2.5, use_kw: 1, solar_w: 2500, enefarm_w: 0, selling: true, battery_pct: null }, at('2025-06-01', '12:00'));
+    archive.snapshot({ solar: 12.3, consumption: 8, purchase: 2, sold: 6.3 }, '2025-06-01');
+
+    const rt = exporter.build({ dataset: 'realtime', from: '2025-06-01', to: '2025-06-01', resolution: 'raw' });
+    assert.equal(rt.type, 'text/csv; charset=utf-8');
+    assert.equal(rt.filename, 'aiseg2-realtime-2025-06-01_2025-06-01.csv');
+    assert.equal(rt.body, '\uFEFFtime,t,gen_kw,use_kw,solar_w,enefarm_w,selling,battery_pct,n\r\n' +
+      `2025-06-01 12:00:00,${at('2025-06-01', '12:00')},2.5,1,2500,0,true,,\r\n`);
+
+    const totals = exporter.build({ dataset: 'totals', format: 'ndjson', from: '2025-06-01', to: '2025-06-30' });
+    assert.equal(totals.body, '{"date":"2025-06-01","solar":12.3,"consumption":8,"purchase":2,"sold":6.3}\n');
+  });
+
+  test('circuits per day and per hour, with names quoted where needed', () => {
+    circuitHistory.record([{ id: '1', kwh: 0.5 }, { id: '2', kwh: 1 }], at('2025-06-02', '00:30'));
+    circuitHistory.record([{ id: '1', kwh: 1.25 }, { id: '2', kwh: 1 }], at('2025-06-02', '01:30'));
+    const names = { circuitNames: { 1: 'リビング, 照明', 2: 'エコキュート' } };
+
+    const day = exporter.build({ dataset: 'circuits', from: '2025-06-02', to: '2025-06-02' }, names);
+    assert.equal(day.body.split('\r\n')[1], '2025-06-02,,,1,"リビング, 照明",1.25');
+
+    const hour = exporter.build({ dataset: 'circuits', format: 'ndjson', resolution: 'hour', from: '2025-06-02', to: '2025-06-02' }, names);
+    const rows = hour.body.trim().split('\n').map(JSON.parse);
+    assert.deepEqual(rows.filter(r => r.id === '1').map(r => [r.time, r.kwh]),
+      [['2025-06-02 00:00:00', 0.5], ['2025-06-02 01:00:00', 0.75]]);
+
+    assert.throws(() => exporter.build({ dataset: 'circuits', resolution: 'week' }), /day or hour/);
+  });
+
+  test('device states are logged on change only', () => {
+    const devices = running => ({
+      acs:     [{ nodeId: '1', eoj: '0x013001', name: 'エアコンA', nickname: 'リビング', running, mode: '0x43', tempC: 22, fan: '0x41' }],
+      fhs:     [],
+      enefarm: { bathRunning: false, generateRunning: true },
+    });
+    assert.equal(deviceLog.record(devices(false), at('2025-06-03', '07:00')).length, 3);
+    assert.equal(deviceLog.record(devices(false), at('2025-06-03', '07:01')).length, 0);
+    assert.equal(deviceLog.record(devices(true), at('2025-06-03', '07:02')).length, 1);
+
+    const { body } = exporter.build({ dataset: 'devices', format: 'ndjson', from: '2025-06-03', to: '2025-06-03' });
+    const rows = body.trim().split('\n').map(JSON.parse);
+    assert.deepEqual(rows.map(r => [r.type, r.running]), [['ac', false], ['bath', false], ['generate', true], ['ac', true]]);
+    assert.equal(rows[3].name, 'リビング');
+    assert.equal(rows[3].temp, 22);
+  });
+
+  test('rejects unknown datasets and formats', () => {
+    assert.throws(() => exporter.build({ dataset: 'toString' }), /dataset/);
+    assert.throws(() => exporter.build({ dataset: 'totals', format: 'xlsx' }), /format/);
+  });
+});
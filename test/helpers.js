@@ -0,0 +1,55 @@
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * A fresh aiseg2 module (its token and device caches are module state).
+ */
+function loadAiseg2() {
+  delete require.cache[require.resolve('../aiseg2')];
+  return require('../aiseg2');
+}
+
+/**
+ * Replace global fetch with `handler(call)`, where call is
+ * { url, path, pathname, method, headers, body }. The handler returns a
+ * Response, a string (HTML) or an object (JSON). Every call is recorded.
+ */
+function mockFetch(handler) {
+  const original = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (url, opts = {}) => {
+    const u = new URL(url);
+    const call = {
+      url,
+      path:     u.pathname + u.search,
+      pathname: u.pathname,
+      method:   opts.method || 'GET',
+      headers:  opts.headers || {},
+      body:     opts.body,
+    };
+    calls.push(call);
+    const out = await handler(call);
+    if (out instanceof Response) return out;
+    if (typeof out === 'string') return new Response(out, { headers: { 'Content-Type': 'text/html' } });
+    return Response.json(out ?? {});
+  };
+  return {
+    calls,
+    restore() { globalThis.fetch = original; },
+  };
+}
+
+/**
+ * Decode the data=JSON form body devicePost() sends.
+ */
+function formData(body) {
+  return JSON.parse(new URLSearchParams(body).get('data'));
+}
+
+module.exports = { fixture, loadAiseg2, mockFetch, formData };
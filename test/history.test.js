@@ -0,0 +1,92 @@
+'use strict';
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-history-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const history = require('../history');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Local-time timestamp on `day` at hh:mm:ss
+const at = (day, hhmmss) => new Date(`${day}T${hhmmss}`).getTime();
+const sample = (gen_kw, use_kw, selling) => ({ gen_kw, use_kw, solar_w: gen_kw * 1000, enefarm_w: 0, selling, battery_pct: null });
+const DAY = 86_400_000;
+
+// Every test uses its own day: the open rollup buckets are module state
+describe('rollups', () => {
+  test('averages each closed 1-minute bucket and keeps raw samples as recorded', () => {
+    const day = '2025-06-01';
+    history.record(sample(2, 1, true),  at(day, '10:00:00'));
+    history.record(sample(4, 1, false), at(day, '10:00:30'));
+    history.record(sample(1, 1, false), at(day, '10:01:00'));   // closes 10:00
+
+    const now = at(day, '12:00:00');
+    const raw = history.query({ from: at(day, '10:00:00'), to: at(day, '10:00:59'), resolution: 'raw', now });
+    assert.deepEqual(raw.samples.map(s => s.gen_kw), [2, 4]);
+
+    const { samples } = history.query({ from: at(day, '10:00:00'), to: at(day, '10:00:59'), resolution: '1m', now });
+    assert.deepEqual(samples, [{
+      t: at(day, '10:00:00'), n: 2, gen_kw: 3, use_kw: 1, solar_w: 3000, enefarm_w: 0, selling: 0.5, battery_pct: null,
+    }]);
+  });
+
+  test('includes the open bucket before it is written', () => {
+    const day = '2025-06-02';
+    history.record(sample(1, 0.5, true), at(day, '09:00:10'));
+    history.record(sample(3, 0.5, true), at(day, '09:00:20'));
+    const { samples } = history.query({
+      from: at(day, '09:00:00'), to: at(day, '09:59:59'), resolution: '1m', now: at(day, '12:00:00'),
+    });
+    assert.equal(samples.length, 1);
+    assert.equal(samples[0].n, 2);
+    assert.equal(samples[0].gen_kw, 2);
+    assert.equal(samples[0].selling, 1);
+  });
+});
+
+describe('query', () => {
+  test('picks the resolution from the span', () => {
+    const now = at('2025-06-10', '12:00:00');
+    const res = hours => history.query({ from: now - hours * 3_600_000, to: now, now }).resolution;
+    assert.equal(res(6), 'raw');
+    assert.equal(res(7), '1m');
+    assert.equal(res(72), '1m');
+    assert.equal(res(73), '15m');
+  });
+
+  test('clamps the range to the longest retention and to now', () => {
+    const now  = at('2025-06-10', '12:00:00');
+    const keep = Math.max(...Object.values(history.RESOLUTIONS).map(r => r.keepDays)) * DAY;
+    const q = history.query({ from: 0, to: now + DAY, resolution: '15m', now });
+    assert.equal(q.from, now - keep);
+    assert.equal(q.to, now);
+  });
+
+  test('rejects an unknown resolution', () => {
+    assert.throws(() => history.query({ from: 0, to: 1, resolution: '5m' }), /unknown resolution/);
+  });
+});
+
+describe('prune', () => {
+  test('deletes only the day files older than each retention', () => {
+    const now  = at('2025-09-01', '12:00:00');
+    const days = n => history.dayKey(now - n * DAY);
+    const files = res => fs.readdirSync(path.join(dataDir, 'history', res));
+    const { raw } = history.RESOLUTIONS;
+
+    history.record(sample(1, 1, false), now - (raw.keepDays + 1) * DAY);
+    history.record(sample(1, 1, false), now - raw.keepDays * DAY);
+    history.prune(now);
+
+    assert.ok(!files('raw').includes(`${days(raw.keepDays + 1)}.ndjson`));
+    assert.ok(files('raw').includes(`${days(raw.keepDays)}.ndjson`));
+    // Still within the 1m retention
+    assert.ok(files('1m').includes(`${days(raw.keepDays + 1)}.ndjson`));
+  });
+});
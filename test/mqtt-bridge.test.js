@@ -0,0 +1,118 @@
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net    = require('net');
+const mqtt   = require('mqtt');
+const aedes  = require('aedes');
+const { createMqttBridge } = require('../mqtt-bridge');
+
+const AC = {
+  nodeId: '1073741827', eoj: '0x013001', name: 'エアコンA', nickname: null,
+  state: '0x31', running: false, mode: '0x42', tempC: 26, fan: '0x41',
+  inner: '25℃', outer: '31℃', humidity: '55%',
+};
+const FH = { nodeId: '1073741830', eoj: '0x027b01', name: '床暖房A', state: '0x30', running: true, templevel: '温度レベル：5' };
+
+let broker, tcp, url, bridge, watcher;
+const commands = [];
+const seen = new Map();   // topic → last payload
+
+before(async () => {
+  broker = aedes();
+  tcp = net.createServer(broker.handle);
+  await new Promise(r => tcp.listen(0, '127.0.0.1', r));
+  url = `mqtt://127.0.0.1:${tcp.address().port}`;
+
+  bridge = createMqttBridge({ url, onCommand: async body => { commands.push(body); } });
+  bridge.publish('devices', { acs: [AC], fhs: [FH], enefarm: { bathRunning: false, generateRunning: true } });
+  bridge.publish('realtime', { gen_kw: 2.5, use_kw: 1, selling: true, raw: { big: true } });
+  bridge.publish('circuits', [{ id: '1', name: 'エアコンA', kwh: 1.2 }]);
+
+  watcher = mqtt.connect(url);
+  watcher.on('message', (topic, msg) => seen.set(topic, msg.toString()));
+  await new Promise(r => watcher.on('connect', r));
+  await watcher.subscribeAsync(['aiseg2/#', 'homeassistant/#']);
+  await waitFor(() => seen.has('aiseg2/enefarm/state'));
+});
+
+after(async () => {
+  await bridge.close();
+  await watcher.endAsync();
+  await new Promise(r => broker.close(r));
+  await new Promise(r => tcp.close(r));
+});
+
+async function waitFor(fn, ms = 2_000) {
+  const end = Date.now() + ms;
+  while (!fn()) {
+    if (Date.now() > end) throw new Error('timed out');
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+const key = d => `${d.nodeId}_${d.eoj}`;
+
+describe('publishing', () => {
+  test('retains status, state and discovery messages', () => {
+    assert.equal(seen.get('aiseg2/status'), 'online');
+
+    const rt = JSON.parse(seen.get('aiseg2/realtime'));
+    assert.equal(rt.gen_kw, 2.5);
+    assert.equal('raw' in rt, false);
+
+    assert.equal(seen.get('aiseg2/circuit/1'), '1.2');
+    assert.deepEqual(JSON.parse(seen.get(`aiseg2/ac/${key(AC)}/state`)), {
+      power: 'OFF', mode: 'off', temperature: 26, fan: 'auto',
+      current_temperature: 25, outdoor_temperature: 31, humidity: 55,
+    });
+    assert.deepEqual(JSON.parse(seen.get(`aiseg2/fh/${key(FH)}/state`)), { power: 'ON', level: 5 });
+    assert.deepEqual(JSON.parse(seen.get('aiseg2/enefarm/state')), { bath: 'OFF', generate: 'ON' });
+  });
+
+  test('announces Home Assistant entities', () => {
+    const climate = JSON.parse(seen.get(`homeassistant/climate/aiseg2/ac_${key(AC)}/config`));
+    assert.equal(climate.name, 'エアコンA');
+    assert.equal(climate.mode_command_topic, `aiseg2/ac/${key(AC)}/mode/set`);
+    assert.equal(climate.availability_topic, 'aiseg2/status');
+
+    assert.ok(seen.has('homeassistant/sensor/aiseg2/consumption/config'));
+    assert.ok(seen.has('homeassistant/sensor/aiseg2/circuit_1/config'));
+    assert.ok(seen.has(`homeassistant/number/aiseg2/fh_${key(FH)}_level/config`));
+    assert.ok(seen.has('homeassistant/switch/aiseg2/enefarm_bath/config'));
+  });
+});
+
+describe('commands', () => {
+  async function command(topic, payload, count) {
+    commands.length = 0;
+    await watcher.publishAsync(topic, payload);
+    await waitFor(() => commands.length >= count);
+    await new Promise(r => setTimeout(r, 50));   // catch any extra commands
+    return [...commands];
+  }
+
+  test('climate mode powers the AC on before setting the mode', async () => {
+    assert.deepEqual(await command(`aiseg2/ac/${key(AC)}/mode/set`, 'heat', 2), [
+      { action: 'setACPower', nodeId: AC.nodeId, eoj: AC.eoj, value: true },
+      { action: 'setACMode', nodeId: AC.nodeId, eoj: AC.eoj, value: '0x43' },
+    ]);
+  });
+
+  test('temperature is clamped to the AC range', async () => {
+    assert.deepEqual(await command(`aiseg2/ac/${key(AC)}/temperature/set`, '35.0', 1),
+      [{ action: 'setACTemp', nodeId: AC.nodeId, eoj: AC.eoj, value: 30 }]);
+  });
+
+  test('floor heating level and power', async () => {
+    assert.deepEqual(await command(`aiseg2/fh/${key(FH)}/level/set`, '7', 1),
+      [{ action: 'setFHLevel', nodeId: FH.nodeId, eoj: FH.eoj, state: '0x30', value: 7 }]);
+    assert.deepEqual(await command(`aiseg2/fh/${key(FH)}/power/set`, 'OFF', 1),
+      [{ action: 'setFHPower', nodeId: FH.nodeId, eoj: FH.eoj, value: false }]);
+  });
+
+  test('switches only act when the state differs', async () => {
+    assert.deepEqual(await command('aiseg2/enefarm/generate/set', 'ON', 0), []);
+    assert.deepEqual(await command('aiseg2/enefarm/bath/set', 'ON', 1), [{ action: 'setBathPower', value: true }]);
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createQueue, singleFlight } = require('../request-queue');
+
+// A job that finishes when its release() is called
+function gate() {
+  let release;
+  const done = new Promise(r => { release = r; });
+  return { done, release };
+}
+
+describe('createQueue', () => {
+  test('caps concurrency and starts the most urgent waiting job first', async () => {
+    const queue   = createQueue({ concurrency: 2 });
+    const started = [];
+    const gates   = {};
+    const job = (name, priority) => queue.run(() => {
+      started.push(name);
+      gates[name] = gate();
+      return gates[name].done.then(() => name);
+    }, priority);
+
+    const runs = [job('bulk1', 'bulk'), job('bulk2', 'bulk'), job('bulk3', 'bulk'), job('devices', 'devices'), job('control', 'control')];
+    await new Promise(setImmediate);
+    assert.deepEqual(started, ['bulk1', 'bulk2']);
+    assert.deepEqual(queue.stats(), { concurrency: 2, active: 2, waiting: { control: 1, realtime: 0, devices: 1, bulk: 1 } });
+
+    gates.bulk1.release();
+    await new Promise(setImmediate);
+    assert.deepEqual(started, ['bulk1', 'bulk2', 'control']);
+    gates.bulk2.release();
+    gates.control.release();
+    await new Promise(setImmediate);
+    assert.deepEqual(started, ['bulk1', 'bulk2', 'control', 'devices', 'bulk3']);
+
+    gates.devices.release();
+    gates.bulk3.release();
+    assert.deepEqual(await Promise.all(runs), ['bulk1', 'bulk2', 'bulk3', 'devices', 'control']);
+    assert.equal(queue.stats().active, 0);
+  });
+
+  test('a failing job frees its slot and rejects only its own caller', async () => {
+    const queue = createQueue({ concurrency: 1 });
+    const failed = queue.run(async () => { throw new Error('down'); });
+    const next   = queue.run(async () => 'ok');
+    await assert.rejects(failed, /down/);
+    assert.equal(await next, 'ok');
+    await assert.rejects(queue.run(async () => {}, 'urgent'), /unknown priority/);
+  });
+});
+
+describe('singleFlight', () => {
+  test('concurrent calls with the same key share one call', async () => {
+    let calls = 0;
+    const g   = gate();
+    const get = singleFlight(async id => { calls++; await g.done; return `${id}:${calls}`; }, id => id);
+    const [a, b, c] = [get('x'), get('x'), get('y')];
+    assert.equal(a, b);
+    g.release();
+    assert.deepEqual(await Promise.all([a, b, c]), ['x:2', 'x:2', 'y:2']);
+    assert.equal(calls, 2);
+    assert.equal(await get('x'), 'x:3');   // settled calls are not reused
+  });
+});
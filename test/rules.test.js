@@ -0,0 +1,116 @@
+'use strict';
+
+const { test, describe, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-rules-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const rules = require('../rules');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Fake devices: applying a target flips `running` and reports the old value
+let running, failing;
+const applied = [];
+rules.start(async target => {
+  const key = target.device.type;
+  if (key === failing) throw new Error(`${key} not responding`);
+  const was = running[key];
+  running[key] = target.power;
+  applied.push({ type: key, power: target.power });
+  return was;
+});
+
+const RULE = {
+  name:    'Surplus heating',
+  on:      { metric: 'surplus_kw', op: '>', value: 1.5, minutes: 10 },
+  off:     { metric: 'import_kw',  op: '>', value: 0.5, minutes: 5 },
+  actions: [
+    { device: { type: 'bath' }, power: true },
+    { device: { type: 'generate' }, power: true },
+  ],
+};
+
+const selling = kw => ({ gen_kw: 3, use_kw: 3 - kw, selling: true });
+const buying  = kw => ({ gen_kw: 0, use_kw: kw, selling: false });
+const MIN = 60_000;
+
+// Feed the same sample every 5s from `from` for `minutes`
+async function feed(sample, from, minutes) {
+  for (let t = from; t <= from + minutes * MIN; t += 5_000) await rules.evaluate(sample, t);
+  return from + minutes * MIN;
+}
+
+beforeEach(() => {
+  for (const r of rules.list()) rules.remove(r.id);
+  running = { bath: false, generate: true };
+  failing = null;
+  applied.length = 0;
+});
+
+describe('validation', () => {
+  test('rejects malformed rules', () => {
+    assert.throws(() => rules.create({ ...RULE, on: { ...RULE.on, metric: 'nope' } }), /on\.metric/);
+    assert.throws(() => rules.create({ ...RULE, off: { ...RULE.off, op: '=' } }), /off\.op/);
+    assert.throws(() => rules.create({ ...RULE, actions: [] }), /actions/);
+    assert.throws(() => rules.create({ ...RULE, actions: [{ device: { type: 'bath' } }] }), /power/);
+  });
+});
+
+describe('evaluate', () => {
+  test('fires only after the condition held for its duration', async () => {
+    rules.create(RULE);
+    let t = await feed(selling(2), 0, 9.9);
+    assert.deepEqual(applied, []);
+    t = await feed(selling(2), t + 5_000, 0.1);
+    assert.deepEqual(applied, [{ type: 'bath', power: true }, { type: 'generate', power: true }]);
+    assert.equal(rules.list()[0].active, true);
+  });
+
+  test('a break in the condition restarts the hold timer', async () => {
+    rules.create(RULE);
+    let t = await feed(selling(2), 0, 8);
+    t = await feed(selling(1), t + 5_000, 0);    // below threshold once
+    await feed(selling(2), t + 5_000, 8);
+    assert.deepEqual(applied, []);
+  });
+
+  test('hysteresis: reverts only what it switched, on the off condition', async () => {
+    rules.create(RULE);
+    let t = await feed(selling(2), 0, 10);
+    applied.length = 0;
+
+    // Small imports stay inside the band and change nothing
+    t = await feed(buying(0.3), t + 5_000, 30);
+    assert.deepEqual(applied, []);
+
+    await feed(buying(0.8), t + 5_000, 5);
+    assert.deepEqual(applied, [{ type: 'bath', power: false }]);   // generate was already on
+    assert.equal(rules.list()[0].active, false);
+  });
+
+  test('a failed action still reverts the devices switched before it', async () => {
+    const r = rules.create(RULE);
+    failing = 'generate';
+    let t = await feed(selling(2), 0, 10);
+    assert.equal(rules.list()[0].active, true);
+    assert.match(rules.log({ id: r.id })[0].status, /generate not responding/);
+
+    applied.length = 0;
+    await feed(buying(0.8), t + 5_000, 5);
+    assert.deepEqual(applied, [{ type: 'bath', power: false }]);
+  });
+
+  test('logs every firing', async () => {
+    const r = rules.create(RULE);
+    await feed(selling(2), 0, 10);
+    const [entry] = rules.log({ id: r.id });
+    assert.equal(entry.phase, 'on');
+    assert.equal(entry.status, 'ok');
+    assert.equal(entry.metric, 'surplus_kw');
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const { test, describe, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-sched-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const scheduler = require('../scheduler');
+const { controlBodies } = require('../targets');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const AC = { nodeId: '1', eoj: '0x013001', state: '0x31', running: false };
+const FH = { nodeId: '2', eoj: '0x027b01', state: '0x30', running: true };
+const DEVICES = { acs: [AC], fhs: [FH], enefarm: { bathRunning: false, generateRunning: true } };
+
+const weekly = (time, extra) => ({
+  repeat: 'weekly', days: [0, 1, 2, 3, 4, 5, 6], time,
+  device: { type: 'ac', nodeId: AC.nodeId, eoj: AC.eoj }, power: true, ...extra,
+});
+
+// Local-time timestamp `days` after today at hh:mm
+function at(hhmm, days = 0) {
+  const [h, m] = hhmm.split(':').map(Number);
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  d.setHours(h, m, 0, 0);
+  return d.getTime();
+}
+
+const runs = [];
+scheduler.start(async s => { runs.push(s.id); });
+scheduler.stop();
+
+beforeEach(() => {
+  for (const s of scheduler.list()) scheduler.remove(s.id);
+  runs.length = 0;
+});
+
+describe('validation', () => {
+  test('rejects malformed schedules', () => {
+    assert.throws(() => scheduler.create(weekly('25:00')), /HH:MM/);
+    assert.throws(() => scheduler.create(weekly('06:30', { days: [] })), /days/);
+    assert.throws(() => scheduler.create(weekly('06:30', { temp: 40 })), /temp/);
+    assert.throws(() => scheduler.create({ ...weekly('06:30'), repeat: 'daily' }), /repeat/);
+    assert.throws(() => scheduler.create({ ...weekly('06:30'), device: { type: 'ac' } }), /nodeId/);
+    assert.throws(() => scheduler.create({ ...weekly(), repeat: 'once', at: Date.now() - 60_000 }), /future/);
+  });
+
+  test('persists to schedules.json and reports the next run', () => {
+    const s = scheduler.create(weekly('06:30', { days: [1, 1, 5], mode: '0x43', temp: 22 }));
+    assert.deepEqual(s.days, [1, 5]);
+    assert.ok(s.next > Date.now());
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dataDir, 'schedules.json'), 'utf8'))[0].id, s.id);
+  });
+});
+
+describe('controlBodies', () => {
+  test('powers on and applies settings', () => {
+    const s = scheduler.create(weekly('06:30', { mode: '0x43', temp: 22 }));
+    assert.deepEqual(controlBodies(s, DEVICES), [
+      { action: 'setACPower', nodeId: AC.nodeId, eoj: AC.eoj, value: true },
+      { action: 'setACMode', nodeId: AC.nodeId, eoj: AC.eoj, value: '0x43' },
+      { action: 'setACTemp', nodeId: AC.nodeId, eoj: AC.eoj, value: 22 },
+    ]);
+  });
+
+  test('only switches when the device is not already in the wanted state', () => {
+    const off = scheduler.create({ ...weekly('23:00'), device: { type: 'fh', ...FH }, power: false });
+    assert.deepEqual(controlBodies(off, DEVICES),
+      [{ action: 'setFHPower', nodeId: FH.nodeId, eoj: FH.eoj, value: false }]);
+
+    const gen = scheduler.create({ ...weekly('23:00'), device: { type: 'generate' } });
+    assert.deepEqual(controlBodies(gen, DEVICES), []);
+  });
+});
+
+describe('tick and catch-up', () => {
+  test('runs a due schedule once', async () => {
+    const s = scheduler.create(weekly('06:30'));
+    const due = at('06:30', 1);
+
+    await scheduler.tick(due - 1_000);
+    assert.deepEqual(runs, []);
+    await scheduler.tick(due + 20_000);
+    await scheduler.tick(due + 50_000);
+    assert.deepEqual(runs, [s.id]);
+    assert.equal(scheduler.get(s.id).lastStatus, 'ok');
+    assert.equal(scheduler.get(s.id).lastRun, due);
+  });
+
+  test('catches up within the grace period, skips older misses', async () => {
+    const late   = scheduler.create(weekly('06:30'));
+    const missed = scheduler.create(weekly('05:00'));
+    const now    = at('06:30', 1) + scheduler.GRACE_MS - 60_000;
+
+    await scheduler.tick(now);
+    assert.deepEqual(runs, [late.id]);
+    assert.equal(scheduler.get(missed.id).lastStatus, 'missed');
+  });
+
+  test('one-off timers disable themselves', async () => {
+    const s = scheduler.create({ ...weekly(), repeat: 'once', at: at('23:00', 1) });
+    await scheduler.tick(at('23:00', 1) + 1_000);
+    assert.deepEqual(runs, [s.id]);
+    assert.equal(scheduler.get(s.id).enabled, false);
+    assert.equal(scheduler.get(s.id).next, null);
+  });
+
+  test('records execution errors', async () => {
+    scheduler.start(async () => { throw new Error('AiSEG2 down'); });
+    scheduler.stop();
+    const s = scheduler.create(weekly('06:30'));
+    await scheduler.tick(at('06:30', 1));
+    assert.equal(scheduler.get(s.id).lastStatus, 'error: AiSEG2 down');
+    scheduler.start(async x => { runs.push(x.id); });
+    scheduler.stop();
+  });
+});
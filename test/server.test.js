@@ -0,0 +1,457 @@
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { createSimulator } = require('../simulator');
+
+// The server reads its upstream and data locations at require time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-test-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+process.env.NICKNAMES_FILE  = path.join(dataDir, 'nicknames.json');
+
+let sim, base, server;
+
+before(async () => {
+  sim = createSimulator();
+  await new Promise(r => sim.listen(0, '127.0.0.1', r));
+  process.env.AISEG2_URL = `http://127.0.0.1:${sim.address().port}`;
+
+  ({ server } = require('../server'));
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(r => server.close(r));
+  await new Promise(r => sim.close(r));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const get  = p => fetch(base + p);
+const post = (p, body) => fetch(base + p, {
+  method:  'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body:    JSON.stringify(body),
+});
+
+describe('energy routes', () => {
+  test('GET /api/realtime', async () => {
+    const r = await get('/api/realtime');
+    assert.equal(r.status, 200);
+    const d = await r.json();
+    assert.equal(typeof d.gen_kw, 'number');
+    assert.equal(typeof d.selling, 'boolean');
+    assert.equal(d.top.length, 3);
+  });
+
+  test('GET /api/totals archives today', async () => {
+    const d = await (await get('/api/totals')).json();
+    assert.deepEqual(Object.keys(d), ['solar', 'consumption', 'purchase', 'sold']);
+
+    const daily = await (await get('/api/totals/daily')).json();
+    assert.equal(daily.length, 1);
+    assert.equal(daily[0].consumption, d.consumption);
+
+    const [month] = await (await get('/api/totals/monthly')).json();
+    assert.equal(month.days, 1);
+    const [year] = await (await get('/api/totals/yearly')).json();
+    assert.equal(year.period, daily[0].date.slice(0, 4));
+  });
+
+  test('GET /api/history returns recorded samples', async () => {
+    await get('/api/realtime');
+    const d = await (await get('/api/history?resolution=raw')).json();
+    assert.equal(d.resolution, 'raw');
+    assert.ok(d.samples.length >= 1);
+    assert.ok('use_kw' in d.samples[0]);
+  });
+
+  test('GET /api/history rejects bad ranges', async () => {
+    assert.equal((await get('/api/history?from=2025-02-01&to=2025-01-01')).status, 400);
+    assert.equal((await get('/api/history?resolution=5s')).status, 400);
+
+    // Ranges are clamped to the retention and to now
+    const d = await (await get('/api/history?from=0&to=8000000000000000')).json();
+    assert.ok(d.to <= Date.now());
+    assert.ok(d.from > Date.now() - 900 * 86_400_000);
+  });
+});
+
+describe('circuit routes', () => {
+  test('GET /api/circuits lists every circuit with kWh', async () => {
+    const d = await (await get('/api/circuits')).json();
+    assert.equal(d.length, 38);
+    assert.equal(typeof d[0].kwh, 'number');
+  });
+
+  test('GET /api/circuits/:id/history', async () => {
+    const d = await (await get('/api/circuits/1/history')).json();
+    assert.equal(d.name, 'エアコンA');
+    assert.equal(d.samples.length, 1);
+    assert.ok(Array.isArray(d.hourly));
+  });
+
+  test('GET /api/circuits/trends', async () => {
+    assert.ok(Array.isArray(await (await get('/api/circuits/trends')).json()));
+  });
+
+  test('circuit names, rooms and categories', async () => {
+    const put = (id, body) => fetch(`${base}/api/circuits/meta/${id}`, {
+      method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+    });
+    assert.deepEqual(await (await put('2', { name: ' キッチンIH ', room: 'キッチン', category: 'kitchen' })).json(),
+      { id: '2', name: 'キッチンIH', room: 'キッチン', category: 'kitchen' });
+    assert.deepEqual(await (await put('2', { room: '' })).json(), { id: '2', name: 'キッチンIH', category: 'kitchen' });
+    assert.equal((await put('2', { category: 'garage' })).status, 400);
+    assert.equal((await put('99', { name: 'x' })).status, 404);
+
+    const meta = await (await get('/api/circuits/meta')).json();
+    assert.ok(meta.categories.includes('always-on'));
+    assert.deepEqual(meta.circuits, { 2: { name: 'キッチンIH', category: 'kitchen' } });
+
+    const c = (await (await get('/api/circuits')).json()).find(x => x.id === '2');
+    assert.equal(c.nickname, 'キッチンIH');
+    assert.equal(c.category, 'kitchen');
+    assert.equal((await (await get('/api/circuits/2/history')).json()).name, 'キッチンIH');
+
+    assert.equal((await fetch(`${base}/api/circuits/meta/2`, { method: 'DELETE' })).status, 204);
+    assert.equal((await fetch(`${base}/api/circuits/meta/2`, { method: 'DELETE' })).status, 404);
+    assert.equal((await (await get('/api/circuits')).json()).find(x => x.id === '2').nickname, undefined);
+  });
+});
+
+describe('device routes', () => {
+  test('GET /api/devices', async () => {
+    const d = await (await get('/api/devices')).json();
+    assert.equal(d.acs.length, 3);
+    assert.equal(d.fhs.length, 2);
+    assert.equal(d.enefarm.generateRunning, true);
+  });
+
+  test('GET /api/devices adds language-neutral states', async () => {
+    const d = await (await get('/api/devices')).json();
+    const ac = d.acs.find(a => a.name === 'エアコンB');
+    assert.deepEqual(
+      { status: ac.status, modeName: ac.modeName, fanSpeed: ac.fanSpeed, innerC: ac.innerC, humidityPct: ac.humidityPct },
+      { status: 'running', modeName: 'heat', fanSpeed: 3, innerC: 22, humidityPct: 42 });
+    assert.equal(d.acs.find(a => a.name === 'エアコンC').fanSpeed, 'auto');
+    assert.deepEqual(d.fhs.map(f => [f.status, f.level]), [['stopped', 5], ['running', 3]]);
+    assert.equal(d.enefarm.generateStatus, 'generating');
+    assert.equal(d.enefarm.bathStatus, 'stopped');
+  });
+
+  test('POST /api/devices/control toggles an AC', async () => {
+    const ac = sim.state.acs[0];
+    const r = await post('/api/devices/control',
+      { action: 'toggleAC', nodeId: ac.nodeId, eoj: ac.eoj, state: ac.on ? '0x30' : '0x31' });
+    assert.equal(r.status, 200);
+    const res = await r.json();
+    assert.equal(res.result, '0');
+    assert.match(res.commandId, /^[0-9a-f]{12}$/);
+    assert.equal(ac.on, true);
+  });
+
+  test('confirms a command over WebSocket once the device state shows it', async () => {
+    const { WebSocket } = require('ws');
+    const ws = new WebSocket(`${base.replace('http', 'ws')}/ws`);
+    await new Promise(r => ws.on('open', r));
+    const results = [];
+    ws.on('message', m => { const msg = JSON.parse(m); if (msg.type === 'command-result') results.push(msg.data); });
+
+    const ac = sim.state.acs[1];
+    const { commandId } = await (await post('/api/devices/control',
+      { action: 'setACMode', nodeId: ac.nodeId, eoj: ac.eoj, value: '0x44' })).json();
+    for (let i = 0; i < 50 && !results.some(x => x.id === commandId); i++) await new Promise(r => setTimeout(r, 100));
+    ws.close();
+
+    const result = results.find(x => x.id === commandId);
+    assert.equal(result.status, 'success');
+    assert.equal(result.action, 'setACMode');
+    assert.equal(result.state.mode, '0x44');
+  });
+
+  test('GET /api/commands/:id reports the outcome without a WebSocket', async () => {
+    const ac = sim.state.acs[1];
+    const { commandId } = await (await post('/api/devices/control',
+      { action: 'setACMode', nodeId: ac.nodeId, eoj: ac.eoj, value: '0x42' })).json();
+    let result;
+    for (let i = 0; i < 50; i++) {
+      result = await (await get(`/api/commands/${commandId}`)).json();
+      if (result.status !== 'pending') break;
+      await new Promise(r => setTimeout(r, 100));
+    }
+    assert.equal(result.status, 'success');
+    assert.equal(result.state.mode, '0x42');
+    assert.equal((await get('/api/commands/nope')).status, 404);
+  });
+
+  test('POST /api/devices/control sets the AC temperature', async () => {
+    const ac = sim.state.acs[1];
+    await post('/api/devices/control', { action: 'setACTemp', nodeId: ac.nodeId, eoj: ac.eoj, value: 19 });
+    assert.equal(ac.temp, 19);
+  });
+
+  test('setPower is absolute and concurrent commands to one device are serialised', async () => {
+    const fh   = sim.state.fhs[1];
+    const body = { action: 'setFHPower', nodeId: fh.nodeId, eoj: fh.eoj, value: !fh.on };
+    const want = body.value;
+
+    // Two taps at once: the second one sees the state the first left behind
+    const [a, b] = await Promise.all([post('/api/devices/control', body), post('/api/devices/control', body)]);
+    const results = [await a.json(), await b.json()];
+    assert.deepEqual(results.map(r => r.changed), [true, false]);
+    assert.equal(fh.on, want);
+
+    assert.equal((await post('/api/devices/control', { ...body, value: 'on' })).status, 400);
+  });
+
+  test('POST /api/devices/control rejects unknown actions', async () => {
+    assert.equal((await post('/api/devices/control', { action: 'explode' })).status, 400);
+  });
+
+  test('POST /api/devices/control needs nodeId and eoj for an AC or floor heater', async () => {
+    const before = (await (await get('/api/audit')).json()).length;
+    assert.equal((await post('/api/devices/control', { action: 'toggleAC', state: '0x30' })).status, 400);
+    assert.equal((await post('/api/devices/control', { action: 'setFHPower', nodeId: '1', value: true })).status, 400);
+    assert.equal((await (await get('/api/audit')).json()).length, before);
+  });
+
+  test('POST /api/devices/rediscover', async () => {
+    const d = await (await post('/api/devices/rediscover', {})).json();
+    assert.equal(d.length, 7);
+  });
+});
+
+describe('nickname routes', () => {
+  test('set, read and reset a nickname', async () => {
+    const ac = sim.state.acs[0];
+    assert.equal((await post('/api/nicknames', { name: 'x' })).status, 400);
+
+    await post('/api/nicknames', { nodeId: ac.nodeId, eoj: ac.eoj, name: ' Living ' });
+    assert.deepEqual(await (await get('/api/nicknames')).json(), { [`${ac.nodeId}_${ac.eoj}`]: 'Living' });
+
+    await post('/api/nicknames', { nodeId: ac.nodeId, eoj: ac.eoj, name: '' });
+    assert.deepEqual(await (await get('/api/nicknames')).json(), {});
+  });
+});
+
+describe('audit log', () => {
+  test('records control commands and renames with source, response and result', async () => {
+    const ac = sim.state.acs[0];
+    const key = `${ac.nodeId}_${ac.eoj}`;
+    await post('/api/devices/control', { action: 'setACTemp', nodeId: ac.nodeId, eoj: ac.eoj, value: 25 });
+
+    // Control entries are written once the device state has been read back
+    let entries = [];
+    for (let i = 0; i < 50 && !entries.some(e => e.action === 'setACTemp'); i++) {
+      await new Promise(r => setTimeout(r, 100));
+      entries = await (await get(`/api/audit?device=${key}`)).json();
+    }
+    const e = entries.find(x => x.action === 'setACTemp');
+    assert.equal(e.source.via, 'api');
+    assert.equal(e.device.name, 'エアコンA');
+    assert.equal(e.value, 25);
+    assert.deepEqual(e.response, { result: '0' });
+    assert.equal(e.status, 'success');
+    assert.equal(e.after.temp, 25);
+
+    const rename = (await (await get('/api/audit?device=ac')).json()).find(x => x.action === 'rename');
+    assert.equal(rename.value, null);      // the nickname test reset it
+    assert.deepEqual(rename.after, { name: 'エアコンA' });
+
+    assert.equal((await get('/api/audit?from=2025-02-01&to=2025-01-01')).status, 400);
+  });
+});
+
+describe('schedule routes', () => {
+  test('create, update, list and delete a schedule', async () => {
+    const ac   = sim.state.acs[1];
+    const body = {
+      name: '朝の暖房', repeat: 'weekly', days: [1, 2, 3, 4, 5], time: '06:30',
+      device: { type: 'ac', nodeId: ac.nodeId, eoj: ac.eoj }, power: true, mode: '0x43', temp: 22,
+    };
+    assert.equal((await post('/api/schedules', { ...body, time: '6:30' })).status, 400);
+    assert.equal((await post('/api/schedules', { ...body, repeat: 'once', at: Date.now() - 60_000 })).status, 400);
+
+    const r = await post('/api/schedules', body);
+    assert.equal(r.status, 201);
+    const s = await r.json();
+    assert.equal(typeof s.next, 'number');
+
+    const put = await fetch(`${base}/api/schedules/${s.id}`, {
+      method:  'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ ...body, enabled: false }),
+    });
+    assert.equal((await put.json()).next, null);
+    assert.equal((await (await get('/api/schedules')).json()).length, 1);
+
+    assert.equal((await fetch(`${base}/api/schedules/${s.id}`, { method: 'DELETE' })).status, 204);
+    assert.equal((await get(`/api/schedules/${s.id}`)).status, 404);
+  });
+});
+
+describe('rule routes', () => {
+  test('create, update and delete a rule; read the log', async () => {
+    const body = {
+      on:      { metric: 'surplus_kw', op: '>', value: 1.5, minutes: 10 },
+      off:     { metric: 'import_kw',  op: '>', value: 0.5, minutes: 5 },
+      actions: [{ device: { type: 'bath' }, power: true }],
+    };
+    assert.equal((await post('/api/rules', { ...body, actions: [] })).status, 400);
+
+    const r = await (await post('/api/rules', body)).json();
+    assert.equal(r.active, false);
+
+    const put = await fetch(`${base}/api/rules/${r.id}`, {
+      method:  'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ ...body, name: 'Surplus bath' }),
+    });
+    assert.equal((await put.json()).name, 'Surplus bath');
+    assert.deepEqual(await (await get('/api/rules/log')).json(), []);
+
+    assert.equal((await fetch(`${base}/api/rules/${r.id}`, { method: 'DELETE' })).status, 204);
+    assert.deepEqual(await (await get('/api/rules')).json(), []);
+  });
+});
+
+describe('alert routes', () => {
+  test('create, read and delete an alert', async () => {
+    assert.equal((await post('/api/alerts', { metric: 'use_kw', op: '=' })).status, 400);
+
+    const a = await (await post('/api/alerts', { metric: 'unreachable', minutes: 5 })).json();
+    assert.equal(a.firing, false);
+    assert.equal((await get(`/api/alerts/${a.id}`)).status, 200);
+    assert.deepEqual(await (await post(`/api/alerts/${a.id}/test`, {})).json(), { delivery: [] });
+    assert.deepEqual(await (await get('/api/alerts/log')).json(), []);
+
+    assert.equal((await fetch(`${base}/api/alerts/${a.id}`, { method: 'DELETE' })).status, 204);
+    assert.equal((await post(`/api/alerts/${a.id}/test`, {})).status, 404);
+  });
+});
+
+describe('tariff routes', () => {
+  test('GET /api/cost and PUT /api/tariff', async () => {
+    const put = body => fetch(`${base}/api/tariff`, {
+      method:  'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify(body),
+    });
+    assert.equal((await put({ baseRate: 'cheap' })).status, 400);
+    assert.equal((await (await put({ sellRate: 10 })).json()).sellRate, 10);
+
+    const d = await (await get('/api/cost')).json();
+    assert.equal(d.live.sellPrice, 10);
+    assert.equal(typeof d.today.cost, 'number');
+    assert.equal(d.month.days, 1);
+  });
+});
+
+describe('export', () => {
+  test('GET /api/export downloads recorded data', async () => {
+    const r = await get('/api/export?dataset=devices&format=ndjson');
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get('content-type'), /^application\/x-ndjson/);
+    assert.match(r.headers.get('content-disposition'), /attachment; filename="aiseg2-devices-[\d-]+_[\d-]+\.ndjson"/);
+    const rows = (await r.text()).trim().split('\n').map(JSON.parse);
+    assert.ok(rows.some(x => x.type === 'ac' && x.name === 'エアコンB'));   // logged by the device polls above
+
+    const csv = Buffer.from(await (await get('/api/export?dataset=totals')).arrayBuffer());
+    assert.deepEqual([...csv.subarray(0, 3)], [0xef, 0xbb, 0xbf]);   // BOM, which text() would strip
+    assert.match(csv.toString('utf8', 3), /^date,solar,consumption,purchase,sold\r\n\d{4}-\d\d-\d\d,/);
+    assert.equal((await get('/api/export?dataset=everything')).status, 400);
+    assert.equal((await get('/api/export?dataset=totals&from=2025-02-01&to=2025-01-01')).status, 400);
+  });
+});
+
+describe('health', () => {
+  test('GET /api/health reports the AiSEG2 and cache freshness', async () => {
+    const rt = await get('/api/realtime');
+    assert.equal(rt.headers.get('x-data-stale'), 'false');
+    assert.match(rt.headers.get('x-data-age'), /^\d+$/);
+
+    const r = await get('/api/health');
+    assert.equal(r.status, 200);
+    const h = await r.json();
+    assert.equal(h.aiseg2.reachable, true);
+    assert.equal(h.aiseg2.breaker.state, 'closed');
+    assert.deepEqual(Object.keys(h.aiseg2.queue.waiting), ['control', 'realtime', 'devices', 'bulk']);
+    const ep = h.aiseg2.endpoints['/data/electricflow/111/update'];
+    assert.equal(typeof ep.lastSuccessAt, 'number');
+    assert.equal(typeof ep.latencyMs, 'number');
+    assert.equal(h.data.realtime.stale, false);
+    assert.equal(typeof h.data.realtime.age, 'number');
+  });
+});
+
+describe('metrics', () => {
+  test('GET /metrics exposes cached values and exporter health', async () => {
+    const r = await get('/metrics');
+    assert.match(r.headers.get('content-type'), /^text\/plain/);
+    const text = await r.text();
+    assert.match(text, /^# TYPE aiseg2_consumption_kw gauge$/m);
+    assert.match(text, /^aiseg2_daily_kwh\{kind="solar"\} [\d.]+$/m);
+    assert.match(text, /^aiseg2_circuit_kwh\{id="1",name="エアコンA"\} [\d.]+$/m);
+    assert.match(text, /^aiseg2_ac_set_temperature_celsius\{node="1073741828",eoj="0x013001",name="エアコンB"\} 19$/m);
+    assert.match(text, /^aiseg2_upstream_requests_total\{endpoint="\/data\/electricflow\/111\/update"\} \d+$/m);
+    assert.match(text, /^aiseg2_cache_age_seconds\{cache="devices"\} [\d.]+$/m);
+    assert.match(text, /^aiseg2_websocket_clients 0$/m);
+  });
+});
+
+// Last: creating the first user turns authentication on for everything after it
+describe('authentication', () => {
+  const { WebSocket } = require('ws');
+  const wsStatus = headers => new Promise(resolve => {
+    const ws = new WebSocket(`${base.replace('http', 'ws')}/ws`, { headers });
+    ws.on('open', () => { ws.close(); resolve(101); });
+    ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+  });
+  const as = (headers, p, init = {}) => fetch(base + p, { ...init, headers: { 'Content-Type': 'application/json', ...headers } });
+
+  test('the first user must be an admin and enables login', async () => {
+    assert.deepEqual(await (await get('/api/auth/me')).json(), { enabled: false, user: null });
+    assert.equal((await post('/api/auth/users', { name: 'guest', password: 'pass', role: 'viewer' })).status, 400);
+    assert.equal((await post('/api/auth/users', { name: 'admin', password: 'secret', role: 'admin' })).status, 201);
+
+    assert.equal((await get('/api/realtime')).status, 401);
+    assert.equal((await get('/metrics')).status, 401);
+    const health = await get('/api/health');   // container health checks need no login
+    assert.equal(health.status, 200);
+    assert.deepEqual(Object.keys(await health.json()), ['status']);
+    assert.equal((await get('/')).status, 200);           // the PWA shell stays public
+    assert.equal(await wsStatus({}), 401);
+  });
+
+  test('sessions, roles and API tokens', async () => {
+    assert.equal((await post('/api/auth/login', { name: 'admin', password: 'wrong' })).status, 401);
+    const login = await post('/api/auth/login', { name: 'admin', password: 'secret' });
+    assert.equal(login.status, 200);
+    const cookie = { Cookie: login.headers.get('set-cookie').split(';')[0] };
+    assert.match(login.headers.get('set-cookie'), /HttpOnly; SameSite=Lax/);
+
+    assert.equal((await (await as(cookie, '/api/auth/me')).json()).user.role, 'admin');
+    assert.equal(await wsStatus(cookie), 101);
+
+    const { token } = await (await as(cookie, '/api/auth/tokens', { method: 'POST', body: JSON.stringify({ name: 'grafana', role: 'viewer' }) })).json();
+    const viewer = { Authorization: `Bearer ${token}` };
+    assert.equal((await as(viewer, '/api/devices')).status, 200);
+    assert.equal((await as(viewer, '/api/devices/control', { method: 'POST', body: '{"action":"toggleBath"}' })).status, 403);
+    assert.equal((await as(viewer, '/api/auth/users')).status, 403);
+    assert.equal((await as({ Authorization: 'Bearer nope' }, '/api/devices')).status, 401);
+
+    assert.equal((await as(cookie, '/api/auth/users/admin', { method: 'DELETE' })).status, 400);   // last admin
+
+    // Logging out closes the sockets opened with that session
+    const ws = new WebSocket(`${base.replace('http', 'ws')}/ws`, { headers: cookie });
+    await new Promise(resolve => ws.on('open', resolve));
+    const closed = new Promise(resolve => ws.on('close', code => resolve(code)));
+    assert.equal((await as(cookie, '/api/auth/logout', { method: 'POST' })).status, 204);
+    assert.equal(await closed, 4001);
+    assert.equal((await as(cookie, '/api/devices')).status, 401);
+  });
+});
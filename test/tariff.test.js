@@ -0,0 +1,85 @@
+'use strict';
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiseg2-tariff-'));
+process.env.AISEG2_DATA_DIR = dataDir;
+
+const history = require('../history');
+const archive = require('../archive');
+const tariff  = require('../tariff');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const TARIFF = {
+  basicCharge: 1000, baseRate: 30, fuelAdjustment: -1, renewableSurcharge: 3, sellRate: 16,
+  periods: [{ name: 'night', from: '22:00', to: '08:00', rate: 20 }],
+};
+tariff.set(TARIFF);
+
+const at = (date, hhmm) => new Date(`${date}T${hhmm}:00`).getTime();
+
+describe('rates', () => {
+  test('periods may wrap midnight; baseRate fills the gaps', () => {
+    assert.deepEqual(tariff.periodAt(at('2025-06-02', '23:30')), { name: 'night', rate: 20 });
+    assert.deepEqual(tariff.periodAt(at('2025-06-02', '07:59')), { name: 'night', rate: 20 });
+    assert.deepEqual(tariff.periodAt(at('2025-06-02', '08:00')), { name: 'base', rate: 30 });
+  });
+
+  test('rejects invalid tariffs and keeps the old one', () => {
+    assert.throws(() => tariff.set({ periods: [{ from: '8:00', to: '09:00', rate: 1 }] }), /HH:MM/);
+    assert.throws(() => tariff.set({ sellRate: -1 }), /sellRate/);
+    assert.equal(tariff.get().sellRate, 16);
+  });
+
+  test('live cost per hour includes the per-kWh surcharges', () => {
+    const l = tariff.live({ gen_kw: 0.5, use_kw: 2.5, selling: false }, at('2025-06-02', '12:00'));
+    assert.equal(l.buyPrice, 32);
+    assert.equal(l.import_kw, 2);
+    assert.equal(l.costPerHour, 64);
+    assert.equal(l.revenuePerHour, 0);
+  });
+});
+
+describe('day cost', () => {
+  test('splits purchase by the import recorded in history', () => {
+    // 1 kW imported for an hour at night, 3 kW for an hour in the day
+    for (let t = at('2025-06-01', '02:00'); t < at('2025-06-01', '03:00'); t += 5_000) {
+      history.record({ gen_kw: 0, use_kw: 1, selling: false }, t);
+    }
+    for (let t = at('2025-06-01', '12:00'); t < at('2025-06-01', '13:00'); t += 5_000) {
+      history.record({ gen_kw: 0, use_kw: 3, selling: false }, t);
+    }
+    const d = tariff.dayCost('2025-06-01', { purchase: 4, sold: 10 });
+    assert.equal(d.byPeriod.night.kwh, 1);
+    assert.equal(d.byPeriod.base.kwh, 3);
+    assert.equal(d.cost, 1 * 20 + 3 * 30 + 4 * 2);
+    assert.equal(d.revenue, 160);
+    assert.equal(d.net, 118 - 160);
+  });
+
+  test('falls back to period hours without history', () => {
+    const d = tariff.dayCost('2025-05-01', { purchase: 24, sold: 0 });
+    assert.equal(d.byPeriod.night.kwh, 10);
+    assert.equal(d.byPeriod.base.kwh, 14);
+  });
+});
+
+describe('month to date', () => {
+  test('adds archived days, today and the basic charge once', () => {
+    archive.snapshot({ purchase: 24, sold: 0 }, '2025-05-01');   // other month, ignored
+    archive.snapshot({ purchase: 24, sold: 5 }, '2025-06-10');
+    const now = at('2025-06-11', '12:00');
+    const c = tariff.cost({ realtime: null, totals: { purchase: 0, sold: 2 }, now });
+    assert.equal(c.month.days, 2);
+    assert.equal(c.month.purchase, 24);
+    assert.equal(c.month.revenue, 7 * 16);
+    const energy = 10 * 20 + 14 * 30 + 24 * 2;
+    assert.equal(c.month.cost, energy + 1000);
+    assert.equal(c.month.projectedCost, Math.round((energy / 1.5 * 30 + 1000) * 100) / 100);
+  });
+});